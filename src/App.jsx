@@ -10,6 +10,9 @@ import GoogleOAuthComplete from './pages/GoogleOAuthComplete';
 import Dashboard from './pages/Dashboard';
 import URLs from './pages/URLs';
 import Groups from './pages/Groups';
+import Tags from './pages/Tags';
+import Trash from './pages/Trash';
+import Domains from './pages/Domains';
 import Profile from './pages/Profile';
 import ForgotPassword from './pages/ForgotPassword';
 import ResetPassword from './pages/ResetPassword';
@@ -131,6 +134,27 @@ function App() {
                   </Layout>
                 </ProtectedRoute>
               } />
+              <Route path="/tags" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <Tags />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              <Route path="/domains" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <Domains />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              <Route path="/trash" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <Trash />
+                  </Layout>
+                </ProtectedRoute>
+              } />
               <Route path="/profile" element={
                 <ProtectedRoute>
                   <Layout>
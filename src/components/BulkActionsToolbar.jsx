@@ -0,0 +1,197 @@
+import { useState } from 'react';
+import {
+  XMarkIcon,
+  TrashIcon,
+  FolderIcon,
+  ClockIcon,
+  CheckCircleIcon,
+  PauseCircleIcon,
+} from '@heroicons/react/24/outline';
+
+const BulkActionsToolbar = ({
+  selectedCount,
+  pageSelection,
+  onTogglePage,
+  totalMatching,
+  onSelectAllMatching,
+  selectingAll,
+  onClearSelection,
+  groups,
+  onMoveToGroup,
+  onSetExpiry,
+  onSetActive,
+  onDelete,
+  busy,
+}) => {
+  const [targetGroupId, setTargetGroupId] = useState('');
+  const [expiryValue, setExpiryValue] = useState('');
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  const hasSelection = selectedCount > 0;
+  const canSelectMore = pageSelection === 'all' && selectedCount < totalMatching;
+
+  return (
+    <div className={`sticky top-16 z-20 rounded-2xl border transition-all duration-200 ${
+      hasSelection
+        ? 'bg-primary-50/95 dark:bg-primary-900/40 border-primary-200 dark:border-primary-800 shadow-lg backdrop-blur-xl p-4'
+        : 'bg-transparent border-transparent px-1'
+    }`}>
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
+        {/* Selection summary */}
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="flex items-center cursor-pointer">
+            <input
+              type="checkbox"
+              checked={pageSelection === 'all'}
+              ref={(el) => {
+                if (el) el.indeterminate = pageSelection === 'some';
+              }}
+              onChange={onTogglePage}
+              className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            <span className="ml-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+              {hasSelection ? `${selectedCount} selected` : 'Select all on this page'}
+            </span>
+          </label>
+
+          {canSelectMore && (
+            <button
+              type="button"
+              onClick={onSelectAllMatching}
+              disabled={selectingAll}
+              className="text-sm font-medium text-primary-600 dark:text-primary-400 hover:underline disabled:opacity-50"
+            >
+              {selectingAll ? 'Selecting...' : `Select all ${totalMatching} matching URLs`}
+            </button>
+          )}
+
+          {hasSelection && (
+            <button
+              type="button"
+              onClick={() => {
+                setConfirmDelete(false);
+                onClearSelection();
+              }}
+              className="inline-flex items-center text-sm text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200"
+            >
+              <XMarkIcon className="h-4 w-4 mr-1" />
+              Clear
+            </button>
+          )}
+        </div>
+
+        {/* Actions */}
+        {hasSelection && (
+          <div className="flex flex-wrap items-center gap-2">
+            <div className="flex items-center gap-1">
+              <FolderIcon className="h-4 w-4 text-gray-400" />
+              <select
+                value={targetGroupId}
+                onChange={(e) => setTargetGroupId(e.target.value)}
+                disabled={busy}
+                className="input-field py-1.5 text-sm w-40"
+              >
+                <option value="">No Group</option>
+                {groups.map((group) => (
+                  <option key={group._id} value={group._id}>
+                    {group.name}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => onMoveToGroup(targetGroupId || null)}
+                disabled={busy}
+                className="btn-secondary py-1.5 text-sm disabled:opacity-50"
+              >
+                Move
+              </button>
+            </div>
+
+            <div className="flex items-center gap-1">
+              <ClockIcon className="h-4 w-4 text-gray-400" />
+              <input
+                type="datetime-local"
+                value={expiryValue}
+                onChange={(e) => setExpiryValue(e.target.value)}
+                disabled={busy}
+                className="input-field py-1.5 text-sm w-52"
+              />
+              <button
+                type="button"
+                onClick={() => onSetExpiry(expiryValue)}
+                disabled={busy || !expiryValue}
+                className="btn-secondary py-1.5 text-sm disabled:opacity-50"
+              >
+                Set
+              </button>
+              <button
+                type="button"
+                onClick={() => onSetExpiry('')}
+                disabled={busy}
+                className="btn-secondary py-1.5 text-sm disabled:opacity-50"
+                title="Remove expiration from the selected URLs"
+              >
+                Clear
+              </button>
+            </div>
+
+            <button
+              type="button"
+              onClick={() => onSetActive(true)}
+              disabled={busy}
+              className="inline-flex items-center px-3 py-1.5 text-sm font-medium text-green-700 dark:text-green-400 bg-green-100 dark:bg-green-900/20 rounded-lg hover:bg-green-200 dark:hover:bg-green-900/40 disabled:opacity-50 transition-all duration-200"
+            >
+              <CheckCircleIcon className="h-4 w-4 mr-1" />
+              Activate
+            </button>
+            <button
+              type="button"
+              onClick={() => onSetActive(false)}
+              disabled={busy}
+              className="inline-flex items-center px-3 py-1.5 text-sm font-medium text-yellow-700 dark:text-yellow-400 bg-yellow-100 dark:bg-yellow-900/20 rounded-lg hover:bg-yellow-200 dark:hover:bg-yellow-900/40 disabled:opacity-50 transition-all duration-200"
+            >
+              <PauseCircleIcon className="h-4 w-4 mr-1" />
+              Deactivate
+            </button>
+
+            {confirmDelete ? (
+              <div className="flex items-center gap-1">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setConfirmDelete(false);
+                    onDelete();
+                  }}
+                  disabled={busy}
+                  className="btn-danger py-1.5 text-sm disabled:opacity-50"
+                >
+                  Delete {selectedCount}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setConfirmDelete(false)}
+                  className="btn-secondary py-1.5 text-sm"
+                >
+                  Cancel
+                </button>
+              </div>
+            ) : (
+              <button
+                type="button"
+                onClick={() => setConfirmDelete(true)}
+                disabled={busy}
+                className="inline-flex items-center px-3 py-1.5 text-sm font-medium text-red-700 dark:text-red-400 bg-red-100 dark:bg-red-900/20 rounded-lg hover:bg-red-200 dark:hover:bg-red-900/40 disabled:opacity-50 transition-all duration-200"
+              >
+                <TrashIcon className="h-4 w-4 mr-1" />
+                Delete
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionsToolbar;
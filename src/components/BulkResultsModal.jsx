@@ -0,0 +1,75 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  CheckCircleIcon,
+  XCircleIcon,
+  ClipboardDocumentListIcon,
+} from '@heroicons/react/24/outline';
+
+const BulkResultsModal = ({ isOpen, onClose, title, results }) => {
+  const items = results || [];
+  const succeeded = items.filter(item => item.success).length;
+  const failed = items.length - succeeded;
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 overflow-y-auto"
+        >
+          <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+            <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={onClose} />
+
+            <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-2xl text-left overflow-hidden shadow-2xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+              <div className="px-6 pt-6 pb-4">
+                <div className="flex items-center mb-6">
+                  <div className="h-12 w-12 bg-gradient-to-br from-primary-500 to-primary-600 rounded-xl flex items-center justify-center mr-4">
+                    <ClipboardDocumentListIcon className="h-6 w-6 text-white" />
+                  </div>
+                  <div>
+                    <h3 className="text-xl font-semibold text-gray-900 dark:text-white">{title}</h3>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      {succeeded} succeeded, {failed} failed
+                    </p>
+                  </div>
+                </div>
+
+                <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-xl">
+                  {items.map((item) => (
+                    <li key={item.id} className="flex items-start px-4 py-3">
+                      {item.success ? (
+                        <CheckCircleIcon className="h-5 w-5 text-green-500 flex-shrink-0 mt-0.5" />
+                      ) : (
+                        <XCircleIcon className="h-5 w-5 text-red-500 flex-shrink-0 mt-0.5" />
+                      )}
+                      <div className="ml-3 min-w-0">
+                        <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                          {item.name || 'Unnamed URL'}
+                        </p>
+                        {!item.success && (
+                          <p className="text-xs text-red-600 dark:text-red-400 mt-0.5">
+                            {item.message || 'Failed'}
+                          </p>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              <div className="bg-gray-50 dark:bg-gray-700 px-6 py-4 flex justify-end">
+                <button onClick={onClose} className="btn-secondary">
+                  Close
+                </button>
+              </div>
+            </div>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default BulkResultsModal;
@@ -0,0 +1,80 @@
+import { CAP_ACTIONS, SINGLE_USE_PRESET, isSingleUse } from '../utils/clickCap';
+import { CursorArrowRaysIcon, FireIcon } from '@heroicons/react/24/outline';
+
+const ClickCapFields = ({ formData, setFormData, usedClicks = null }) => {
+  const { maxClicks, capAction, capFallbackUrl } = formData;
+  const singleUse = isSingleUse(formData);
+
+  const toggleSingleUse = () => {
+    setFormData({ ...formData, ...(singleUse ? { maxClicks: '' } : SINGLE_USE_PRESET) });
+  };
+
+  return (
+    <div className="rounded-xl border border-gray-200 dark:border-gray-600 p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <CursorArrowRaysIcon className="h-4 w-4 text-gray-500 dark:text-gray-400 mr-2" />
+          <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Click Limit (Optional)</span>
+        </div>
+        <button
+          type="button"
+          onClick={toggleSingleUse}
+          className={`inline-flex items-center px-2.5 py-1 text-xs font-medium rounded-lg transition-colors ${
+            singleUse
+              ? 'bg-primary-600 text-white hover:bg-primary-700'
+              : 'text-primary-700 dark:text-primary-300 bg-primary-50 dark:bg-primary-900/20 hover:bg-primary-100 dark:hover:bg-primary-900/40'
+          }`}
+          title="Allow exactly one visit, e.g. for sharing a one-off secret"
+        >
+          <FireIcon className="h-3 w-3 mr-1" />
+          Single-use
+        </button>
+      </div>
+
+      <div>
+        <input
+          type="number"
+          min="1"
+          step="1"
+          value={maxClicks}
+          onChange={(e) => setFormData({ ...formData, maxClicks: e.target.value })}
+          className="input-field"
+          placeholder="Unlimited"
+        />
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+          {usedClicks !== null
+            ? `${usedClicks} click(s) used so far. Leave empty for no limit.`
+            : 'Maximum number of clicks. Leave empty for no limit.'}
+        </p>
+      </div>
+
+      {maxClicks !== '' && (
+        <div className="space-y-3">
+          <label className="block text-xs font-medium text-gray-600 dark:text-gray-300">
+            When the limit is reached
+          </label>
+          <select
+            value={capAction}
+            onChange={(e) => setFormData({ ...formData, capAction: e.target.value })}
+            className="input-field"
+          >
+            {CAP_ACTIONS.map(action => (
+              <option key={action.value} value={action.value}>{action.label}</option>
+            ))}
+          </select>
+          {capAction === 'redirect' && (
+            <input
+              type="url"
+              value={capFallbackUrl}
+              onChange={(e) => setFormData({ ...formData, capFallbackUrl: e.target.value })}
+              className="input-field"
+              placeholder="https://example.com/link-expired"
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClickCapFields;
@@ -0,0 +1,33 @@
+import { getClickCapUsage } from '../utils/clickCap';
+
+const ClickCapProgress = ({ url }) => {
+  const usage = getClickCapUsage(url);
+  if (!usage) return null;
+
+  const barColor = usage.reached
+    ? 'bg-red-500'
+    : usage.percent >= 75 ? 'bg-yellow-500' : 'bg-primary-500';
+
+  return (
+    <div>
+      <div className="flex items-center justify-between text-xs mb-1">
+        <span className="text-gray-500 dark:text-gray-400">
+          {usage.cap === 1 ? 'Single-use link' : 'Click limit'}
+        </span>
+        <span className={`font-medium ${usage.reached ? 'text-red-600 dark:text-red-400' : 'text-gray-600 dark:text-gray-300'}`}>
+          {usage.used} / {usage.cap}
+        </span>
+      </div>
+      <div className="h-1.5 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+        <div className={`h-full rounded-full ${barColor}`} style={{ width: `${usage.percent}%` }} />
+      </div>
+      {usage.reached && url.capAction === 'redirect' && url.capFallbackUrl && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 truncate" title={url.capFallbackUrl}>
+          Visitors now go to {url.capFallbackUrl}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ClickCapProgress;
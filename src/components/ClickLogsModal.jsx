@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { 
   XMarkIcon, 
   GlobeAltIcon, 
@@ -10,13 +10,39 @@ import {
   BuildingOfficeIcon,
   WifiIcon,
   ChevronLeftIcon,
-  ChevronRightIcon
+  ChevronRightIcon,
+  ArrowDownTrayIcon
 } from '@heroicons/react/24/outline';
 import { urlService } from '../services/urlService';
+import ExportModal from './ExportModal';
+import { getClickLogExportColumns } from '../utils/exportColumns';
+import { toSafeFileName } from '../utils/download';
+import { formatDisplayDate, getActiveTimeZone } from '../utils/timezone';
+import { buildVariantBreakdown, buildWinnerUpdate } from '../utils/variants';
+import {
+  DATE_RANGE_PRESETS,
+  BUCKET_LABELS,
+  resolveDateRange,
+  getPreviousRange,
+  getBucketSize,
+  buildClickSeries,
+  addPreviousPeriod
+} from '../utils/analyticsRange';
 import toast from 'react-hot-toast';
-import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { PieChart, Pie, Cell, BarChart, Bar, LineChart, Line, Legend, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
 
-const ClickLogsModal = ({ isOpen, onClose, urlId, urlName }) => {
+// Dimensions the click-log table can be filtered by (keys match getUrlClickLogs params)
+const CLICK_LOG_FILTERS = [
+  { key: 'country', label: 'Country', aggregate: 'topCountries' },
+  { key: 'browser', label: 'Browser', aggregate: 'topBrowsers' },
+  { key: 'os', label: 'OS', aggregate: 'topOperatingSystems' },
+  { key: 'device', label: 'Device', aggregate: 'topDevices' },
+  { key: 'isp', label: 'ISP', aggregate: 'topISPs' },
+];
+
+const EMPTY_FILTERS = { country: '', browser: '', os: '', device: '', isp: '' };
+
+const ClickLogsModal = ({ isOpen, onClose, urlId, urlName, onUrlUpdated }) => {
   const [clickLogs, setClickLogs] = useState([]);
   const [loading, setLoading] = useState(false);
   const [stats, setStats] = useState({});
@@ -25,29 +51,90 @@ const ClickLogsModal = ({ isOpen, onClose, urlId, urlName }) => {
   const [topDevices, setTopDevices] = useState([]);
   const [topOperatingSystems, setTopOperatingSystems] = useState([]);
   const [topISPs, setTopISPs] = useState([]);
+  const [topVariants, setTopVariants] = useState([]);
+  const [urlDetails, setUrlDetails] = useState(null);
+  const [winnerCandidate, setWinnerCandidate] = useState(null);
+  const [declaringWinner, setDeclaringWinner] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+
+  // Filters are applied by the backend to both the table and the aggregates
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // Every value seen per filter, so options don't vanish once a filter narrows the aggregates
+  const [filterOptions, setFilterOptions] = useState({});
 
-  // Pagination state
+  // Date range shared by the stat cards, charts and table
+  const [rangePreset, setRangePreset] = useState('all');
+  const [customRange, setCustomRange] = useState({ start: '', end: '' });
+  const [compareToPrevious, setCompareToPrevious] = useState(false);
+  const [clickSeries, setClickSeries] = useState([]);
+  const [seriesLoading, setSeriesLoading] = useState(false);
+  const [seriesTotals, setSeriesTotals] = useState(null);
+
+  // Pagination state (server-side)
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage] = useState(8);
+  const [totalLogs, setTotalLogs] = useState(0);
+  const [totalPages, setTotalPages] = useState(1);
+
+  // Only the latest request may update the modal, so a slow response for a range,
+  // page or filter that is no longer selected is dropped
+  const logsRequestRef = useRef(0);
+  const seriesRequestRef = useRef(0);
 
   // Use ref to track if modal should be open
   const shouldBeOpen = useRef(isOpen);
   const [internalIsOpen, setInternalIsOpen] = useState(isOpen);
 
   // Pagination calculations
-  const totalPages = Math.ceil(clickLogs.length / itemsPerPage);
   const startIndex = (currentPage - 1) * itemsPerPage;
-  const endIndex = startIndex + itemsPerPage;
-  const currentClickLogs = clickLogs.slice(startIndex, endIndex);
+  const hasActiveFilters = Object.values(filters).some(Boolean);
+
+  // All time starts when the link was created, which arrives with the URL details
+  const allTime = rangePreset === 'all';
+  const since = allTime ? urlDetails?.createdAt : null;
+  // Rolling presets are resolved when the selection changes, not on every render
+  const dateRange = useMemo(
+    () => resolveDateRange(rangePreset, customRange, new Date(), since),
+    [rangePreset, customRange, since]
+  );
+  const bucketSize = dateRange ? getBucketSize(dateRange) : 'day';
+  // All time sends no dates, so the table and stat cards count every click
+  const rangeParams = useMemo(() => (
+    dateRange && !allTime ? { startDate: dateRange.start.toISOString(), endDate: dateRange.end.toISOString() } : {}
+  ), [dateRange, allTime]);
+  // There is no period before all time to compare with
+  const comparing = compareToPrevious && !allTime;
 
   // Handle page change
   const handlePageChange = (page) => {
     setCurrentPage(page);
   };
 
-  // Reset to first page when modal opens or URL changes
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setCurrentPage(1);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setCurrentPage(1);
+  };
+
+  const handleRangePresetChange = (preset) => {
+    setRangePreset(preset);
+    setCurrentPage(1);
+  };
+
+  const handleCustomRangeChange = (key, value) => {
+    setCustomRange(prev => ({ ...prev, [key]: value }));
+    setCurrentPage(1);
+  };
+
+  // Reset to first page and drop filters when modal opens or URL changes
   useEffect(() => {
     setCurrentPage(1);
+    setFilters(EMPTY_FILTERS);
+    setFilterOptions({});
   }, [urlId]);
 
   useEffect(() => {
@@ -58,95 +145,94 @@ const ClickLogsModal = ({ isOpen, onClose, urlId, urlName }) => {
   // Memoize the fetch function to prevent unnecessary re-renders
   const fetchClickLogs = useCallback(async () => {
     if (!urlId) return;
+    const requestId = ++logsRequestRef.current;
     
     try {
       setLoading(true);
-      const response = await urlService.getUrlClickLogs(urlId, { page: 1, limit: 100 });
+      const response = await urlService.getUrlClickLogs(urlId, {
+        page: currentPage,
+        limit: itemsPerPage,
+        ...rangeParams,
+        ...filters
+      });
+      if (requestId !== logsRequestRef.current) return;
       
       if (response.success) {
-        setClickLogs(response.data.clickLogs);
-        setStats(response.data.stats);
-        setTopCountries(response.data.topCountries || []);
-        setTopBrowsers(response.data.topBrowsers || []);
-        setTopDevices(response.data.topDevices || []);
-        
-        // Process additional analytics data
-        processAnalyticsData(response.data.clickLogs);
+        const data = response.data || {};
+        setClickLogs(data.clickLogs || []);
+        setStats(data.stats || {});
+
+        // Charts use the backend aggregates, which cover every matching click
+        setTopCountries(data.topCountries || []);
+        setTopBrowsers(data.topBrowsers || []);
+        setTopDevices(data.topDevices || []);
+        setTopOperatingSystems(data.topOperatingSystems || []);
+        setTopISPs(data.topISPs || []);
+        setTopVariants(data.topVariants || []);
+
+        const total = data.pagination?.total ?? data.stats?.totalClicks ?? 0;
+        setTotalLogs(total);
+        setTotalPages(data.pagination?.pages ?? Math.max(1, Math.ceil(total / itemsPerPage)));
+
+        setFilterOptions(prev => {
+          const next = { ...prev };
+          CLICK_LOG_FILTERS.forEach(({ key, aggregate }) => {
+            const values = (data.filterOptions?.[key] || (data[aggregate] || []).map(item => item._id))
+              .filter(value => value && value !== 'Unknown');
+            next[key] = [...new Set([...(prev[key] || []), ...values])].sort();
+          });
+          return next;
+        });
       }
     } catch (error) {
+      if (requestId !== logsRequestRef.current) return;
       toast.error('Failed to fetch click logs: ' + (error.message || 'Unknown error'));
     } finally {
-      setLoading(false);
+      if (requestId === logsRequestRef.current) setLoading(false);
     }
-  }, [urlId]);
+  }, [urlId, currentPage, itemsPerPage, rangeParams, filters]);
 
-  // Process analytics data from click logs
-  const processAnalyticsData = (logs) => {
-    
-    // Countries
-    const countryCounts = {};
-    // Browsers
-    const browserCounts = {};
-    // Operating Systems
-    const osCounts = {};
-    const ispCounts = {};
-    
-    logs.forEach(log => {
-      // Process countries
-      if (log.country && log.country !== 'Unknown') {
-        countryCounts[log.country] = (countryCounts[log.country] || 0) + 1;
-      }
-      
-      // Process browsers
-      if (log.browser && log.browser !== 'Unknown') {
-        browserCounts[log.browser] = (browserCounts[log.browser] || 0) + 1;
-      }
-      
-      // Process operating systems
-      if (log.operatingSystem && log.operatingSystem !== 'Unknown') {
-        osCounts[log.operatingSystem] = (osCounts[log.operatingSystem] || 0) + 1;
-      }
-      
-      // Process ISPs
-      if (log.isp && log.isp !== 'Unknown') {
-        ispCounts[log.isp] = (ispCounts[log.isp] || 0) + 1;
+  // Clicks per bucket in the range (and the previous period when comparing) for the line chart
+  const fetchClickSeries = useCallback(async () => {
+    if (!urlId) return;
+    const requestId = ++seriesRequestRef.current;
+    if (!dateRange) {
+      setClickSeries([]);
+      setSeriesTotals(null);
+      setSeriesLoading(false);
+      return;
+    }
+
+    try {
+      setSeriesLoading(true);
+      const seriesParams = { interval: bucketSize, timeZone: getActiveTimeZone(), ...filters };
+      const current = await urlService.getUrlClickSeries(urlId, { ...rangeParams, ...seriesParams });
+      if (requestId !== seriesRequestRef.current) return;
+      let series = buildClickSeries(current.buckets, dateRange, bucketSize);
+      let previousTotal = null;
+
+      if (comparing) {
+        const previousRange = getPreviousRange(dateRange);
+        const previous = await urlService.getUrlClickSeries(urlId, {
+          startDate: previousRange.start.toISOString(),
+          endDate: previousRange.end.toISOString(),
+          ...seriesParams
+        });
+        if (requestId !== seriesRequestRef.current) return;
+        series = addPreviousPeriod(series, previous.buckets, dateRange, bucketSize);
+        previousTotal = previous.total;
       }
-    });
-    
 
-    
-      // Update top countries if we have data and backend didn't provide it
-  if (Object.keys(countryCounts).length > 0) {
-    const processedCountries = Object.entries(countryCounts)
-      .map(([country, count]) => ({ _id: country, count }))
-      .sort((a, b) => b.count - a.count)
-      .slice(0, 5);
-    setTopCountries(processedCountries);
-  }
-  
-  // Update top browsers if we have data and backend didn't provide it
-  if (Object.keys(browserCounts).length > 0) {
-    const processedBrowsers = Object.entries(browserCounts)
-      .map(([browser, count]) => ({ _id: browser, count }))
-      .sort((a, b) => b.count - a.count)
-      .slice(0, 5);
-    setTopBrowsers(processedBrowsers);
-  }
-    
-    setTopOperatingSystems(
-      Object.entries(osCounts)
-        .map(([os, count]) => ({ _id: os, count }))
-        .sort((a, b) => b.count - a.count)
-        .slice(0, 5)
-    );
-    
-    setTopISPs(
-      Object.entries(ispCounts)
-        .map(([isp, count]) => ({ _id: isp, count }))
-        .sort((a, b) => b.count - a.count)
-        .slice(0, 5)
-    );
-  };
+      setClickSeries(series);
+      // Both totals come from the same endpoint and filters, so the change compares like with like
+      setSeriesTotals({ current: current.total, previous: previousTotal });
+    } catch (error) {
+      if (requestId !== seriesRequestRef.current) return;
+      toast.error('Failed to load clicks over time: ' + (error.message || 'Unknown error'));
+    } finally {
+      if (requestId === seriesRequestRef.current) setSeriesLoading(false);
+    }
+  }, [urlId, dateRange, rangeParams, bucketSize, comparing, filters]);
 
   // Only fetch when modal opens
   useEffect(() => {
@@ -155,6 +241,44 @@ const ClickLogsModal = ({ isOpen, onClose, urlId, urlName }) => {
     }
   }, [internalIsOpen, urlId, fetchClickLogs]);
 
+  useEffect(() => {
+    if (internalIsOpen && urlId) {
+      fetchClickSeries();
+    }
+  }, [internalIsOpen, urlId, fetchClickSeries]);
+
+  // The URL itself carries the A/B variants the breakdown is labelled with
+  const fetchUrlDetails = useCallback(async () => {
+    if (!urlId) return;
+    try {
+      setUrlDetails(await urlService.getShortUrl(urlId));
+    } catch {
+      setUrlDetails(null);
+    }
+  }, [urlId]);
+
+  useEffect(() => {
+    setWinnerCandidate(null);
+    if (internalIsOpen && urlId) {
+      fetchUrlDetails();
+    }
+  }, [internalIsOpen, urlId, fetchUrlDetails]);
+
+  const handleDeclareWinner = async (variant) => {
+    try {
+      setDeclaringWinner(true);
+      await urlService.updateShortUrl(urlId, buildWinnerUpdate(variant));
+      toast.success(`Variant ${variant.label} is now the only destination`);
+      setWinnerCandidate(null);
+      await fetchUrlDetails();
+      onUrlUpdated?.();
+    } catch (error) {
+      toast.error(error.message || 'Failed to declare winner');
+    } finally {
+      setDeclaringWinner(false);
+    }
+  };
+
   const handleClose = useCallback(() => {
     setInternalIsOpen(false);
     onClose();
@@ -252,6 +376,17 @@ const ClickLogsModal = ({ isOpen, onClose, urlId, urlName }) => {
     clicks: os.count
   })) : [{ name: 'No Data', clicks: 0 }];
 
+  // Opened from a shared link the URL may not be on the current page, so fall back to its details
+  const displayName = urlName || urlDetails?.name || '';
+  const variantBreakdown = urlDetails?.variants?.length
+    ? buildVariantBreakdown(urlDetails.variants, topVariants)
+    : [];
+
+  const previousPeriodClicks = comparing ? (seriesTotals?.previous ?? null) : null;
+  const clickChange = previousPeriodClicks
+    ? Math.round((((seriesTotals.current || 0) - previousPeriodClicks) / previousPeriodClicks) * 100)
+    : null;
+
   // Don't render anything if modal is not open
   if (!internalIsOpen) {
     return null;
@@ -308,7 +443,7 @@ const ClickLogsModal = ({ isOpen, onClose, urlId, urlName }) => {
               margin: 0,
               marginBottom: '6px'
             }}>
-              📊 Click Analytics for "{urlName}"
+              📊 Click Analytics for "{displayName}"
             </h3>
             <p style={{ 
               fontSize: '14px', 
@@ -318,47 +453,139 @@ const ClickLogsModal = ({ isOpen, onClose, urlId, urlName }) => {
               Comprehensive insights into your URL's performance and audience
             </p>
           </div>
-          <button
-            onClick={(e) => {
-              e.stopPropagation();
-              handleClose();
-            }}
-            style={{
-              backgroundColor: 'rgba(255, 255, 255, 0.2)',
-              border: '1px solid rgba(255, 255, 255, 0.3)',
-              borderRadius: '10px',
-              padding: '10px',
-              cursor: 'pointer',
-              color: 'white',
-              transition: 'all 0.2s ease'
-            }}
-            onMouseEnter={(e) => {
-              e.target.style.backgroundColor = 'rgba(255, 255, 255, 0.3)';
-              e.target.style.transform = 'scale(1.05)';
-            }}
-            onMouseLeave={(e) => {
-              e.target.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
-              e.target.style.transform = 'scale(1)';
-            }}
-          >
-            <XMarkIcon style={{ width: '20px', height: '20px' }} />
-          </button>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowExportModal(true);
+              }}
+              style={{
+                backgroundColor: 'rgba(255, 255, 255, 0.2)',
+                border: '1px solid rgba(255, 255, 255, 0.3)',
+                borderRadius: '10px',
+                padding: '10px 14px',
+                cursor: 'pointer',
+                color: 'white',
+                fontSize: '14px',
+                fontWeight: '600',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                transition: 'all 0.2s ease'
+              }}
+              title="Export all click logs"
+            >
+              <ArrowDownTrayIcon style={{ width: '18px', height: '18px' }} />
+              Export
+            </button>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                handleClose();
+              }}
+              style={{
+                backgroundColor: 'rgba(255, 255, 255, 0.2)',
+                border: '1px solid rgba(255, 255, 255, 0.3)',
+                borderRadius: '10px',
+                padding: '10px',
+                cursor: 'pointer',
+                color: 'white',
+                transition: 'all 0.2s ease'
+              }}
+              onMouseEnter={(e) => {
+                e.target.style.backgroundColor = 'rgba(255, 255, 255, 0.3)';
+                e.target.style.transform = 'scale(1.05)';
+              }}
+              onMouseLeave={(e) => {
+                e.target.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+                e.target.style.transform = 'scale(1)';
+              }}
+            >
+              <XMarkIcon style={{ width: '20px', height: '20px' }} />
+            </button>
+          </div>
         </div>
 
         {/* Main Content */}
         <div style={{ 
           flex: 1,
           padding: '20px 24px',
-          overflow: 'hidden',
+          overflowY: 'auto',
           display: 'grid',
           gridTemplateColumns: '1fr 1fr',
-          gridTemplateRows: 'auto 1fr',
+          gridTemplateRows: variantBreakdown.length > 0 ? 'auto auto auto auto 1fr' : 'auto auto auto 1fr',
           gap: '20px',
           gridTemplateAreas: `
+            "range range"
             "stats stats"
+            "timeline timeline"
+            ${variantBreakdown.length > 0 ? '"variants variants"' : ''}
             "charts table"
           `
         }}>
+          {/* Date Range */}
+          <div style={{
+            gridArea: 'range',
+            display: 'flex',
+            flexWrap: 'wrap',
+            alignItems: 'center',
+            gap: '12px'
+          }}>
+            <div style={{ display: 'flex', gap: '4px', backgroundColor: '#f1f5f9', padding: '4px', borderRadius: '10px' }}>
+              {DATE_RANGE_PRESETS.map(preset => (
+                <button
+                  key={preset.value}
+                  onClick={() => handleRangePresetChange(preset.value)}
+                  style={{
+                    padding: '6px 14px',
+                    border: 'none',
+                    borderRadius: '8px',
+                    backgroundColor: rangePreset === preset.value ? 'white' : 'transparent',
+                    color: rangePreset === preset.value ? '#1e293b' : '#64748b',
+                    boxShadow: rangePreset === preset.value ? '0 1px 3px rgba(0, 0, 0, 0.1)' : 'none',
+                    fontSize: '13px',
+                    fontWeight: '600',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+            {rangePreset === 'custom' && (
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: '#475569' }}>
+                <input
+                  type="date"
+                  value={customRange.start}
+                  max={customRange.end || undefined}
+                  onChange={(e) => handleCustomRangeChange('start', e.target.value)}
+                  style={{ padding: '6px 10px', border: '1px solid #d1d5db', borderRadius: '8px', fontSize: '13px' }}
+                />
+                to
+                <input
+                  type="date"
+                  value={customRange.end}
+                  min={customRange.start || undefined}
+                  onChange={(e) => handleCustomRangeChange('end', e.target.value)}
+                  style={{ padding: '6px 10px', border: '1px solid #d1d5db', borderRadius: '8px', fontSize: '13px' }}
+                />
+                {!dateRange && (
+                  <span style={{ color: '#94a3b8' }}>Pick both days to apply the range</span>
+                )}
+              </div>
+            )}
+            {!allTime && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', color: '#475569', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={compareToPrevious}
+                  onChange={(e) => setCompareToPrevious(e.target.checked)}
+                />
+                Compare to previous period
+              </label>
+            )}
+          </div>
+
           {/* Stats Overview */}
           <div style={{ 
             gridArea: 'stats',
@@ -382,6 +609,13 @@ const ClickLogsModal = ({ isOpen, onClose, urlId, urlName }) => {
                 {stats.totalClicks || 0}
               </div>
               <div style={{ fontSize: '14px', opacity: 0.9, fontWeight: '500' }}>Total Clicks</div>
+              {comparing && !seriesLoading && (
+                <div style={{ fontSize: '12px', opacity: 0.85, marginTop: '4px' }}>
+                  {clickChange === null
+                    ? `${previousPeriodClicks || 0} in previous period`
+                    : `${clickChange >= 0 ? '▲' : '▼'} ${Math.abs(clickChange)}% vs previous period`}
+                </div>
+              )}
             </div>
             <div style={{ 
               background: 'linear-gradient(135deg, #f093fb 0%, #f5576c 100%)',
@@ -436,6 +670,150 @@ const ClickLogsModal = ({ isOpen, onClose, urlId, urlName }) => {
             </div>
           </div>
 
+          {/* Clicks Over Time */}
+          <div style={{
+            gridArea: 'timeline',
+            backgroundColor: 'white',
+            border: '1px solid #e2e8f0',
+            borderRadius: '16px',
+            padding: '16px',
+            height: '240px',
+            boxShadow: '0 4px 6px rgba(0, 0, 0, 0.05)',
+            display: 'flex',
+            flexDirection: 'column'
+          }}>
+            <h4 style={{
+              fontSize: '16px',
+              fontWeight: '700',
+              color: '#1e293b',
+              margin: '0 0 12px 0',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '6px'
+            }}>
+              📉 Clicks Over Time
+              <span style={{ fontSize: '12px', fontWeight: '500', color: '#64748b' }}>
+                ({BUCKET_LABELS[bucketSize]})
+              </span>
+            </h4>
+            {seriesLoading ? (
+              <div style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#64748b', fontSize: '13px' }}>
+                Loading clicks over time...
+              </div>
+            ) : clickSeries.length > 0 ? (
+              <div style={{ flex: 1, minHeight: 0 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={clickSeries}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                    <XAxis dataKey="label" stroke="#64748b" tick={{ fontSize: 10 }} minTickGap={16} />
+                    <YAxis stroke="#64748b" tick={{ fontSize: 10 }} allowDecimals={false} />
+                    <Tooltip
+                      contentStyle={{
+                        backgroundColor: 'white',
+                        border: '1px solid #e2e8f0',
+                        borderRadius: '8px',
+                        boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)'
+                      }}
+                    />
+                    {comparing && <Legend wrapperStyle={{ fontSize: '12px' }} />}
+                    <Line type="monotone" dataKey="clicks" name="This period" stroke="#3b82f6" strokeWidth={2} dot={false} />
+                    {comparing && (
+                      <Line type="monotone" dataKey="previous" name="Previous period" stroke="#94a3b8" strokeWidth={2} strokeDasharray="5 5" dot={false} />
+                    )}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            ) : (
+              <div style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#64748b', fontSize: '13px' }}>
+                {rangePreset === 'custom' && !dateRange ? 'Choose a date range' : 'No clicks in this range'}
+              </div>
+            )}
+          </div>
+
+          {/* A/B Variant Breakdown */}
+          {variantBreakdown.length > 0 && (
+            <div style={{
+              gridArea: 'variants',
+              backgroundColor: 'white',
+              border: '1px solid #e2e8f0',
+              borderRadius: '16px',
+              padding: '16px',
+              boxShadow: '0 4px 6px rgba(0, 0, 0, 0.05)'
+            }}>
+              <h4 style={{
+                fontSize: '16px',
+                fontWeight: '700',
+                color: '#1e293b',
+                margin: '0 0 12px 0',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px'
+              }}>
+                ⚖️ A/B Variants
+              </h4>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                <thead>
+                  <tr style={{ color: '#475569', fontSize: '11px', textTransform: 'uppercase', letterSpacing: '0.5px', textAlign: 'left' }}>
+                    <th style={{ padding: '8px', borderBottom: '1px solid #e2e8f0' }}>Variant</th>
+                    <th style={{ padding: '8px', borderBottom: '1px solid #e2e8f0' }}>Destination</th>
+                    <th style={{ padding: '8px', borderBottom: '1px solid #e2e8f0' }}>Weight</th>
+                    <th style={{ padding: '8px', borderBottom: '1px solid #e2e8f0' }}>Clicks</th>
+                    <th style={{ padding: '8px', borderBottom: '1px solid #e2e8f0', width: '30%' }}>Share of clicks</th>
+                    <th style={{ padding: '8px', borderBottom: '1px solid #e2e8f0' }}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {variantBreakdown.map(variant => (
+                    <tr key={variant._id || variant.label} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                      <td style={{ padding: '8px', fontWeight: '700', color: '#1e293b' }}>{variant.label}</td>
+                      <td style={{ padding: '8px', color: '#475569', maxWidth: '280px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={variant.destination}>
+                        {variant.destination}
+                      </td>
+                      <td style={{ padding: '8px', color: '#475569' }}>{variant.weight}%</td>
+                      <td style={{ padding: '8px', fontWeight: '600', color: '#1e293b' }}>{variant.clicks}</td>
+                      <td style={{ padding: '8px' }}>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                          <div style={{ flex: 1, height: '8px', backgroundColor: '#f1f5f9', borderRadius: '4px', overflow: 'hidden' }}>
+                            <div style={{ width: `${variant.share}%`, height: '100%', backgroundColor: '#8b5cf6' }} />
+                          </div>
+                          <span style={{ fontSize: '12px', color: '#64748b', minWidth: '42px' }}>{variant.share}%</span>
+                        </div>
+                      </td>
+                      <td style={{ padding: '8px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                        {winnerCandidate === variant ? (
+                          <span style={{ display: 'inline-flex', gap: '6px' }}>
+                            <button
+                              onClick={() => handleDeclareWinner(variant)}
+                              disabled={declaringWinner}
+                              style={{ padding: '4px 10px', border: 'none', borderRadius: '6px', backgroundColor: '#16a34a', color: 'white', fontSize: '12px', fontWeight: '600', cursor: 'pointer' }}
+                            >
+                              {declaringWinner ? 'Saving...' : 'Confirm'}
+                            </button>
+                            <button
+                              onClick={() => setWinnerCandidate(null)}
+                              disabled={declaringWinner}
+                              style={{ padding: '4px 10px', border: '1px solid #d1d5db', borderRadius: '6px', backgroundColor: 'white', color: '#374151', fontSize: '12px', cursor: 'pointer' }}
+                            >
+                              Cancel
+                            </button>
+                          </span>
+                        ) : (
+                          <button
+                            onClick={() => setWinnerCandidate(variant)}
+                            style={{ padding: '4px 10px', border: '1px solid #d1d5db', borderRadius: '6px', backgroundColor: 'white', color: '#374151', fontSize: '12px', fontWeight: '500', cursor: 'pointer' }}
+                            title="Make this the only destination and end the test"
+                          >
+                            🏆 Declare winner
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
           {/* Charts Section */}
           <div style={{ 
             gridArea: 'charts',
@@ -644,6 +1022,47 @@ const ClickLogsModal = ({ isOpen, onClose, urlId, urlName }) => {
               }}>
                 📈 Recent Click History
               </h4>
+              <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginTop: '12px' }}>
+                {CLICK_LOG_FILTERS.map(({ key, label }) => (
+                  <select
+                    key={key}
+                    value={filters[key]}
+                    onChange={(e) => handleFilterChange(key, e.target.value)}
+                    style={{
+                      padding: '6px 10px',
+                      border: filters[key] ? '1px solid #3b82f6' : '1px solid #d1d5db',
+                      borderRadius: '8px',
+                      backgroundColor: filters[key] ? '#eff6ff' : 'white',
+                      color: '#374151',
+                      fontSize: '12px',
+                      fontWeight: '500',
+                      maxWidth: '160px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    <option value="">All {label === 'OS' ? 'OSes' : `${label}s`}</option>
+                    {(filterOptions[key] || []).map(value => (
+                      <option key={value} value={value}>{value}</option>
+                    ))}
+                  </select>
+                ))}
+                {hasActiveFilters && (
+                  <button
+                    onClick={clearFilters}
+                    style={{
+                      padding: '6px 10px',
+                      border: 'none',
+                      backgroundColor: 'transparent',
+                      color: '#3b82f6',
+                      fontSize: '12px',
+                      fontWeight: '600',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    Clear filters
+                  </button>
+                )}
+              </div>
             </div>
             
             {loading ? (
@@ -667,7 +1086,7 @@ const ClickLogsModal = ({ isOpen, onClose, urlId, urlName }) => {
                 }}></div>
                 <p style={{ color: '#64748b', margin: 0, fontSize: '16px', fontWeight: '500' }}>Loading click logs...</p>
               </div>
-            ) : currentClickLogs.length === 0 ? (
+            ) : clickLogs.length === 0 ? (
               <div style={{ 
                 textAlign: 'center', 
                 padding: '60px 20px', 
@@ -680,7 +1099,9 @@ const ClickLogsModal = ({ isOpen, onClose, urlId, urlName }) => {
                 <div style={{ textAlign: 'center' }}>
                   <div style={{ fontSize: '48px', marginBottom: '16px' }}>📊</div>
                   <p style={{ fontSize: '16px', fontWeight: '500', margin: '0 0 8px 0' }}>No click logs found</p>
-                  <p style={{ fontSize: '14px', margin: 0, opacity: 0.7 }}>This URL hasn't been clicked yet</p>
+                  <p style={{ fontSize: '14px', margin: 0, opacity: 0.7 }}>
+                    {hasActiveFilters ? 'No clicks match the selected filters' : 'No clicks in the selected date range'}
+                  </p>
                 </div>
               </div>
             ) : (
@@ -737,8 +1158,8 @@ const ClickLogsModal = ({ isOpen, onClose, urlId, urlName }) => {
                     </tr>
                   </thead>
                   <tbody>
-                    {currentClickLogs.map((log, index) => (
-                      <tr key={index} style={{ 
+                    {clickLogs.map((log, index) => (
+                      <tr key={log._id || index} style={{ 
                         borderBottom: '1px solid #f1f5f9',
                         backgroundColor: index % 2 === 0 ? 'white' : '#f8fafc',
                         transition: 'all 0.2s ease'
@@ -759,10 +1180,10 @@ const ClickLogsModal = ({ isOpen, onClose, urlId, urlName }) => {
                         }}>
                           <div style={{ display: 'flex', flexDirection: 'column', gap: '3px' }}>
                             <span style={{ fontWeight: '700', color: '#1e293b' }}>
-                              {new Date(log.timestamp).toLocaleTimeString()}
+                              {formatDisplayDate(log.timestamp, { timeStyle: 'medium' })}
                             </span>
                             <span style={{ fontSize: '11px', color: '#64748b' }}>
-                              {new Date(log.timestamp).toLocaleDateString()}
+                              {formatDisplayDate(log.timestamp, { dateStyle: 'medium' })}
                             </span>
                           </div>
                         </td>
@@ -876,7 +1297,7 @@ const ClickLogsModal = ({ isOpen, onClose, urlId, urlName }) => {
                       color: '#64748b',
                       fontWeight: '500'
                     }}>
-                      Showing {startIndex + 1}-{Math.min(endIndex, clickLogs.length)} of {clickLogs.length} clicks
+                      Showing {startIndex + 1}-{startIndex + clickLogs.length} of {totalLogs} clicks
                     </div>
                     
                     <div style={{
@@ -925,38 +1346,50 @@ const ClickLogsModal = ({ isOpen, onClose, urlId, urlName }) => {
                         alignItems: 'center',
                         gap: '4px'
                       }}>
-                        {Array.from({ length: totalPages }, (_, i) => i + 1).map(page => (
-                          <button
-                            key={page}
-                            onClick={() => handlePageChange(page)}
-                            style={{
-                              padding: '8px 12px',
-                              border: '1px solid #d1d5db',
-                              borderRadius: '8px',
-                              backgroundColor: page === currentPage ? '#3b82f6' : 'white',
-                              color: page === currentPage ? 'white' : '#374151',
-                              cursor: 'pointer',
-                              fontSize: '13px',
-                              fontWeight: '500',
-                              minWidth: '40px',
-                              transition: 'all 0.2s ease'
-                            }}
-                            onMouseEnter={(e) => {
-                              if (page !== currentPage) {
-                                e.target.style.backgroundColor = '#f9fafb';
-                                e.target.style.borderColor = '#9ca3af';
-                              }
-                            }}
-                            onMouseLeave={(e) => {
-                              if (page !== currentPage) {
-                                e.target.style.backgroundColor = 'white';
-                                e.target.style.borderColor = '#d1d5db';
-                              }
-                            }}
-                          >
-                            {page}
-                          </button>
-                        ))}
+                        {Array.from({ length: Math.min(5, totalPages) }, (_, i) => {
+                          // Keep a five-page window centred on the current page
+                          let page;
+                          if (totalPages <= 5 || currentPage <= 3) {
+                            page = i + 1;
+                          } else if (currentPage >= totalPages - 2) {
+                            page = totalPages - 4 + i;
+                          } else {
+                            page = currentPage - 2 + i;
+                          }
+
+                          return (
+                            <button
+                              key={page}
+                              onClick={() => handlePageChange(page)}
+                              style={{
+                                padding: '8px 12px',
+                                border: '1px solid #d1d5db',
+                                borderRadius: '8px',
+                                backgroundColor: page === currentPage ? '#3b82f6' : 'white',
+                                color: page === currentPage ? 'white' : '#374151',
+                                cursor: 'pointer',
+                                fontSize: '13px',
+                                fontWeight: '500',
+                                minWidth: '40px',
+                                transition: 'all 0.2s ease'
+                              }}
+                              onMouseEnter={(e) => {
+                                if (page !== currentPage) {
+                                  e.target.style.backgroundColor = '#f9fafb';
+                                  e.target.style.borderColor = '#9ca3af';
+                                }
+                              }}
+                              onMouseLeave={(e) => {
+                                if (page !== currentPage) {
+                                  e.target.style.backgroundColor = 'white';
+                                  e.target.style.borderColor = '#d1d5db';
+                                }
+                              }}
+                            >
+                              {page}
+                            </button>
+                          );
+                        })}
                       </div>
                       
                       {/* Next Page Button */}
@@ -1002,6 +1435,16 @@ const ClickLogsModal = ({ isOpen, onClose, urlId, urlName }) => {
         </div>
       </div>
       
+      <ExportModal
+        isOpen={showExportModal}
+        onClose={() => setShowExportModal(false)}
+        title="Export Click Logs"
+        description={`Every recorded click for "${displayName}"`}
+        columns={getClickLogExportColumns()}
+        fetchRecords={() => urlService.getAllUrlClickLogs(urlId)}
+        fileBaseName={`click-logs-${toSafeFileName(displayName || urlId)}`}
+      />
+
       <style>{`
         @keyframes spin {
           0% { transform: rotate(0deg); }
@@ -0,0 +1,24 @@
+import { useState, useEffect } from 'react';
+import { formatCountdown } from '../utils/linkSchedule';
+
+// Ticks every second in the last hour, otherwise every 30 seconds
+const Countdown = ({ target, onComplete }) => {
+  const targetTime = new Date(target).getTime();
+  const [now, setNow] = useState(Date.now());
+  const remaining = targetTime - now;
+
+  useEffect(() => {
+    if (remaining <= 0) {
+      onComplete?.();
+      return undefined;
+    }
+
+    const delay = remaining <= 60 * 60 * 1000 ? 1000 : 30 * 1000;
+    const timer = setTimeout(() => setNow(Date.now()), Math.min(delay, remaining));
+    return () => clearTimeout(timer);
+  }, [remaining, onComplete]);
+
+  return <span>{formatCountdown(remaining)}</span>;
+};
+
+export default Countdown;
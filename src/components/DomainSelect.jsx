@@ -0,0 +1,32 @@
+import { getVerifiedDomains } from '../utils/domains';
+import { SHORT_URL_BASE } from '../utils/shortLink';
+import { getDisplayDomain } from '../utils/linkPreview';
+
+const DomainSelect = ({ value, onChange, domains, inheritedDomain }) => {
+  const verifiedDomains = getVerifiedDomains(domains);
+  // Keep a domain that has since lost verification selectable, so saving doesn't silently drop it
+  const isUnverified = value && !verifiedDomains.some(domain => domain.hostname === value);
+  const defaultLabel = inheritedDomain
+    ? `Group domain (${inheritedDomain})`
+    : `Default (${getDisplayDomain(SHORT_URL_BASE)})`;
+
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="input-field"
+    >
+      <option value="">{defaultLabel}</option>
+      {verifiedDomains.map(domain => (
+        <option key={domain._id} value={domain.hostname}>
+          {domain.hostname}
+        </option>
+      ))}
+      {isUnverified && (
+        <option value={value}>{value} (not verified)</option>
+      )}
+    </select>
+  );
+};
+
+export default DomainSelect;
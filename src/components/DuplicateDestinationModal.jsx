@@ -0,0 +1,97 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { buildUrlShortLink } from '../utils/shortLink';
+import { STATUS_BADGES, getUrlStatus } from '../utils/urlStatus';
+import { formatDisplayDate } from '../utils/timezone';
+import { DocumentDuplicateIcon, EyeIcon, ClipboardIcon, PencilIcon } from '@heroicons/react/24/outline';
+
+const DuplicateDestinationModal = ({ matches, groups, onReuse, onOpen, onCreateAnyway, onClose }) => (
+  <AnimatePresence>
+    {matches && (
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 z-50 overflow-y-auto"
+      >
+        <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+          <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={onClose} />
+
+          <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-2xl text-left overflow-hidden shadow-2xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+            <div className="px-6 pt-6 pb-4">
+              <div className="flex items-center mb-4">
+                <div className="h-12 w-12 bg-gradient-to-br from-yellow-500 to-yellow-600 rounded-xl flex items-center justify-center mr-4">
+                  <DocumentDuplicateIcon className="h-6 w-6 text-white" />
+                </div>
+                <div>
+                  <h3 className="text-xl font-semibold text-gray-900 dark:text-white">This destination already has short links</h3>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">Reusing one keeps its clicks in a single place</p>
+                </div>
+              </div>
+
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700 max-h-80 overflow-y-auto">
+                {matches.map(url => (
+                  <li key={url._id} className="py-3">
+                    <div className="flex items-start justify-between gap-3">
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-gray-900 dark:text-white truncate">{url.name || 'Unnamed URL'}</p>
+                        <p className="text-xs font-mono text-primary-600 dark:text-primary-400 truncate">{buildUrlShortLink(url, groups)}</p>
+                        <div className="flex items-center gap-3 mt-1 text-xs text-gray-500 dark:text-gray-400">
+                          <span className="flex items-center">
+                            <EyeIcon className="h-3 w-3 mr-1" />
+                            {url.noOfClicks || url.clicks || 0} clicks
+                          </span>
+                          {url.createdAt && <span>Created {formatDisplayDate(url.createdAt, { dateStyle: 'medium' })}</span>}
+                          <span className={`inline-flex items-center px-1.5 rounded-full font-medium ${STATUS_BADGES[getUrlStatus(url)].className}`}>
+                            {STATUS_BADGES[getUrlStatus(url)].label}
+                          </span>
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-1 flex-shrink-0">
+                        <button
+                          type="button"
+                          onClick={() => onReuse(url)}
+                          className="inline-flex items-center px-2 py-1 text-xs font-medium text-primary-600 dark:text-primary-400 bg-primary-50 dark:bg-primary-900/20 rounded-lg hover:bg-primary-100 dark:hover:bg-primary-900/40"
+                          title="Copy this short link instead of creating a new one"
+                        >
+                          <ClipboardIcon className="h-3 w-3 mr-1" />
+                          Reuse
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => onOpen(url)}
+                          className="p-1.5 text-gray-500 hover:text-blue-600 dark:hover:text-blue-400 rounded-lg"
+                          title="Open this URL"
+                        >
+                          <PencilIcon className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            <div className="bg-gray-50 dark:bg-gray-700 px-6 py-4 sm:flex sm:flex-row-reverse">
+              <button
+                type="button"
+                onClick={onCreateAnyway}
+                className="btn-primary w-full sm:w-auto sm:ml-3"
+              >
+                Create new link anyway
+              </button>
+              <button
+                type="button"
+                onClick={onClose}
+                className="btn-secondary w-full sm:w-auto mt-3 sm:mt-0"
+              >
+                Back
+              </button>
+            </div>
+          </div>
+        </div>
+      </motion.div>
+    )}
+  </AnimatePresence>
+);
+
+export default DuplicateDestinationModal;
@@ -0,0 +1,153 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { EXPORT_FORMATS, buildExportRows, downloadRows } from '../utils/spreadsheet';
+import { ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+
+const ExportModal = ({ isOpen, onClose, title, description, columns, fetchRecords, fileBaseName }) => {
+  const [format, setFormat] = useState('csv');
+  const [selectedKeys, setSelectedKeys] = useState(() => columns.map(column => column.key));
+  const [exporting, setExporting] = useState(false);
+
+  const toggleColumn = (key) => {
+    setSelectedKeys(prev =>
+      prev.includes(key) ? prev.filter(item => item !== key) : [...prev, key]
+    );
+  };
+
+  const handleExport = async () => {
+    const chosenColumns = columns.filter(column => selectedKeys.includes(column.key));
+    if (chosenColumns.length === 0) {
+      toast.error('Select at least one column');
+      return;
+    }
+
+    try {
+      setExporting(true);
+      const records = await fetchRecords();
+      const rows = buildExportRows(records, chosenColumns);
+      const stamp = new Date().toISOString().slice(0, 10);
+      downloadRows(rows, chosenColumns.map(column => column.label), format, `${fileBaseName}-${stamp}`);
+      toast.success(`Exported ${records.length} record(s)`);
+      onClose();
+    } catch (error) {
+      toast.error(error.message || 'Export failed');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // z-[10050] keeps the dialog above the full-screen analytics modal (z-index 10000)
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-[10050] overflow-y-auto"
+        >
+          <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+            <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={() => !exporting && onClose()} />
+
+            <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-2xl text-left overflow-hidden shadow-2xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+              <div className="px-6 pt-6 pb-4">
+                <div className="flex items-center mb-6">
+                  <div className="h-12 w-12 bg-gradient-to-br from-green-500 to-green-600 rounded-xl flex items-center justify-center mr-4">
+                    <ArrowDownTrayIcon className="h-6 w-6 text-white" />
+                  </div>
+                  <div>
+                    <h3 className="text-xl font-semibold text-gray-900 dark:text-white">{title}</h3>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">{description}</p>
+                  </div>
+                </div>
+
+                <div className="space-y-5">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      Format
+                    </label>
+                    <div className="flex gap-2">
+                      {EXPORT_FORMATS.map((option) => (
+                        <button
+                          key={option.value}
+                          type="button"
+                          onClick={() => setFormat(option.value)}
+                          className={`px-3 py-1.5 text-sm font-medium rounded-lg border transition-all duration-200 ${
+                            format === option.value
+                              ? 'bg-primary-600 border-primary-600 text-white'
+                              : 'bg-white dark:bg-gray-800 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+                          }`}
+                        >
+                          {option.label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div>
+                    <div className="flex items-center justify-between mb-2">
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                        Columns
+                      </label>
+                      <div className="flex gap-3 text-xs">
+                        <button
+                          type="button"
+                          onClick={() => setSelectedKeys(columns.map(column => column.key))}
+                          className="text-primary-600 dark:text-primary-400 hover:underline"
+                        >
+                          All
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setSelectedKeys([])}
+                          className="text-primary-600 dark:text-primary-400 hover:underline"
+                        >
+                          None
+                        </button>
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                      {columns.map((column) => (
+                        <label key={column.key} className="flex items-center text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={selectedKeys.includes(column.key)}
+                            onChange={() => toggleColumn(column.key)}
+                            className="h-4 w-4 mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                          />
+                          {column.label}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              </div>
+
+              <div className="bg-gray-50 dark:bg-gray-700 px-6 py-4 sm:flex sm:flex-row-reverse">
+                <button
+                  type="button"
+                  onClick={handleExport}
+                  disabled={exporting}
+                  className="btn-primary w-full sm:w-auto sm:ml-3 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {exporting ? 'Collecting data...' : 'Export'}
+                </button>
+                <button
+                  type="button"
+                  onClick={onClose}
+                  disabled={exporting}
+                  className="btn-secondary w-full sm:w-auto mt-3 sm:mt-0 disabled:opacity-50"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ExportModal;
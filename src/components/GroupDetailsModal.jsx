@@ -3,6 +3,9 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { urlService } from '../services/urlService';
 import toast from 'react-hot-toast';
 import ClickLogsModal from './ClickLogsModal';
+import QrCodeModal from './QrCodeModal';
+import { formatDisplayDate } from '../utils/timezone';
+import { buildUrlShortLink } from '../utils/shortLink';
 import {
   XMarkIcon,
   LinkIcon,
@@ -12,12 +15,15 @@ import {
   ClipboardIcon,
   GlobeAltIcon,
   UserGroupIcon,
+  QrCodeIcon,
 } from '@heroicons/react/24/outline';
 
 const GroupDetailsModal = ({ isOpen, onClose, group, urls }) => {
   const [loading, setLoading] = useState(false);
   const [showClickLogsModal, setShowClickLogsModal] = useState(false);
   const [selectedUrl, setSelectedUrl] = useState(null);
+  // URLs shown in the QR modal: one row, or the whole group for a ZIP download
+  const [qrUrls, setQrUrls] = useState(null);
 
   const groupUrls = useMemo(() => {
     if (isOpen && group && urls && Array.isArray(urls)) {
@@ -38,6 +44,18 @@ const GroupDetailsModal = ({ isOpen, onClose, group, urls }) => {
     }
   };
 
+  // The list passed in is only the current page, so the ZIP fetches every URL in the group
+  const openGroupQrCodes = async () => {
+    try {
+      setLoading(true);
+      setQrUrls(await urlService.getAllShortUrls({ groupId: group._id }));
+    } catch (error) {
+      toast.error(error.message || 'Failed to load the URLs in this group');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const openClickLogsModal = (url) => {
     setSelectedUrl(url);
     setShowClickLogsModal(true);
@@ -173,10 +191,10 @@ const GroupDetailsModal = ({ isOpen, onClose, group, urls }) => {
                                 <div className="flex items-center space-x-2">
                                   <span className="text-xs text-gray-500 dark:text-gray-400">Short:</span>
                                   <span className="text-xs font-mono text-primary-600 dark:text-primary-400">
-                                    {url.shortUrl ? `${import.meta.env.VITE_SHORT_URL_BASE || window.location.origin}/${url.shortUrl}` : 'No short URL'}
+                                    {url.shortUrl ? buildUrlShortLink(url, [group]) : 'No short URL'}
                                   </span>
                                   <button
-                                    onClick={() => url.shortUrl ? copyToClipboard(`${import.meta.env.VITE_SHORT_URL_BASE || window.location.origin}/${url.shortUrl}`) : null}
+                                    onClick={() => url.shortUrl ? copyToClipboard(buildUrlShortLink(url, [group])) : null}
                                     className="p-1 text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 hover:bg-primary-50 dark:hover:bg-primary-900/20 rounded transition-all duration-200"
                                     title="Copy short URL"
                                   >
@@ -192,7 +210,7 @@ const GroupDetailsModal = ({ isOpen, onClose, group, urls }) => {
                                   </div>
                                   <div className="flex items-center space-x-1">
                                     <CalendarIcon className="h-3 w-3" />
-                                    <span>{url.createdAt ? new Date(url.createdAt).toLocaleDateString() : 'Unknown'}</span>
+                                    <span>{url.createdAt ? formatDisplayDate(url.createdAt, { dateStyle: 'medium' }) : 'Unknown'}</span>
                                   </div>
                                 </div>
                               </div>
@@ -206,10 +224,20 @@ const GroupDetailsModal = ({ isOpen, onClose, group, urls }) => {
                               >
                                 <ChartBarIcon className="h-4 w-4" />
                               </button>
+
+                              {url.shortUrl && (
+                                <button
+                                  onClick={() => setQrUrls([url])}
+                                  className="p-2 text-gray-500 hover:text-gray-900 dark:hover:text-white hover:bg-gray-100 dark:hover:bg-gray-600 rounded-lg transition-all duration-200"
+                                  title="QR Code"
+                                >
+                                  <QrCodeIcon className="h-4 w-4" />
+                                </button>
+                              )}
                               
                               {url.shortUrl && (
                                 <a
-                                  href={`${import.meta.env.VITE_SHORT_URL_BASE || window.location.origin}/${url.shortUrl}`}
+                                  href={buildUrlShortLink(url, [group])}
                                   target="_blank"
                                   rel="noopener noreferrer"
                                   className="p-2 text-gray-500 hover:text-primary-600 dark:hover:text-primary-400 hover:bg-primary-50 dark:hover:bg-primary-900/20 rounded-lg transition-all duration-200"
@@ -239,7 +267,17 @@ const GroupDetailsModal = ({ isOpen, onClose, group, urls }) => {
               </div>
 
               {/* Footer */}
-              <div className="bg-gray-50 dark:bg-gray-700 px-6 py-4 flex justify-end">
+              <div className="bg-gray-50 dark:bg-gray-700 px-6 py-4 flex justify-end gap-3">
+                {groupUrls.length > 0 && (
+                  <button
+                    onClick={openGroupQrCodes}
+                    disabled={loading}
+                    className="btn-secondary inline-flex items-center disabled:opacity-50"
+                  >
+                    <QrCodeIcon className="h-4 w-4 mr-2" />
+                    {loading ? 'Loading URLs...' : 'Download QR codes for this group'}
+                  </button>
+                )}
                 <button
                   onClick={onClose}
                   className="btn-secondary"
@@ -259,6 +297,15 @@ const GroupDetailsModal = ({ isOpen, onClose, group, urls }) => {
         urlId={selectedUrl?._id}
         urlName={selectedUrl?.name}
       />
+
+      {/* QR Code Modal */}
+      <QrCodeModal
+        isOpen={!!qrUrls}
+        onClose={() => setQrUrls(null)}
+        urls={qrUrls || []}
+        groups={[group]}
+        title={group.name}
+      />
     </AnimatePresence>
   );
 };
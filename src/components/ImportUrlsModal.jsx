@@ -0,0 +1,477 @@
+import { useState, useMemo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { urlService } from '../services/urlService';
+import { parseSpreadsheetFile, SPREADSHEET_ACCEPT } from '../utils/spreadsheet';
+import {
+  IMPORT_FIELDS,
+  guessColumnMapping,
+  mapRowsToUrls,
+  validateImportRow,
+  findDuplicateSlugs,
+} from '../utils/urlImport';
+import { isFormValid } from '../utils/validation';
+import { convertInputToISO, getActiveTimeZone } from '../utils/timezone';
+import { runInBatches } from '../utils/batch';
+import { describeScreeningReason } from '../utils/urlScreening';
+import {
+  ArrowUpTrayIcon,
+  DocumentArrowUpIcon,
+  TrashIcon,
+  CheckCircleIcon,
+  XCircleIcon,
+} from '@heroicons/react/24/outline';
+
+// Requests per batch and pause between batches, to stay under the API rate limit
+const IMPORT_BATCH_SIZE = 5;
+const IMPORT_BATCH_DELAY_MS = 500;
+
+const ImportUrlsModal = ({ isOpen, onClose, groups, onImported }) => {
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [sheet, setSheet] = useState({ headers: [], rows: [] });
+  const [mapping, setMapping] = useState({});
+  const [rows, setRows] = useState([]);
+  const [parsing, setParsing] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [showProblemsOnly, setShowProblemsOnly] = useState(false);
+
+  const rowErrors = useMemo(() => {
+    const duplicateSlugs = findDuplicateSlugs(rows);
+    return Object.fromEntries(rows.map(row => [row.rowId, validateImportRow(row, duplicateSlugs)]));
+  }, [rows]);
+
+  const summary = useMemo(() => {
+    const created = rows.filter(row => row.status === 'created').length;
+    const invalid = rows.filter(row => row.status !== 'created' && !isFormValid(rowErrors[row.rowId])).length;
+    return {
+      total: rows.length,
+      created,
+      invalid,
+      ready: rows.length - created - invalid,
+    };
+  }, [rows, rowErrors]);
+
+  const visibleRows = showProblemsOnly
+    ? rows.filter(row => row.status === 'failed' || !isFormValid(rowErrors[row.rowId]))
+    : rows;
+
+  const resetImport = () => {
+    setStep('upload');
+    setFileName('');
+    setSheet({ headers: [], rows: [] });
+    setMapping({});
+    setRows([]);
+    setProgress({ done: 0, total: 0 });
+    setShowProblemsOnly(false);
+  };
+
+  const handleClose = () => {
+    if (importing) return;
+    resetImport();
+    onClose();
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setParsing(true);
+      const parsed = await parseSpreadsheetFile(file);
+      if (parsed.rows.length === 0) {
+        toast.error('The file has no data rows');
+        return;
+      }
+      setFileName(file.name);
+      setSheet(parsed);
+      setMapping(guessColumnMapping(parsed.headers));
+      setStep('map');
+    } catch (error) {
+      toast.error(error.message || 'Could not read the file');
+    } finally {
+      setParsing(false);
+    }
+  };
+
+  const handleMappingContinue = () => {
+    const missing = IMPORT_FIELDS.filter(field => field.required && mapping[field.key] === '');
+    if (missing.length > 0) {
+      toast.error(`Choose a column for ${missing.map(field => field.label).join(' and ')}`);
+      return;
+    }
+    setRows(mapRowsToUrls(sheet.rows, mapping, groups));
+    setStep('preview');
+  };
+
+  const updateRow = (rowId, field, value) => {
+    setRows(prev => prev.map(row => {
+      if (row.rowId !== rowId) return row;
+      return {
+        ...row,
+        [field]: value,
+        // An edited cell replaces whatever could not be read from the file
+        ...(field === 'groupId' ? { unmatchedGroup: '' } : {}),
+        ...(field === 'expiresAt' ? { invalidExpiry: '' } : {}),
+        status: row.status === 'failed' ? 'pending' : row.status,
+        message: row.status === 'failed' ? null : row.message,
+      };
+    }));
+  };
+
+  const removeRow = (rowId) => {
+    setRows(prev => prev.filter(row => row.rowId !== rowId));
+  };
+
+  const handleImport = async () => {
+    const rowsToImport = rows.filter(row =>
+      row.status !== 'created' && isFormValid(rowErrors[row.rowId])
+    );
+    if (rowsToImport.length === 0) {
+      toast.error('There are no valid rows to import');
+      return;
+    }
+
+    setImporting(true);
+    setProgress({ done: 0, total: rowsToImport.length });
+
+    const outcomes = await runInBatches(
+      rowsToImport,
+      async (row) => {
+        // Warnings can't be confirmed row by row here, so flagged rows are left for the URLs page
+        const screening = await urlService.screenDestinations([row.originalUrl.trim()]);
+        if (screening.verdict !== 'allow') {
+          const reasons = screening.reasons.map(describeScreeningReason).join('; ');
+          throw new Error(screening.verdict === 'block'
+            ? `Blocked: ${reasons}`
+            : `Flagged: ${reasons}. Create it from the URLs page to confirm.`);
+        }
+
+        return urlService.createShortUrl({
+          name: row.name.trim(),
+          originalUrl: row.originalUrl.trim(),
+          shortUrl: row.shortUrl,
+          groupId: row.groupId === '' ? null : row.groupId,
+          // Convert expiresAt from the user's timezone (datetime-local) to ISO string for backend
+          expiresAt: row.expiresAt === '' ? undefined : convertInputToISO(row.expiresAt),
+        });
+      },
+      {
+        batchSize: IMPORT_BATCH_SIZE,
+        delayMs: IMPORT_BATCH_DELAY_MS,
+        onProgress: (done, total) => setProgress({ done, total }),
+      }
+    );
+
+    const outcomesByRow = new Map(outcomes.map(outcome => [outcome.item.rowId, outcome]));
+    setRows(prev => prev.map(row => {
+      const outcome = outcomesByRow.get(row.rowId);
+      if (!outcome) return row;
+      return {
+        ...row,
+        status: outcome.success ? 'created' : 'failed',
+        message: outcome.success ? null : (outcome.error?.message || 'Failed to create URL'),
+      };
+    }));
+    setImporting(false);
+
+    const createdCount = outcomes.filter(outcome => outcome.success).length;
+    const failedCount = outcomes.length - createdCount;
+    if (failedCount === 0) {
+      toast.success(`${createdCount} URL(s) imported successfully!`);
+    } else {
+      toast.error(`${createdCount} imported, ${failedCount} failed`);
+      setShowProblemsOnly(true);
+    }
+    if (createdCount > 0) {
+      onImported();
+    }
+  };
+
+  const renderCellError = (rowId, field) => {
+    const error = rowErrors[rowId]?.[field];
+    return error ? <p className="text-xs text-red-600 dark:text-red-400 mt-1">{error}</p> : null;
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 overflow-y-auto"
+        >
+          <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+            <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={handleClose} />
+
+            <div className={`inline-block align-bottom bg-white dark:bg-gray-800 rounded-2xl text-left overflow-hidden shadow-2xl transform transition-all sm:my-8 sm:align-middle sm:w-full ${
+              step === 'preview' ? 'sm:max-w-6xl' : 'sm:max-w-lg'
+            }`}>
+              <div className="px-6 pt-6 pb-4">
+                <div className="flex items-center mb-6">
+                  <div className="h-12 w-12 bg-gradient-to-br from-primary-500 to-primary-600 rounded-xl flex items-center justify-center mr-4">
+                    <ArrowUpTrayIcon className="h-6 w-6 text-white" />
+                  </div>
+                  <div>
+                    <h3 className="text-xl font-semibold text-gray-900 dark:text-white">Import URLs</h3>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      {fileName || 'Create many short URLs from a CSV or Excel file'}
+                    </p>
+                  </div>
+                </div>
+
+                {/* Step 1: choose a file */}
+                {step === 'upload' && (
+                  <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-xl p-10 cursor-pointer hover:border-primary-400 hover:bg-primary-50/50 dark:hover:bg-primary-900/10 transition-all duration-200">
+                    <DocumentArrowUpIcon className="h-10 w-10 text-gray-400 mb-3" />
+                    <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                      {parsing ? 'Reading file...' : 'Choose a .csv, .xlsx or .xls file'}
+                    </span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400 mt-2 text-center">
+                      The first row must contain column headers. Dates without a timezone are read as {getActiveTimeZone()} time.
+                    </span>
+                    <input
+                      type="file"
+                      accept={SPREADSHEET_ACCEPT}
+                      onChange={handleFileChange}
+                      disabled={parsing}
+                      className="sr-only"
+                    />
+                  </label>
+                )}
+
+                {/* Step 2: map columns to fields */}
+                {step === 'map' && (
+                  <div className="space-y-4">
+                    <p className="text-sm text-gray-600 dark:text-gray-400">
+                      Found {sheet.rows.length} row(s). Choose which column holds each field.
+                    </p>
+                    {IMPORT_FIELDS.map((field) => (
+                      <div key={field.key}>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                          {field.label} {field.required ? <span className="text-red-500">*</span> : '(Optional)'}
+                        </label>
+                        <select
+                          value={mapping[field.key]}
+                          onChange={(e) => setMapping({
+                            ...mapping,
+                            [field.key]: e.target.value === '' ? '' : Number(e.target.value),
+                          })}
+                          className="input-field"
+                        >
+                          <option value="">Not in file</option>
+                          {sheet.headers.map((header, index) => (
+                            <option key={`${header}-${index}`} value={index}>
+                              {header}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {/* Step 3: review and edit rows */}
+                {step === 'preview' && (
+                  <div className="space-y-4">
+                    <div className="flex flex-wrap items-center justify-between gap-3">
+                      <div className="flex flex-wrap gap-2 text-xs font-medium">
+                        <span className="px-2 py-1 rounded-full bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300">{summary.total} rows</span>
+                        <span className="px-2 py-1 rounded-full bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400">{summary.ready} ready</span>
+                        <span className="px-2 py-1 rounded-full bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400">{summary.invalid} with errors</span>
+                        {summary.created > 0 && (
+                          <span className="px-2 py-1 rounded-full bg-primary-100 text-primary-800 dark:bg-primary-900/20 dark:text-primary-400">{summary.created} imported</span>
+                        )}
+                      </div>
+                      <label className="flex items-center text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={showProblemsOnly}
+                          onChange={(e) => setShowProblemsOnly(e.target.checked)}
+                          className="h-4 w-4 mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                        />
+                        Only show rows with problems
+                      </label>
+                    </div>
+
+                    {importing && (
+                      <div>
+                        <div className="flex justify-between text-xs text-gray-600 dark:text-gray-400 mb-1">
+                          <span>Importing...</span>
+                          <span>{progress.done} / {progress.total}</span>
+                        </div>
+                        <div className="h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                          <div
+                            className="h-full bg-primary-600 transition-all duration-300"
+                            style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+                          />
+                        </div>
+                      </div>
+                    )}
+
+                    <div className="max-h-[55vh] overflow-auto border border-gray-200 dark:border-gray-700 rounded-xl">
+                      <table className="min-w-full text-sm">
+                        <thead className="bg-gray-50 dark:bg-gray-700 sticky top-0 z-10">
+                          <tr className="text-left text-xs font-semibold text-gray-600 dark:text-gray-300 uppercase">
+                            <th className="px-3 py-2">Row</th>
+                            <th className="px-3 py-2">Name</th>
+                            <th className="px-3 py-2">Original URL</th>
+                            <th className="px-3 py-2">Short URL</th>
+                            <th className="px-3 py-2">Group</th>
+                            <th className="px-3 py-2">Expires ({getActiveTimeZone()})</th>
+                            <th className="px-3 py-2">Status</th>
+                            <th className="px-3 py-2"></th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                          {visibleRows.map((row) => {
+                            const locked = importing || row.status === 'created';
+                            const rowValid = isFormValid(rowErrors[row.rowId]);
+                            return (
+                              <tr key={row.rowId} className={row.status === 'created' ? 'bg-green-50/60 dark:bg-green-900/10' : ''}>
+                                <td className="px-3 py-2 align-top text-gray-500 dark:text-gray-400">{row.sourceRow}</td>
+                                <td className="px-3 py-2 align-top min-w-40">
+                                  <input
+                                    type="text"
+                                    value={row.name}
+                                    disabled={locked}
+                                    onChange={(e) => updateRow(row.rowId, 'name', e.target.value)}
+                                    className="input-field py-1 text-sm"
+                                  />
+                                  {renderCellError(row.rowId, 'name')}
+                                </td>
+                                <td className="px-3 py-2 align-top min-w-64">
+                                  <input
+                                    type="text"
+                                    value={row.originalUrl}
+                                    disabled={locked}
+                                    onChange={(e) => updateRow(row.rowId, 'originalUrl', e.target.value)}
+                                    className="input-field py-1 text-sm"
+                                  />
+                                  {renderCellError(row.rowId, 'originalUrl')}
+                                </td>
+                                <td className="px-3 py-2 align-top min-w-36">
+                                  <input
+                                    type="text"
+                                    value={row.shortUrl}
+                                    disabled={locked}
+                                    onChange={(e) => updateRow(row.rowId, 'shortUrl', e.target.value)}
+                                    className="input-field py-1 text-sm"
+                                    placeholder="Auto"
+                                  />
+                                  {renderCellError(row.rowId, 'shortUrl')}
+                                </td>
+                                <td className="px-3 py-2 align-top min-w-36">
+                                  <select
+                                    value={row.groupId}
+                                    disabled={locked}
+                                    onChange={(e) => updateRow(row.rowId, 'groupId', e.target.value)}
+                                    className="input-field py-1 text-sm"
+                                  >
+                                    <option value="">No Group</option>
+                                    {groups.map((group) => (
+                                      <option key={group._id} value={group._id}>
+                                        {group.name}
+                                      </option>
+                                    ))}
+                                  </select>
+                                  {renderCellError(row.rowId, 'groupId')}
+                                </td>
+                                <td className="px-3 py-2 align-top min-w-48">
+                                  <input
+                                    type="datetime-local"
+                                    value={row.expiresAt}
+                                    disabled={locked}
+                                    onChange={(e) => updateRow(row.rowId, 'expiresAt', e.target.value)}
+                                    className="input-field py-1 text-sm"
+                                  />
+                                  {renderCellError(row.rowId, 'expiresAt')}
+                                </td>
+                                <td className="px-3 py-2 align-top">
+                                  {row.status === 'created' ? (
+                                    <span className="inline-flex items-center text-xs text-green-700 dark:text-green-400">
+                                      <CheckCircleIcon className="h-4 w-4 mr-1" /> Imported
+                                    </span>
+                                  ) : row.status === 'failed' ? (
+                                    <span className="inline-flex items-start text-xs text-red-600 dark:text-red-400" title={row.message}>
+                                      <XCircleIcon className="h-4 w-4 mr-1 flex-shrink-0" /> {row.message}
+                                    </span>
+                                  ) : (
+                                    <span className={`text-xs ${rowValid ? 'text-gray-600 dark:text-gray-300' : 'text-red-600 dark:text-red-400'}`}>
+                                      {rowValid ? 'Ready' : 'Fix errors'}
+                                    </span>
+                                  )}
+                                </td>
+                                <td className="px-3 py-2 align-top">
+                                  {!locked && (
+                                    <button
+                                      type="button"
+                                      onClick={() => removeRow(row.rowId)}
+                                      className="p-1.5 text-gray-400 hover:text-red-600 dark:hover:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-all duration-200"
+                                      title="Remove row"
+                                    >
+                                      <TrashIcon className="h-4 w-4" />
+                                    </button>
+                                  )}
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              <div className="bg-gray-50 dark:bg-gray-700 px-6 py-4 sm:flex sm:flex-row-reverse">
+                {step === 'map' && (
+                  <button
+                    type="button"
+                    onClick={handleMappingContinue}
+                    className="btn-primary w-full sm:w-auto sm:ml-3"
+                  >
+                    Preview Rows
+                  </button>
+                )}
+                {step === 'preview' && (
+                  <button
+                    type="button"
+                    onClick={handleImport}
+                    disabled={importing || summary.ready === 0}
+                    className="btn-primary w-full sm:w-auto sm:ml-3 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {importing ? 'Importing...' : `Import ${summary.ready} URL(s)`}
+                  </button>
+                )}
+                {step !== 'upload' && (
+                  <button
+                    type="button"
+                    onClick={resetImport}
+                    disabled={importing}
+                    className="btn-secondary w-full sm:w-auto sm:ml-3 mt-3 sm:mt-0 disabled:opacity-50"
+                  >
+                    Choose Another File
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={handleClose}
+                  disabled={importing}
+                  className="btn-secondary w-full sm:w-auto mt-3 sm:mt-0 disabled:opacity-50"
+                >
+                  {summary.created > 0 ? 'Done' : 'Cancel'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ImportUrlsModal;
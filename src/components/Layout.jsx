@@ -8,6 +8,9 @@ import {
   HomeIcon,
   LinkIcon,
   FolderIcon,
+  TagIcon,
+  TrashIcon,
+  GlobeAltIcon,
   UserIcon,
   SunIcon,
   MoonIcon,
@@ -55,6 +58,9 @@ const Layout = ({ children }) => {
     { name: 'Dashboard', href: '/dashboard', icon: HomeIcon, description: 'Overview and analytics' },
     { name: 'URLs', href: '/urls', icon: LinkIcon, description: 'Manage your short URLs' },
     { name: 'Groups', href: '/groups', icon: FolderIcon, description: 'Organize URLs by groups' },
+    { name: 'Tags', href: '/tags', icon: TagIcon, description: 'Rename, merge and delete tags' },
+    { name: 'Domains', href: '/domains', icon: GlobeAltIcon, description: 'Connect your own short link domains' },
+    { name: 'Trash', href: '/trash', icon: TrashIcon, description: 'Restore deleted URLs and groups' },
     { name: 'Profile', href: '/profile', icon: UserIcon, description: 'Account settings' },
   ];
 
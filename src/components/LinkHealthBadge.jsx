@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { urlService } from '../services/urlService';
+import { formatDisplayDate } from '../utils/timezone';
+import {
+  HEALTH_BADGES,
+  getLinkHealth,
+  isBrokenLink,
+  describeLinkHealth,
+  formatResponseTime,
+  getRedirectChain,
+} from '../utils/linkHealth';
+import { ArrowPathIcon, ChevronDownIcon, ChevronUpIcon, SignalIcon } from '@heroicons/react/24/outline';
+
+const LinkHealthBadge = ({ url, onChecked }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const state = getLinkHealth(url);
+  const chain = getRedirectChain(url);
+
+  const handleCheck = async () => {
+    setChecking(true);
+    try {
+      const checked = { ...url, health: await urlService.checkUrlHealth(url._id) };
+      const message = `${url.name || 'Destination'}: ${describeLinkHealth(checked)}`;
+      if (isBrokenLink(checked)) {
+        toast.error(message);
+      } else {
+        toast.success(message);
+      }
+      onChecked();
+    } catch (error) {
+      toast.error(error.message || 'Failed to check destination');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div>
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        className="flex items-center space-x-2"
+        title="Destination health"
+      >
+        <SignalIcon className="h-4 w-4 text-gray-400" />
+        <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${HEALTH_BADGES[state].className}`}>
+          {describeLinkHealth(url)}
+        </span>
+        {expanded ? <ChevronUpIcon className="h-3 w-3 text-gray-400" /> : <ChevronDownIcon className="h-3 w-3 text-gray-400" />}
+      </button>
+
+      {expanded && (
+        <div className="mt-2 rounded-lg bg-gray-50 dark:bg-gray-700 p-3 space-y-2 text-xs">
+          {state === 'unchecked' ? (
+            <p className="text-gray-500 dark:text-gray-400">The destination hasn't been checked yet.</p>
+          ) : (
+            <>
+              <p className="text-gray-500 dark:text-gray-400">
+                Checked {formatDisplayDate(url.health.checkedAt)}
+                {typeof url.health.responseTime === 'number' && ` · ${formatResponseTime(url.health.responseTime)}`}
+              </p>
+              {url.health.error && (
+                <p className="text-red-600 dark:text-red-400">{url.health.error}</p>
+              )}
+              {chain.length > 1 && (
+                <ol className="space-y-1">
+                  {chain.map((hop, index) => (
+                    <li key={`${index}-${hop.url}`} className="flex items-start">
+                      <span className={`mr-2 font-mono font-medium ${
+                        hop.statusCode >= 400 ? 'text-red-600 dark:text-red-400' : 'text-gray-700 dark:text-gray-300'
+                      }`}>
+                        {hop.statusCode || '—'}
+                      </span>
+                      <span className="font-mono text-gray-600 dark:text-gray-300 break-all">{hop.url}</span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </>
+          )}
+          <button
+            type="button"
+            onClick={handleCheck}
+            disabled={checking}
+            className="flex items-center font-medium text-primary-600 dark:text-primary-400 hover:underline disabled:opacity-50"
+          >
+            <ArrowPathIcon className={`h-3.5 w-3.5 mr-1 ${checking ? 'animate-spin' : ''}`} />
+            Check now
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LinkHealthBadge;
@@ -0,0 +1,143 @@
+import { useState } from 'react';
+import { getPasswordStrength, LINK_PASSWORD_MIN_SCORE } from '../utils/validation';
+import { LockClosedIcon, EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
+
+const STRENGTH_STYLES = {
+  weak: { bar: 'bg-red-500', text: 'text-red-600 dark:text-red-400', width: 'w-1/4' },
+  fair: { bar: 'bg-orange-500', text: 'text-orange-600 dark:text-orange-400', width: 'w-2/4' },
+  medium: { bar: 'bg-yellow-500', text: 'text-yellow-600 dark:text-yellow-400', width: 'w-3/4' },
+  strong: { bar: 'bg-green-500', text: 'text-green-600 dark:text-green-400', width: 'w-full' },
+};
+
+const LinkPasswordFields = ({ formData, setFormData, hasPassword = false }) => {
+  const [showPassword, setShowPassword] = useState(false);
+  const { passwordMode, password, passwordHint } = formData;
+  const editingPassword = passwordMode === 'set' || passwordMode === 'change';
+  const strength = getPasswordStrength(password);
+  const strengthStyle = STRENGTH_STYLES[strength.strength] || STRENGTH_STYLES.weak;
+
+  const setMode = (mode) => {
+    setFormData({ ...formData, passwordMode: mode, password: '' });
+    setShowPassword(false);
+  };
+
+  return (
+    <div className="rounded-xl border border-gray-200 dark:border-gray-600 p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <LockClosedIcon className="h-4 w-4 text-gray-500 dark:text-gray-400 mr-2" />
+          <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Access Password (Optional)</span>
+        </div>
+        {!hasPassword && (
+          <label className="flex items-center text-sm text-gray-600 dark:text-gray-300 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={passwordMode === 'set'}
+              onChange={(e) => setMode(e.target.checked ? 'set' : 'none')}
+              className="h-4 w-4 mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            Require a password
+          </label>
+        )}
+      </div>
+
+      {hasPassword && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className={`text-xs font-medium ${
+            passwordMode === 'remove' ? 'text-red-600 dark:text-red-400' : 'text-gray-600 dark:text-gray-300'
+          }`}>
+            {passwordMode === 'remove'
+              ? 'Protection will be removed when you save'
+              : passwordMode === 'change'
+                ? 'Enter the new password'
+                : 'This link is password protected'}
+          </span>
+          <div className="flex gap-2 ml-auto">
+            {passwordMode === 'keep' ? (
+              <>
+                <button
+                  type="button"
+                  onClick={() => setMode('change')}
+                  className="px-2.5 py-1 text-xs font-medium text-primary-700 dark:text-primary-300 bg-primary-50 dark:bg-primary-900/20 rounded-lg hover:bg-primary-100 dark:hover:bg-primary-900/40 transition-colors"
+                >
+                  Change password
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setMode('remove')}
+                  className="px-2.5 py-1 text-xs font-medium text-red-700 dark:text-red-300 bg-red-50 dark:bg-red-900/20 rounded-lg hover:bg-red-100 dark:hover:bg-red-900/40 transition-colors"
+                >
+                  Remove password
+                </button>
+              </>
+            ) : (
+              <button
+                type="button"
+                onClick={() => setMode('keep')}
+                className="px-2.5 py-1 text-xs font-medium text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+              >
+                Keep current password
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {editingPassword && (
+        <div>
+          <div className="relative">
+            <input
+              type={showPassword ? 'text' : 'password'}
+              value={password}
+              onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+              className="input-field pr-10"
+              placeholder={passwordMode === 'change' ? 'New password' : 'Password visitors must enter'}
+              autoComplete="new-password"
+            />
+            <button
+              type="button"
+              className="absolute inset-y-0 right-0 pr-3 flex items-center"
+              onClick={() => setShowPassword(!showPassword)}
+            >
+              {showPassword ? (
+                <EyeSlashIcon className="h-5 w-5 text-gray-400" />
+              ) : (
+                <EyeIcon className="h-5 w-5 text-gray-400" />
+              )}
+            </button>
+          </div>
+          {password && (
+            <div className="mt-2">
+              <div className="h-1.5 w-full bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                <div className={`h-full ${strengthStyle.bar} ${strengthStyle.width} transition-all duration-200`} />
+              </div>
+              <p className={`text-xs mt-1 ${strengthStyle.text}`}>
+                {strength.score >= LINK_PASSWORD_MIN_SCORE
+                  ? `Strength: ${strength.strength}`
+                  : `Too weak: ${strength.feedback.join(', ')}`}
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {(editingPassword || passwordMode === 'keep') && (
+        <div>
+          <input
+            type="text"
+            value={passwordHint}
+            onChange={(e) => setFormData({ ...formData, passwordHint: e.target.value })}
+            className="input-field"
+            placeholder="Hint shown to visitors (optional)"
+            maxLength={100}
+          />
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+            Visitors see the hint on the password page. Never put the password itself here.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LinkPasswordFields;
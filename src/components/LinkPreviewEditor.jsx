@@ -0,0 +1,206 @@
+import { useState, useEffect } from 'react';
+import { urlService } from '../services/urlService';
+import { useDebouncedValue } from '../hooks/useDebouncedValue';
+import { validateField, VALIDATION_RULES } from '../utils/validation';
+import {
+  OG_TITLE_MAX,
+  OG_DESCRIPTION_MAX,
+  SOCIAL_NETWORKS,
+  getDisplayDomain,
+  resolvePreview,
+  truncateText,
+} from '../utils/linkPreview';
+import { getShortLinkBase } from '../utils/shortLink';
+import { PhotoIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+
+const PreviewImage = ({ src, className }) => (
+  src ? (
+    <img src={src} alt="" className={`object-cover bg-gray-100 dark:bg-gray-700 ${className}`} />
+  ) : (
+    <div className={`flex items-center justify-center bg-gray-100 dark:bg-gray-700 ${className}`}>
+      <PhotoIcon className="h-8 w-8 text-gray-300 dark:text-gray-500" />
+    </div>
+  )
+);
+
+// Approximations of each network's link card layout
+const SocialPreviewCard = ({ network, preview, domain }) => {
+  const title = preview.title || domain;
+
+  if (network === 'facebook') {
+    return (
+      <div className="border border-gray-300 dark:border-gray-600 overflow-hidden">
+        <PreviewImage src={preview.image} className="w-full aspect-[1.91/1]" />
+        <div className="bg-gray-100 dark:bg-gray-700 px-3 py-2">
+          <p className="text-xs text-gray-500 dark:text-gray-400 uppercase">{domain}</p>
+          <p className="text-sm font-semibold text-gray-900 dark:text-white">{truncateText(title, 88)}</p>
+          {preview.description && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{preview.description}</p>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  if (network === 'x') {
+    return (
+      <div>
+        <div className="relative rounded-2xl border border-gray-200 dark:border-gray-600 overflow-hidden">
+          <PreviewImage src={preview.image} className="w-full aspect-[1.91/1]" />
+          <span className="absolute left-3 bottom-3 px-1.5 py-0.5 rounded bg-black/70 text-xs text-white">
+            {truncateText(title, 70)}
+          </span>
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">From {domain}</p>
+      </div>
+    );
+  }
+
+  if (network === 'linkedin') {
+    return (
+      <div className="border border-gray-200 dark:border-gray-600 rounded-lg overflow-hidden">
+        <PreviewImage src={preview.image} className="w-full aspect-[1.91/1]" />
+        <div className="px-3 py-2">
+          <p className="text-sm font-semibold text-gray-900 dark:text-white">{truncateText(title, 70)}</p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">{domain}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex border-l-4 border-gray-300 dark:border-gray-500 pl-3">
+      <div className="flex-1 min-w-0">
+        <p className="text-xs font-semibold text-gray-900 dark:text-white">{preview.siteName || domain}</p>
+        <p className="text-sm font-semibold text-blue-600 dark:text-blue-400">{truncateText(title, 100)}</p>
+        {preview.description && (
+          <p className="text-xs text-gray-600 dark:text-gray-300">{truncateText(preview.description, 150)}</p>
+        )}
+      </div>
+      {preview.image && (
+        <img src={preview.image} alt="" className="ml-3 h-16 w-16 rounded object-cover flex-shrink-0" />
+      )}
+    </div>
+  );
+};
+
+const LinkPreviewEditor = ({ formData, setFormData, domain = '' }) => {
+  const [metadata, setMetadata] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [network, setNetwork] = useState(SOCIAL_NETWORKS[0].value);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const destination = useDebouncedValue(formData.originalUrl.trim(), 600);
+  const isValidDestination = !validateField('url', destination, VALIDATION_RULES.url);
+
+  useEffect(() => {
+    if (!isValidDestination) {
+      setMetadata(null);
+      setStatus('idle');
+      return undefined;
+    }
+
+    // Ignore answers for a destination the user has already moved on from
+    let cancelled = false;
+    setStatus('loading');
+    urlService.unfurlUrl(destination)
+      .then((result) => {
+        if (cancelled) return;
+        setMetadata(result);
+        setStatus('ready');
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setMetadata(null);
+        setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [destination, isValidDestination, refreshKey]);
+
+  const preview = resolvePreview(formData, metadata);
+  const shortDomain = getDisplayDomain(getShortLinkBase(domain));
+
+  return (
+    <div className="rounded-xl border border-gray-200 dark:border-gray-600 p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <PhotoIcon className="h-4 w-4 text-gray-500 dark:text-gray-400 mr-2" />
+          <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Link Preview</span>
+        </div>
+        {isValidDestination && (
+          <button
+            type="button"
+            onClick={() => setRefreshKey(key => key + 1)}
+            disabled={status === 'loading'}
+            className="inline-flex items-center px-2.5 py-1 text-xs font-medium text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors disabled:opacity-50"
+          >
+            <ArrowPathIcon className={`h-3 w-3 mr-1 ${status === 'loading' ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        {status === 'idle' && 'Enter a destination URL to fetch its title, description and image.'}
+        {status === 'loading' && 'Fetching the page preview...'}
+        {status === 'ready' && 'Leave a field empty to use what the destination page provides.'}
+        {status === 'error' && "Couldn't fetch a preview for this page. You can still set your own below."}
+      </p>
+
+      <div className="space-y-3">
+        <input
+          type="text"
+          value={formData.ogTitle}
+          onChange={(e) => setFormData({ ...formData, ogTitle: e.target.value })}
+          className="input-field"
+          placeholder={metadata?.title || 'Preview title'}
+          maxLength={OG_TITLE_MAX}
+        />
+        <div>
+          <textarea
+            value={formData.ogDescription}
+            onChange={(e) => setFormData({ ...formData, ogDescription: e.target.value })}
+            className="input-field"
+            rows={2}
+            placeholder={metadata?.description || 'Preview description'}
+            maxLength={OG_DESCRIPTION_MAX}
+          />
+          <p className="text-xs text-gray-400 text-right">
+            {formData.ogDescription.length}/{OG_DESCRIPTION_MAX}
+          </p>
+        </div>
+        <input
+          type="url"
+          value={formData.ogImage}
+          onChange={(e) => setFormData({ ...formData, ogImage: e.target.value })}
+          className="input-field"
+          placeholder={metadata?.image || 'Image URL, e.g. https://example.com/cover.png'}
+        />
+      </div>
+
+      <div className="border-t border-gray-200 dark:border-gray-600 pt-3 space-y-3">
+        <div className="flex flex-wrap gap-1.5">
+          {SOCIAL_NETWORKS.map(item => (
+            <button
+              key={item.value}
+              type="button"
+              onClick={() => setNetwork(item.value)}
+              className={`px-2.5 py-1 text-xs font-medium rounded-lg transition-colors ${
+                network === item.value
+                  ? 'bg-primary-600 text-white'
+                  : 'text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600'
+              }`}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+        <SocialPreviewCard network={network} preview={preview} domain={shortDomain} />
+      </div>
+    </div>
+  );
+};
+
+export default LinkPreviewEditor;
@@ -0,0 +1,267 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
+import {
+  DEFAULT_QR_OPTIONS,
+  QR_ERROR_LEVELS,
+  renderQrPng,
+  renderQrSvg,
+  buildQrZip,
+  readImageAsDataUrl,
+} from '../utils/qrCode';
+import { buildUrlShortLink } from '../utils/shortLink';
+import { downloadBlob, toSafeFileName } from '../utils/download';
+import { QrCodeIcon, ArrowDownTrayIcon, PhotoIcon, XMarkIcon } from '@heroicons/react/24/outline';
+
+const QrCodeModal = ({ isOpen, onClose, urls, title, groups = [] }) => {
+  const [options, setOptions] = useState(DEFAULT_QR_OPTIONS);
+  const [previewUrl, setPreviewUrl] = useState('');
+  const [downloading, setDownloading] = useState(false);
+
+  const linkedUrls = (urls || []).filter(url => url?.shortUrl);
+  const isBatch = linkedUrls.length > 1;
+  const previewLink = buildUrlShortLink(linkedUrls[0], groups);
+
+  useEffect(() => {
+    if (!isOpen || !previewLink) return;
+
+    let cancelled = false;
+    renderQrPng(previewLink, options)
+      .then(dataUrl => {
+        if (!cancelled) setPreviewUrl(dataUrl);
+      })
+      .catch(error => {
+        if (!cancelled) toast.error(error.message || 'Failed to render QR code');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, previewLink, options]);
+
+  const updateOption = (key, value) => {
+    setOptions(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleLogoChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const logo = await readImageAsDataUrl(file);
+      // A centre logo hides modules, so switch to the most tolerant level
+      setOptions(prev => ({ ...prev, logo, errorCorrectionLevel: 'H' }));
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const qrFileName = (url) => `qr-${toSafeFileName(url.shortUrl)}`;
+
+  const handleDownload = async (format) => {
+    try {
+      setDownloading(true);
+      if (isBatch) {
+        const entries = linkedUrls.map(url => ({ fileName: qrFileName(url), text: buildUrlShortLink(url, groups) }));
+        const zip = await buildQrZip(entries, options, format);
+        downloadBlob(zip, `${toSafeFileName(title || 'qr-codes')}-qr-${format}.zip`);
+      } else if (format === 'svg') {
+        const svg = await renderQrSvg(previewLink, options);
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${qrFileName(linkedUrls[0])}.svg`);
+      } else {
+        const dataUrl = await renderQrPng(previewLink, options);
+        const blob = await (await fetch(dataUrl)).blob();
+        downloadBlob(blob, `${qrFileName(linkedUrls[0])}.png`);
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to download QR code');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleClose = () => {
+    if (downloading) return;
+    setPreviewUrl('');
+    onClose();
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-60 overflow-y-auto"
+        >
+          <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+            <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={handleClose} />
+
+            <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-2xl text-left overflow-hidden shadow-2xl transform transition-all sm:my-8 sm:align-middle sm:max-w-3xl sm:w-full">
+              <div className="px-6 pt-6 pb-4">
+                <div className="flex items-center mb-6">
+                  <div className="h-12 w-12 bg-gradient-to-br from-gray-700 to-gray-900 rounded-xl flex items-center justify-center mr-4">
+                    <QrCodeIcon className="h-6 w-6 text-white" />
+                  </div>
+                  <div className="min-w-0">
+                    <h3 className="text-xl font-semibold text-gray-900 dark:text-white truncate">
+                      {isBatch ? `QR Codes for ${title}` : `QR Code for ${linkedUrls[0]?.name || 'URL'}`}
+                    </h3>
+                    <p className="text-sm text-gray-500 dark:text-gray-400 truncate">
+                      {isBatch ? `${linkedUrls.length} short links, downloaded as one ZIP file` : previewLink}
+                    </p>
+                  </div>
+                </div>
+
+                {linkedUrls.length === 0 ? (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">There are no short links to encode.</p>
+                ) : (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {/* Preview */}
+                    <div className="flex flex-col items-center justify-center bg-gray-50 dark:bg-gray-700 rounded-xl p-4">
+                      {previewUrl ? (
+                        <img src={previewUrl} alt="QR code preview" className="w-64 h-64 object-contain" />
+                      ) : (
+                        <div className="w-64 h-64 flex items-center justify-center">
+                          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary-600"></div>
+                        </div>
+                      )}
+                      {isBatch && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                          Preview of {linkedUrls[0].name || linkedUrls[0].shortUrl}
+                        </p>
+                      )}
+                    </div>
+
+                    {/* Options */}
+                    <div className="space-y-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                          Size: {options.size}px
+                        </label>
+                        <input
+                          type="range"
+                          min="128"
+                          max="2048"
+                          step="64"
+                          value={options.size}
+                          onChange={(e) => updateOption('size', Number(e.target.value))}
+                          className="w-full"
+                        />
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                          Error Correction
+                        </label>
+                        <select
+                          value={options.errorCorrectionLevel}
+                          onChange={(e) => updateOption('errorCorrectionLevel', e.target.value)}
+                          className="input-field"
+                        >
+                          {QR_ERROR_LEVELS.map((level) => (
+                            <option key={level.value} value={level.value}>
+                              {level.label}
+                            </option>
+                          ))}
+                        </select>
+                        {options.logo && options.errorCorrectionLevel !== 'H' && (
+                          <p className="text-xs text-yellow-700 dark:text-yellow-400 mt-2">
+                            Codes with a logo may not scan below High error correction
+                          </p>
+                        )}
+                      </div>
+
+                      <div className="grid grid-cols-2 gap-4">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                            Foreground
+                          </label>
+                          <input
+                            type="color"
+                            value={options.foreground}
+                            onChange={(e) => updateOption('foreground', e.target.value)}
+                            className="h-10 w-full rounded-lg border border-gray-300 cursor-pointer"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                            Background
+                          </label>
+                          <input
+                            type="color"
+                            value={options.background}
+                            onChange={(e) => updateOption('background', e.target.value)}
+                            className="h-10 w-full rounded-lg border border-gray-300 cursor-pointer"
+                          />
+                        </div>
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                          Centre Logo (Optional)
+                        </label>
+                        {options.logo ? (
+                          <div className="flex items-center gap-3">
+                            <img src={options.logo} alt="Logo" className="h-10 w-10 object-contain rounded border border-gray-200 dark:border-gray-600" />
+                            <button
+                              type="button"
+                              onClick={() => updateOption('logo', null)}
+                              className="inline-flex items-center text-sm text-red-600 dark:text-red-400 hover:underline"
+                            >
+                              <XMarkIcon className="h-4 w-4 mr-1" />
+                              Remove logo
+                            </button>
+                          </div>
+                        ) : (
+                          <label className="btn-secondary inline-flex items-center cursor-pointer">
+                            <PhotoIcon className="h-4 w-4 mr-2" />
+                            Upload image
+                            <input type="file" accept="image/*" onChange={handleLogoChange} className="sr-only" />
+                          </label>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              <div className="bg-gray-50 dark:bg-gray-700 px-6 py-4 sm:flex sm:flex-row-reverse">
+                <button
+                  type="button"
+                  onClick={() => handleDownload('png')}
+                  disabled={downloading || linkedUrls.length === 0}
+                  className="btn-primary w-full sm:w-auto sm:ml-3 inline-flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+                  {isBatch ? 'ZIP of PNGs' : 'PNG'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDownload('svg')}
+                  disabled={downloading || linkedUrls.length === 0}
+                  className="btn-secondary w-full sm:w-auto sm:ml-3 mt-3 sm:mt-0 inline-flex items-center justify-center disabled:opacity-50"
+                >
+                  <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+                  {isBatch ? 'ZIP of SVGs' : 'SVG'}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleClose}
+                  disabled={downloading}
+                  className="btn-secondary w-full sm:w-auto mt-3 sm:mt-0 disabled:opacity-50"
+                >
+                  Close
+                </button>
+              </div>
+            </div>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default QrCodeModal;
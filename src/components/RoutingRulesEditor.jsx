@@ -0,0 +1,214 @@
+import { useState } from 'react';
+import {
+  ROUTING_FIELDS,
+  ROUTING_OPERATORS,
+  createRoutingRule,
+  parseRuleValues,
+  resolveRoutingDestination,
+} from '../utils/routingRules';
+import {
+  ArrowsRightLeftIcon,
+  ChevronUpIcon,
+  ChevronDownIcon,
+  PlusIcon,
+  TrashIcon,
+  BeakerIcon,
+} from '@heroicons/react/24/outline';
+
+const fieldConfig = (field) => ROUTING_FIELDS.find(item => item.value === field) || ROUTING_FIELDS[0];
+
+const RoutingRulesEditor = ({ rules, onChange, fallbackUrl }) => {
+  const [testVisit, setTestVisit] = useState({ country: '', device: 'mobile', os: 'iOS' });
+
+  const updateRule = (index, changes) => {
+    onChange(rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const moveRule = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= rules.length) return;
+    const next = [...rules];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  const toggleOption = (index, option) => {
+    const { values } = rules[index];
+    updateRule(index, {
+      values: values.includes(option) ? values.filter(value => value !== option) : [...values, option],
+    });
+  };
+
+  const changeField = (index, field) => {
+    // Values from one dimension mean nothing in another
+    updateRule(index, { field, values: [], valuesText: '' });
+  };
+
+  const result = resolveRoutingDestination(rules, testVisit, fallbackUrl);
+
+  return (
+    <div className="rounded-xl border border-gray-200 dark:border-gray-600 p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <ArrowsRightLeftIcon className="h-4 w-4 text-gray-500 dark:text-gray-400 mr-2" />
+          <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Routing Rules</span>
+        </div>
+        <button
+          type="button"
+          onClick={() => onChange([...rules, createRoutingRule()])}
+          className="inline-flex items-center px-2.5 py-1 text-xs font-medium text-primary-700 dark:text-primary-300 bg-primary-50 dark:bg-primary-900/20 rounded-lg hover:bg-primary-100 dark:hover:bg-primary-900/40 transition-colors"
+        >
+          <PlusIcon className="h-3 w-3 mr-1" />
+          Add rule
+        </button>
+      </div>
+
+      {rules.length === 0 ? (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Send visitors to different pages by country, device or operating system. Without rules everyone goes to the original URL.
+        </p>
+      ) : (
+        <div className="space-y-3">
+          {rules.map((rule, index) => {
+            const config = fieldConfig(rule.field);
+            return (
+              <div key={rule.id} className="rounded-lg bg-gray-50 dark:bg-gray-700/50 p-3 space-y-2">
+                <div className="flex items-center gap-2">
+                  <span className="text-xs font-semibold text-gray-500 dark:text-gray-400 w-5">{index + 1}.</span>
+                  <select
+                    value={rule.field}
+                    onChange={(e) => changeField(index, e.target.value)}
+                    className="input-field py-1.5 text-sm"
+                  >
+                    {ROUTING_FIELDS.map(field => (
+                      <option key={field.value} value={field.value}>{field.label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={rule.operator}
+                    onChange={(e) => updateRule(index, { operator: e.target.value })}
+                    className="input-field py-1.5 text-sm"
+                  >
+                    {ROUTING_OPERATORS.map(operator => (
+                      <option key={operator.value} value={operator.value}>{operator.label}</option>
+                    ))}
+                  </select>
+                  <div className="flex items-center ml-auto">
+                    <button
+                      type="button"
+                      onClick={() => moveRule(index, -1)}
+                      disabled={index === 0}
+                      className="p-1 text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 disabled:opacity-30"
+                      title="Move up"
+                    >
+                      <ChevronUpIcon className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => moveRule(index, 1)}
+                      disabled={index === rules.length - 1}
+                      className="p-1 text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 disabled:opacity-30"
+                      title="Move down"
+                    >
+                      <ChevronDownIcon className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => onChange(rules.filter((_, i) => i !== index))}
+                      className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                      title="Remove rule"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+
+                {config.options ? (
+                  <div className="flex flex-wrap gap-1.5">
+                    {config.options.map(option => (
+                      <button
+                        key={option}
+                        type="button"
+                        onClick={() => toggleOption(index, option)}
+                        className={`px-2 py-0.5 text-xs font-medium rounded-full border transition-colors ${
+                          rule.values.includes(option)
+                            ? 'bg-primary-600 border-primary-600 text-white'
+                            : 'bg-white dark:bg-gray-800 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300'
+                        }`}
+                      >
+                        {option}
+                      </button>
+                    ))}
+                  </div>
+                ) : (
+                  <input
+                    type="text"
+                    value={rule.valuesText}
+                    onChange={(e) => updateRule(index, { valuesText: e.target.value, values: parseRuleValues(e.target.value) })}
+                    className="input-field py-1.5 text-sm"
+                    placeholder={`Country codes, e.g. ${config.placeholder}`}
+                  />
+                )}
+
+                <input
+                  type="url"
+                  value={rule.destination}
+                  onChange={(e) => updateRule(index, { destination: e.target.value })}
+                  className="input-field py-1.5 text-sm"
+                  placeholder="Send to https://..."
+                />
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        Rules are checked from top to bottom. Everyone else goes to{' '}
+        <span className="font-mono break-all">{fallbackUrl || 'the original URL'}</span>.
+      </p>
+
+      {rules.length > 0 && (
+        <div className="border-t border-gray-200 dark:border-gray-600 pt-3">
+          <div className="flex items-center mb-2">
+            <BeakerIcon className="h-4 w-4 text-gray-500 dark:text-gray-400 mr-2" />
+            <span className="text-xs font-semibold text-gray-600 dark:text-gray-300 uppercase">Test a visit</span>
+          </div>
+          <div className="grid grid-cols-3 gap-2">
+            <input
+              type="text"
+              value={testVisit.country}
+              onChange={(e) => setTestVisit({ ...testVisit, country: e.target.value.trim().toUpperCase().slice(0, 2) })}
+              className="input-field py-1.5 text-sm"
+              placeholder="Country (IN)"
+            />
+            <select
+              value={testVisit.device}
+              onChange={(e) => setTestVisit({ ...testVisit, device: e.target.value })}
+              className="input-field py-1.5 text-sm"
+            >
+              {fieldConfig('device').options.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+            <select
+              value={testVisit.os}
+              onChange={(e) => setTestVisit({ ...testVisit, os: e.target.value })}
+              className="input-field py-1.5 text-sm"
+            >
+              {fieldConfig('os').options.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          </div>
+          <p className="text-xs text-gray-600 dark:text-gray-300 mt-2">
+            {result.ruleIndex === -1 ? 'No rule matches; goes to the fallback: ' : `Rule ${result.ruleIndex + 1} matches: `}
+            <span className="font-mono text-primary-600 dark:text-primary-400 break-all">{result.destination || '(no destination yet)'}</span>
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoutingRulesEditor;
@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import { BookmarkIcon, TrashIcon, PlusIcon } from '@heroicons/react/24/outline';
+
+const SavedViewsSidebar = ({ views, activeViewId, onApply, onSave, onDelete }) => {
+  const [name, setName] = useState('');
+  const [adding, setAdding] = useState(false);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSave(name);
+    setName('');
+    setAdding(false);
+  };
+
+  return (
+    <aside className="lg:w-56 flex-shrink-0 mb-6 lg:mb-0 bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <BookmarkIcon className="h-4 w-4 text-gray-500 dark:text-gray-400 mr-2" />
+          <span className="text-sm font-semibold text-gray-700 dark:text-gray-300">Saved Views</span>
+        </div>
+        <button
+          type="button"
+          onClick={() => setAdding(!adding)}
+          className="p-1 text-gray-400 hover:text-primary-600 dark:hover:text-primary-400"
+          title="Save the current search, filters and sort"
+        >
+          <PlusIcon className="h-4 w-4" />
+        </button>
+      </div>
+
+      {adding && (
+        <form onSubmit={handleSave} className="space-y-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="input-field py-1.5 text-sm"
+            placeholder="View name"
+            maxLength={40}
+            autoFocus
+          />
+          <button type="submit" disabled={!name.trim()} className="btn-primary w-full py-1.5 text-sm disabled:opacity-50">
+            Save view
+          </button>
+        </form>
+      )}
+
+      {views.length === 0 ? (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Set up a search, filters and sort, then press + to keep them for later.
+        </p>
+      ) : (
+        <ul className="space-y-1">
+          {views.map(view => (
+            <li key={view.id} className="group/view flex items-center">
+              <button
+                type="button"
+                onClick={() => onApply(view)}
+                className={`flex-1 min-w-0 text-left px-2 py-1.5 rounded-lg text-sm truncate transition-colors ${
+                  view.id === activeViewId
+                    ? 'bg-primary-50 dark:bg-primary-900/20 text-primary-700 dark:text-primary-300 font-medium'
+                    : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+              >
+                {view.name}
+              </button>
+              <button
+                type="button"
+                onClick={() => onDelete(view)}
+                className="ml-1 p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400 opacity-0 group-hover/view:opacity-100 transition-opacity"
+                title="Delete view"
+              >
+                <TrashIcon className="h-3.5 w-3.5" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+};
+
+export default SavedViewsSidebar;
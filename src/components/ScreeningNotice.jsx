@@ -0,0 +1,40 @@
+import { describeScreeningReason } from '../utils/urlScreening';
+import { ShieldExclamationIcon } from '@heroicons/react/24/outline';
+
+const ScreeningNotice = ({ result }) => {
+  const blocked = result.verdict === 'block';
+  // Name the destination when the form saves more than one (variants, routing rules, fallback)
+  const showDestinations = result.destinations.length > 1;
+
+  return (
+    <div className={`mt-2 rounded-lg border p-3 text-sm ${
+      blocked
+        ? 'border-red-200 bg-red-50 text-red-800 dark:border-red-800 dark:bg-red-900/20 dark:text-red-300'
+        : 'border-yellow-200 bg-yellow-50 text-yellow-800 dark:border-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-300'
+    }`}>
+      <div className="flex items-start">
+        <ShieldExclamationIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+        <div>
+          <p className="font-medium">
+            {blocked
+              ? 'Your workspace does not allow links to this destination'
+              : 'Check this destination before sharing the link'}
+          </p>
+          <ul className="mt-1 list-disc list-inside space-y-0.5">
+            {result.reasons.map((reason, index) => (
+              <li key={`${reason.type}-${index}`}>
+                {describeScreeningReason(reason)}
+                {showDestinations && <span className="font-mono text-xs break-all"> ({reason.destination})</span>}
+              </li>
+            ))}
+          </ul>
+          {!blocked && (
+            <p className="mt-1 text-xs">Submit again to save the link anyway.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScreeningNotice;
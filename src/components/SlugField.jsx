@@ -0,0 +1,73 @@
+import { useSlugAvailability } from '../hooks/useSlugAvailability';
+import { getShortLinkBase } from '../utils/shortLink';
+import { getDisplayDomain } from '../utils/linkPreview';
+import { CheckCircleIcon, XCircleIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+const SlugField = ({ value, onChange, destination, domain = '', currentSlug = '' }) => {
+  const { status, error, suggestions } = useSlugAvailability(value, { destination, domain, currentSlug });
+  const host = getDisplayDomain(getShortLinkBase(domain));
+
+  const statusLine = {
+    checking: { className: 'text-gray-500 dark:text-gray-400', text: 'Checking availability...' },
+    available: { className: 'text-green-600 dark:text-green-400', text: `${host}/${value.trim()} is available` },
+    taken: { className: 'text-red-600 dark:text-red-400', text: `${host}/${value.trim()} is already taken` },
+    reserved: { className: 'text-red-600 dark:text-red-400', text: error },
+    invalid: { className: 'text-red-600 dark:text-red-400', text: error },
+    unknown: { className: 'text-yellow-600 dark:text-yellow-400', text: "Couldn't check availability. It will be checked when you save." },
+    current: { className: 'text-gray-500 dark:text-gray-400', text: 'Current short URL' },
+  }[status];
+
+  const showSuggestions = suggestions.length > 0 && ['empty', 'taken', 'reserved', 'invalid'].includes(status);
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+        Custom Short URL (Optional)
+      </label>
+      <div className="relative">
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className="input-field pr-10"
+          placeholder="Leave empty for auto-generation"
+        />
+        <div className="absolute inset-y-0 right-0 flex items-center pr-3 pointer-events-none">
+          {status === 'checking' && (
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-primary-600"></div>
+          )}
+          {status === 'available' && <CheckCircleIcon className="h-5 w-5 text-green-500" />}
+          {['taken', 'reserved', 'invalid'].includes(status) && <XCircleIcon className="h-5 w-5 text-red-500" />}
+          {status === 'unknown' && <ExclamationTriangleIcon className="h-5 w-5 text-yellow-500" />}
+        </div>
+      </div>
+      {statusLine ? (
+        <p className={`text-xs mt-2 ${statusLine.className}`}>{statusLine.text}</p>
+      ) : (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+          Only letters, numbers, hyphens, and underscores (3-50 characters)
+        </p>
+      )}
+
+      {showSuggestions && (
+        <div className="flex flex-wrap items-center gap-1.5 mt-2">
+          <span className="text-xs text-gray-500 dark:text-gray-400">
+            {status === 'empty' ? 'Suggestions:' : 'Try:'}
+          </span>
+          {suggestions.map(suggestion => (
+            <button
+              key={suggestion}
+              type="button"
+              onClick={() => onChange(suggestion)}
+              className="px-2 py-0.5 text-xs font-mono rounded-full bg-primary-50 text-primary-700 hover:bg-primary-100 dark:bg-primary-900/20 dark:text-primary-300 dark:hover:bg-primary-900/40"
+            >
+              {suggestion}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SlugField;
@@ -0,0 +1,30 @@
+import { getTagColorClasses } from '../utils/tags';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+
+const TagChip = ({ tag, onClick, onRemove }) => {
+  const classes = getTagColorClasses(tag.color).chip;
+
+  return (
+    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${classes}`}>
+      {onClick ? (
+        <button type="button" onClick={() => onClick(tag)} className="hover:underline" title={`Filter by ${tag.name}`}>
+          {tag.name}
+        </button>
+      ) : (
+        tag.name
+      )}
+      {onRemove && (
+        <button
+          type="button"
+          onClick={() => onRemove(tag)}
+          className="ml-1 opacity-60 hover:opacity-100"
+          title={`Remove ${tag.name}`}
+        >
+          <XMarkIcon className="h-3 w-3" />
+        </button>
+      )}
+    </span>
+  );
+};
+
+export default TagChip;
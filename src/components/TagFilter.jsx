@@ -0,0 +1,86 @@
+import { useState } from 'react';
+import { TAG_MATCH_MODES, getTagColorClasses } from '../utils/tags';
+import { TagIcon } from '@heroicons/react/24/outline';
+
+const TagFilter = ({ tags, selectedIds, match, onChange }) => {
+  const [open, setOpen] = useState(false);
+
+  const toggleTag = (tagId) => {
+    const tagIds = selectedIds.includes(tagId)
+      ? selectedIds.filter(id => id !== tagId)
+      : [...selectedIds, tagId];
+    onChange({ tagIds, match });
+  };
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className={`flex items-center h-full px-4 py-3 border rounded-xl text-sm transition-all duration-200 bg-white dark:bg-gray-800 ${
+          selectedIds.length > 0
+            ? 'border-primary-500 text-primary-700 dark:text-primary-300'
+            : 'border-gray-200 dark:border-gray-700 text-gray-900 dark:text-white'
+        }`}
+      >
+        <TagIcon className="h-4 w-4 mr-2" />
+        {selectedIds.length > 0 ? `Tags (${selectedIds.length})` : 'Tags'}
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 z-20 mt-2 w-64 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 shadow-xl p-3 space-y-3">
+            <div className="flex rounded-lg bg-gray-100 dark:bg-gray-700 p-0.5">
+              {TAG_MATCH_MODES.map(mode => (
+                <button
+                  key={mode.value}
+                  type="button"
+                  onClick={() => onChange({ tagIds: selectedIds, match: mode.value })}
+                  className={`flex-1 px-2 py-1 text-xs font-medium rounded-md transition-colors ${
+                    match === mode.value
+                      ? 'bg-white dark:bg-gray-800 text-gray-900 dark:text-white shadow-sm'
+                      : 'text-gray-600 dark:text-gray-300'
+                  }`}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+
+            {tags.length === 0 ? (
+              <p className="text-xs text-gray-500 dark:text-gray-400">No tags yet. Add tags to URLs in the create or edit form.</p>
+            ) : (
+              <div className="max-h-60 overflow-y-auto space-y-1">
+                {tags.map(tag => (
+                  <label key={tag._id} className="flex items-center px-1 py-1 rounded cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(tag._id)}
+                      onChange={() => toggleTag(tag._id)}
+                      className="h-4 w-4 mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    <span className={`h-2 w-2 rounded-full mr-2 ${getTagColorClasses(tag.color).dot}`} />
+                    <span className="text-sm text-gray-700 dark:text-gray-200 truncate">{tag.name}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {selectedIds.length > 0 && (
+              <button
+                type="button"
+                onClick={() => onChange({ tagIds: [], match })}
+                className="text-xs font-medium text-primary-600 dark:text-primary-400 hover:underline"
+              >
+                Clear tag filter
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TagFilter;
@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import TagChip from './TagChip';
+import { getTagSuggestions, normalizeTagName, getTagColorClasses, TAG_NAME_MAX } from '../utils/tags';
+import { PlusIcon } from '@heroicons/react/24/outline';
+
+const TagInput = ({ value, onChange, availableTags, onCreateTag }) => {
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+  const [creating, setCreating] = useState(false);
+
+  const name = normalizeTagName(query);
+  const suggestions = getTagSuggestions(availableTags, query, value);
+  const exactMatch = availableTags.find(tag => tag.name.toLowerCase() === name.toLowerCase());
+  const alreadySelected = exactMatch && value.some(tag => tag._id === exactMatch._id);
+  const canCreate = Boolean(name) && !exactMatch && Boolean(onCreateTag);
+  // Suggestions first, then the "create" entry
+  const optionCount = suggestions.length + (canCreate ? 1 : 0);
+
+  const addTag = (tag) => {
+    onChange([...value, tag]);
+    setQuery('');
+    setHighlighted(0);
+  };
+
+  const createTag = async () => {
+    setCreating(true);
+    const tag = await onCreateTag(name);
+    setCreating(false);
+    if (tag) addTag(tag);
+  };
+
+  const chooseOption = (index) => {
+    if (index < suggestions.length) {
+      addTag(suggestions[index]);
+    } else if (canCreate) {
+      createTag();
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      if (!name) return;
+      e.preventDefault();
+      if (exactMatch && !alreadySelected) {
+        addTag(exactMatch);
+      } else if (optionCount > 0) {
+        chooseOption(Math.min(highlighted, optionCount - 1));
+      }
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setHighlighted(index => Math.min(index + 1, optionCount - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(index => Math.max(index - 1, 0));
+    } else if (e.key === 'Backspace' && !query && value.length > 0) {
+      onChange(value.slice(0, -1));
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="input-field flex flex-wrap items-center gap-1.5 min-h-[2.75rem]">
+        {value.map(tag => (
+          <TagChip key={tag._id} tag={tag} onRemove={(removed) => onChange(value.filter(item => item._id !== removed._id))} />
+        ))}
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setHighlighted(0);
+            setOpen(true);
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          className="flex-1 min-w-[8rem] bg-transparent border-0 p-0 text-sm focus:outline-none focus:ring-0 text-gray-900 dark:text-white"
+          placeholder={value.length ? '' : 'Add tags...'}
+          maxLength={TAG_NAME_MAX}
+          disabled={creating}
+        />
+      </div>
+
+      {open && optionCount > 0 && (
+        <ul className="absolute z-10 mt-1 w-full max-h-56 overflow-y-auto rounded-lg border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-800 shadow-lg py-1">
+          {suggestions.map((tag, index) => (
+            <li key={tag._id}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => chooseOption(index)}
+                className={`w-full flex items-center px-3 py-1.5 text-sm text-left text-gray-700 dark:text-gray-200 ${
+                  highlighted === index ? 'bg-gray-100 dark:bg-gray-700' : ''
+                }`}
+              >
+                <span className={`h-2 w-2 rounded-full mr-2 ${getTagColorClasses(tag.color).dot}`} />
+                {tag.name}
+                {tag.urlCount !== undefined && (
+                  <span className="ml-auto text-xs text-gray-400">{tag.urlCount}</span>
+                )}
+              </button>
+            </li>
+          ))}
+          {canCreate && (
+            <li>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => chooseOption(suggestions.length)}
+                className={`w-full flex items-center px-3 py-1.5 text-sm text-left text-primary-600 dark:text-primary-400 ${
+                  highlighted === suggestions.length ? 'bg-gray-100 dark:bg-gray-700' : ''
+                }`}
+              >
+                <PlusIcon className="h-3 w-3 mr-2" />
+                Create tag "{name}"
+              </button>
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
@@ -0,0 +1,19 @@
+import toast from 'react-hot-toast';
+
+const UndoToast = ({ toastId, message, onUndo }) => (
+  <div className="flex items-center">
+    <span className="text-sm">{message}</span>
+    <button
+      type="button"
+      onClick={() => {
+        toast.dismiss(toastId);
+        onUndo();
+      }}
+      className="ml-4 text-sm font-semibold text-primary-300 hover:text-primary-200"
+    >
+      Undo
+    </button>
+  </div>
+);
+
+export default UndoToast;
@@ -0,0 +1,94 @@
+import { EXPIRY_FILTERS, validateListFilters } from '../utils/urlFilters';
+
+const UrlFiltersPanel = ({ filters, onChange, groups, onClear }) => {
+  const error = validateListFilters(filters);
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-4 space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">Group</label>
+          <select
+            value={filters.groupId}
+            onChange={(e) => update({ groupId: e.target.value })}
+            className="input-field py-2 text-sm"
+          >
+            <option value="">All groups</option>
+            {groups.map(group => (
+              <option key={group._id} value={group._id}>{group.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">Expiry</label>
+          <select
+            value={filters.expiry}
+            onChange={(e) => update({ expiry: e.target.value })}
+            className="input-field py-2 text-sm"
+          >
+            {EXPIRY_FILTERS.map(filter => (
+              <option key={filter.value} value={filter.value}>{filter.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">Clicks</label>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              min="0"
+              value={filters.minClicks}
+              onChange={(e) => update({ minClicks: e.target.value })}
+              className="input-field py-2 text-sm"
+              placeholder="Min"
+            />
+            <span className="text-gray-400">–</span>
+            <input
+              type="number"
+              min="0"
+              value={filters.maxClicks}
+              onChange={(e) => update({ maxClicks: e.target.value })}
+              className="input-field py-2 text-sm"
+              placeholder="Max"
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">Created</label>
+          <div className="flex items-center gap-2">
+            <input
+              type="date"
+              value={filters.createdFrom}
+              onChange={(e) => update({ createdFrom: e.target.value })}
+              className="input-field py-2 text-sm"
+            />
+            <span className="text-gray-400">–</span>
+            <input
+              type="date"
+              value={filters.createdTo}
+              onChange={(e) => update({ createdTo: e.target.value })}
+              className="input-field py-2 text-sm"
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <p className="text-xs text-red-600 dark:text-red-400">{error || ''}</p>
+        <button
+          type="button"
+          onClick={onClear}
+          className="text-xs font-medium text-primary-600 dark:text-primary-400 hover:underline"
+        >
+          Clear filters
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default UrlFiltersPanel;
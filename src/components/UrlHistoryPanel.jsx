@@ -0,0 +1,167 @@
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { urlService } from '../services/urlService';
+import { formatDisplayDate } from '../utils/timezone';
+import {
+  getFieldLabel,
+  getSortedChanges,
+  formatHistoryValue,
+  describeHistoryEntry,
+  getEntryAuthor,
+  isTextField,
+  diffText,
+} from '../utils/urlHistory';
+import { ArrowUturnLeftIcon, ClockIcon } from '@heroicons/react/24/outline';
+
+const ChangeDiff = ({ change, groups }) => {
+  const from = formatHistoryValue(change.field, change.from, groups);
+  const to = formatHistoryValue(change.field, change.to, groups);
+
+  if (isTextField(change.field) && change.from && change.to) {
+    const { prefix, removed, added, suffix } = diffText(from, to);
+    return (
+      <div className="space-y-1 font-mono text-xs break-all">
+        <p className="text-gray-600 dark:text-gray-300">
+          <span className="text-red-500 mr-1">−</span>
+          {prefix}
+          <span className="bg-red-100 dark:bg-red-900/40 text-red-800 dark:text-red-300 line-through">{removed}</span>
+          {suffix}
+        </p>
+        <p className="text-gray-600 dark:text-gray-300">
+          <span className="text-green-600 mr-1">+</span>
+          {prefix}
+          <span className="bg-green-100 dark:bg-green-900/40 text-green-800 dark:text-green-300">{added}</span>
+          {suffix}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <p className="text-xs break-all">
+      <span className="px-1 rounded bg-red-100 dark:bg-red-900/40 text-red-800 dark:text-red-300 line-through">{from}</span>
+      <span className="mx-1.5 text-gray-400">→</span>
+      <span className="px-1 rounded bg-green-100 dark:bg-green-900/40 text-green-800 dark:text-green-300">{to}</span>
+    </p>
+  );
+};
+
+const UrlHistoryPanel = ({ urlId, groups, onReverted }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [confirmId, setConfirmId] = useState(null);
+  const [revertingId, setRevertingId] = useState(null);
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      setEntries(await urlService.getUrlHistory(urlId));
+    } catch (error) {
+      toast.error(error.message || 'Failed to load history');
+      setEntries([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [urlId]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const handleRevert = async (entry) => {
+    setRevertingId(entry._id);
+    try {
+      const url = await urlService.revertUrl(urlId, entry._id);
+      toast.success(`Reverted to the version from ${formatDisplayDate(entry.changedAt)}`);
+      setConfirmId(null);
+      fetchHistory();
+      onReverted(url);
+    } catch (error) {
+      toast.error(error.message || 'Failed to revert');
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (entries.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <ClockIcon className="h-10 w-10 text-gray-400 mx-auto mb-3" />
+        <p className="text-sm text-gray-500 dark:text-gray-400">No changes recorded yet</p>
+      </div>
+    );
+  }
+
+  return (
+    <ol className="relative border-l border-gray-200 dark:border-gray-600 ml-2 space-y-6">
+      {entries.map((entry, index) => (
+        <li key={entry._id} className="ml-5">
+          <span className={`absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border-2 border-white dark:border-gray-800 ${
+            index === 0 ? 'bg-primary-600' : 'bg-gray-300 dark:bg-gray-500'
+          }`} />
+          <div className="flex items-start justify-between gap-3">
+            <div className="min-w-0">
+              <p className="text-sm font-medium text-gray-900 dark:text-white">{describeHistoryEntry(entry)}</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {getEntryAuthor(entry)} · {formatDisplayDate(entry.changedAt)}
+              </p>
+            </div>
+            {/* The newest entry is the current version */}
+            {index === 0 ? (
+              <span className="flex-shrink-0 text-xs font-medium text-primary-600 dark:text-primary-400">Current</span>
+            ) : confirmId === entry._id ? (
+              <div className="flex flex-shrink-0 items-center gap-1">
+                <button
+                  type="button"
+                  onClick={() => handleRevert(entry)}
+                  disabled={revertingId === entry._id}
+                  className="btn-primary py-1 px-2 text-xs disabled:opacity-50"
+                >
+                  Revert
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setConfirmId(null)}
+                  className="btn-secondary py-1 px-2 text-xs"
+                >
+                  Cancel
+                </button>
+              </div>
+            ) : (
+              <button
+                type="button"
+                onClick={() => setConfirmId(entry._id)}
+                className="flex flex-shrink-0 items-center text-xs text-gray-500 hover:text-primary-600 dark:text-gray-400 dark:hover:text-primary-400"
+                title="Put the URL back to how it was after this change"
+              >
+                <ArrowUturnLeftIcon className="h-3.5 w-3.5 mr-1" />
+                Revert to this
+              </button>
+            )}
+          </div>
+
+          {entry.action !== 'created' && getSortedChanges(entry).length > 0 && (
+            <div className="mt-2 rounded-lg bg-gray-50 dark:bg-gray-700/50 p-3 space-y-2">
+              {getSortedChanges(entry).map(change => (
+                <div key={change.field}>
+                  <p className="text-xs font-medium text-gray-500 dark:text-gray-400 mb-0.5">{getFieldLabel(change.field)}</p>
+                  <ChangeDiff change={change} groups={groups} />
+                </div>
+              ))}
+            </div>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default UrlHistoryPanel;
@@ -0,0 +1,355 @@
+import { useState, useEffect } from 'react';
+import { useVirtualRows } from '../hooks/useVirtualRows';
+import { formatDisplayDate } from '../utils/timezone';
+import { STATUS_BADGES, getUrlStatus } from '../utils/urlStatus';
+import { isCapReached } from '../utils/clickCap';
+import { buildUrlShortLink } from '../utils/shortLink';
+import { HEALTH_BADGES, getLinkHealth, describeLinkHealth } from '../utils/linkHealth';
+import {
+  loadTableLayout,
+  storeTableLayout,
+  getDefaultTableLayout,
+  getOrderedColumns,
+  moveColumn,
+  resizeColumn,
+  toggleColumn,
+  URL_TABLE_COLUMNS,
+} from '../utils/urlTable';
+import {
+  ChartBarIcon,
+  PencilIcon,
+  QrCodeIcon,
+  TrashIcon,
+  ClipboardIcon,
+  ArrowPathIcon,
+  ViewColumnsIcon,
+} from '@heroicons/react/24/outline';
+
+const ROW_HEIGHT = 44;
+const SELECT_COLUMN_WIDTH = 40;
+const ACTIONS_COLUMN_WIDTH = 160;
+
+const UrlTable = ({
+  urls,
+  groups,
+  userId,
+  selectedUrls,
+  onToggleSelect,
+  onCopy,
+  onOpenGroup,
+  onOpenAnalytics,
+  onEdit,
+  onShowQr,
+  onToggleStatus,
+  onDelete,
+}) => {
+  const [layout, setLayout] = useState(() => loadTableLayout(userId));
+  const [draggedKey, setDraggedKey] = useState(null);
+  const [dropKey, setDropKey] = useState(null);
+  const [chooserOpen, setChooserOpen] = useState(false);
+  const { containerRef, onScroll, start, end, totalHeight } = useVirtualRows(urls.length, ROW_HEIGHT);
+
+  useEffect(() => {
+    storeTableLayout(userId, layout);
+  }, [userId, layout]);
+
+  const columns = getOrderedColumns(layout);
+  const gridTemplateColumns = [
+    `${SELECT_COLUMN_WIDTH}px`,
+    ...columns.map(column => `${column.width}px`),
+    `${ACTIONS_COLUMN_WIDTH}px`,
+  ].join(' ');
+  const tableWidth = SELECT_COLUMN_WIDTH + ACTIONS_COLUMN_WIDTH
+    + columns.reduce((sum, column) => sum + column.width, 0);
+
+  const startResize = (e, key) => {
+    // Keep the header from starting a column drag
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = layout.widths[key];
+
+    const handleMove = (moveEvent) => {
+      setLayout(prev => resizeColumn(prev, key, startWidth + moveEvent.clientX - startX));
+    };
+    const handleUp = () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  };
+
+  const handleDrop = (e, key) => {
+    e.preventDefault();
+    if (draggedKey) setLayout(prev => moveColumn(prev, draggedKey, key));
+    setDraggedKey(null);
+    setDropKey(null);
+  };
+
+  const renderCell = (key, url) => {
+    const shortLink = buildUrlShortLink(url, groups);
+
+    switch (key) {
+      case 'name':
+        return (
+          <span className="font-medium text-gray-900 dark:text-white truncate" title={url.name}>
+            {url.name || 'Unnamed URL'}
+          </span>
+        );
+      case 'shortLink':
+        return shortLink ? (
+          <div className="flex items-center min-w-0">
+            <span className="font-mono text-primary-600 dark:text-primary-400 truncate" title={shortLink}>
+              {shortLink}
+            </span>
+            <button
+              onClick={() => onCopy(shortLink)}
+              className="ml-1 p-1 flex-shrink-0 text-gray-400 hover:text-primary-600 dark:hover:text-primary-400"
+              title="Copy short URL"
+            >
+              <ClipboardIcon className="h-3.5 w-3.5" />
+            </button>
+          </div>
+        ) : (
+          <span className="text-gray-400">—</span>
+        );
+      case 'destination':
+        return (
+          <span className="text-gray-600 dark:text-gray-300 truncate" title={url.originalUrl}>
+            {url.originalUrl || 'No URL'}
+          </span>
+        );
+      case 'group':
+        return url.groupId ? (
+          <button
+            onClick={() => onOpenGroup(url.groupId)}
+            className="text-gray-600 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400 truncate"
+            title="View group details and analytics"
+          >
+            {url.groupId.name || 'Group'}
+          </button>
+        ) : (
+          <span className="text-gray-400">—</span>
+        );
+      case 'clicks':
+        return (
+          <span className="text-gray-900 dark:text-white tabular-nums">
+            {(url.noOfClicks || url.clicks || 0).toLocaleString()}
+          </span>
+        );
+      case 'created':
+        return (
+          <span className="text-gray-600 dark:text-gray-300 truncate">
+            {url.createdAt ? formatDisplayDate(url.createdAt, { dateStyle: 'medium' }) : 'Unknown'}
+          </span>
+        );
+      case 'expires':
+        if (!url.expiresAt) return <span className="text-gray-400">Never</span>;
+        return new Date(url.expiresAt) < new Date() ? (
+          <span className="text-red-600 dark:text-red-400 font-medium">Expired</span>
+        ) : (
+          <span className="text-gray-600 dark:text-gray-300 truncate">{formatDisplayDate(url.expiresAt)}</span>
+        );
+      case 'status':
+        return (
+          <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_BADGES[getUrlStatus(url)].className}`}>
+            {STATUS_BADGES[getUrlStatus(url)].label}
+          </span>
+        );
+      case 'health':
+        return (
+          <span
+            className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium truncate ${HEALTH_BADGES[getLinkHealth(url)].className}`}
+            title={url.health?.checkedAt ? `Checked ${formatDisplayDate(url.health.checkedAt)}` : undefined}
+          >
+            {describeLinkHealth(url)}
+          </span>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200 dark:border-gray-700">
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          {urls.length.toLocaleString()} {urls.length === 1 ? 'link' : 'links'} · Drag headers to reorder, drag their edges to resize
+        </span>
+        <div className="flex items-center space-x-4">
+          <div className="relative">
+            <button
+              type="button"
+              onClick={() => setChooserOpen(!chooserOpen)}
+              className="flex items-center text-xs text-gray-500 hover:text-primary-600 dark:text-gray-400 dark:hover:text-primary-400"
+            >
+              <ViewColumnsIcon className="h-3.5 w-3.5 mr-1" />
+              {layout.hidden.length > 0 ? `Columns (${columns.length}/${URL_TABLE_COLUMNS.length})` : 'Columns'}
+            </button>
+
+            {chooserOpen && (
+              <>
+                <div className="fixed inset-0 z-20" onClick={() => setChooserOpen(false)} />
+                <div className="absolute right-0 z-30 mt-2 w-48 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 shadow-xl p-2 space-y-1">
+                  {URL_TABLE_COLUMNS.map(column => {
+                    const visible = !layout.hidden.includes(column.key);
+                    return (
+                      <label key={column.key} className="flex items-center px-1 py-1 rounded cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={visible}
+                          // The last visible column can't be hidden
+                          disabled={visible && columns.length === 1}
+                          onChange={() => setLayout(prev => toggleColumn(prev, column.key))}
+                          className="h-4 w-4 mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                        />
+                        <span className="text-sm text-gray-700 dark:text-gray-200">{column.label}</span>
+                      </label>
+                    );
+                  })}
+                </div>
+              </>
+            )}
+          </div>
+          <button
+            type="button"
+            onClick={() => setLayout(getDefaultTableLayout())}
+            className="flex items-center text-xs text-gray-500 hover:text-primary-600 dark:text-gray-400 dark:hover:text-primary-400"
+          >
+            <ArrowPathIcon className="h-3.5 w-3.5 mr-1" />
+            Reset columns
+          </button>
+        </div>
+      </div>
+
+      <div ref={containerRef} onScroll={onScroll} className="h-[70vh] overflow-auto">
+        <div style={{ width: tableWidth }} className="text-sm">
+          {/* Header */}
+          <div
+            className="sticky top-0 z-10 grid bg-gray-50 dark:bg-gray-700 border-b border-gray-200 dark:border-gray-600 text-xs font-medium uppercase tracking-wider text-gray-500 dark:text-gray-300"
+            style={{ gridTemplateColumns, height: ROW_HEIGHT }}
+          >
+            <div />
+            {columns.map(column => (
+              <div
+                key={column.key}
+                draggable
+                onDragStart={(e) => {
+                  e.dataTransfer.effectAllowed = 'move';
+                  e.dataTransfer.setData('text/plain', column.key);
+                  setDraggedKey(column.key);
+                }}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setDropKey(column.key);
+                }}
+                onDragLeave={() => setDropKey(null)}
+                onDrop={(e) => handleDrop(e, column.key)}
+                onDragEnd={() => {
+                  setDraggedKey(null);
+                  setDropKey(null);
+                }}
+                className={`relative flex items-center px-3 cursor-move select-none ${
+                  draggedKey === column.key ? 'opacity-50' : ''
+                } ${dropKey === column.key && draggedKey !== column.key ? 'bg-primary-50 dark:bg-primary-900/30' : ''}`}
+              >
+                <span className="truncate">{column.label}</span>
+                <div
+                  onMouseDown={(e) => startResize(e, column.key)}
+                  className="absolute right-0 top-0 h-full w-1.5 cursor-col-resize hover:bg-primary-400"
+                  title="Drag to resize"
+                />
+              </div>
+            ))}
+            <div className="flex items-center px-3">Actions</div>
+          </div>
+
+          {/* Rows */}
+          {urls.length > 0 ? (
+            <div className="relative" style={{ height: totalHeight }}>
+              {urls.slice(start, end).map((url, offset) => {
+                const index = start + offset;
+                return (
+                  <div
+                    key={url._id || `url-${index}`}
+                    className={`absolute left-0 right-0 grid border-b border-gray-100 dark:border-gray-700 ${
+                      selectedUrls[url._id]
+                        ? 'bg-primary-50 dark:bg-primary-900/20'
+                        : 'hover:bg-gray-50 dark:hover:bg-gray-700/50'
+                    }`}
+                    style={{ gridTemplateColumns, height: ROW_HEIGHT, top: index * ROW_HEIGHT }}
+                  >
+                    <div className="flex items-center justify-center">
+                      <input
+                        type="checkbox"
+                        checked={!!selectedUrls[url._id]}
+                        onChange={(e) => onToggleSelect(url, index, e.nativeEvent.shiftKey)}
+                        className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500 cursor-pointer"
+                        title="Select (shift-click to select a range)"
+                      />
+                    </div>
+                    {columns.map(column => (
+                      <div key={column.key} className="flex items-center px-3 min-w-0">
+                        {renderCell(column.key, url)}
+                      </div>
+                    ))}
+                    <div className="flex items-center px-2 space-x-1">
+                      <button
+                        onClick={() => onOpenAnalytics(url)}
+                        className="p-1.5 text-gray-500 hover:text-indigo-600 dark:hover:text-indigo-400 rounded-lg"
+                        title="View Analytics"
+                      >
+                        <ChartBarIcon className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => onEdit(url)}
+                        className="p-1.5 text-gray-500 hover:text-blue-600 dark:hover:text-blue-400 rounded-lg"
+                        title="Edit URL"
+                      >
+                        <PencilIcon className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => onShowQr(url)}
+                        className="p-1.5 text-gray-500 hover:text-gray-900 dark:hover:text-white rounded-lg"
+                        title="QR Code"
+                      >
+                        <QrCodeIcon className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => onToggleStatus(url)}
+                        className="p-1.5 rounded-lg"
+                        title={!url.isActive && isCapReached(url)
+                          ? 'Click limit reached: raise the limit to reactivate'
+                          : url.isActive ? 'Deactivate URL' : 'Activate URL'}
+                      >
+                        <div className={`h-3.5 w-3.5 rounded-full ${
+                          !url.isActive && isCapReached(url)
+                            ? 'bg-red-500 border-2 border-red-300'
+                            : url.isActive ? 'bg-green-500' : 'bg-yellow-500 border-2 border-yellow-300'
+                        }`}></div>
+                      </button>
+                      <button
+                        onClick={() => onDelete(url)}
+                        className="p-1.5 text-gray-500 hover:text-red-600 dark:hover:text-red-400 rounded-lg"
+                        title="Delete URL"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          ) : (
+            <div className="px-4 py-12 text-center text-gray-500 dark:text-gray-400">
+              No URLs found
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UrlTable;
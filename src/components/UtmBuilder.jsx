@@ -0,0 +1,174 @@
+import { useState } from 'react';
+import {
+  UTM_FIELDS,
+  canApplyUtm,
+  parseUtmParams,
+  applyUtmParams,
+  findUtmConflicts,
+  hasUtmValues,
+  toUtmTemplate,
+} from '../utils/utm';
+import { TagIcon, ExclamationTriangleIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+const UtmBuilder = ({ originalUrl, onApply, group = null, onSaveTemplates }) => {
+  // Only fields the user edits are kept here; the rest follow the destination as it changes
+  const [edits, setEdits] = useState({});
+  const values = { ...parseUtmParams(originalUrl), ...edits };
+  const [templateName, setTemplateName] = useState('');
+  const [savingTemplate, setSavingTemplate] = useState(false);
+  const templates = group?.utmTemplates || [];
+  const enabled = canApplyUtm(originalUrl);
+  const conflicts = enabled ? findUtmConflicts(originalUrl, edits) : [];
+  const result = enabled ? applyUtmParams(originalUrl, edits) : '';
+
+  const loadTemplate = (index) => {
+    const template = templates[Number(index)];
+    if (!template) return;
+    setEdits(Object.fromEntries(UTM_FIELDS.map(field => [field.key, template[field.key] || ''])));
+  };
+
+  const saveTemplates = async (utmTemplates) => {
+    setSavingTemplate(true);
+    const saved = await onSaveTemplates(utmTemplates);
+    if (saved) setTemplateName('');
+    setSavingTemplate(false);
+  };
+
+  const saveTemplate = () => {
+    const template = toUtmTemplate(templateName, values);
+    // Saving under an existing name replaces that template
+    const others = templates.filter(item => item.name.toLowerCase() !== template.name.toLowerCase());
+    saveTemplates([...others, template]);
+  };
+
+  return (
+    <div className="rounded-xl border border-gray-200 dark:border-gray-600 p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <TagIcon className="h-4 w-4 text-gray-500 dark:text-gray-400 mr-2" />
+          <span className="text-sm font-medium text-gray-700 dark:text-gray-300">UTM Parameters</span>
+        </div>
+        <button
+          type="button"
+          onClick={() => {
+            onApply(result);
+            setEdits({});
+          }}
+          disabled={!enabled || result === originalUrl.trim()}
+          className="px-2.5 py-1 text-xs font-medium text-primary-700 dark:text-primary-300 bg-primary-50 dark:bg-primary-900/20 rounded-lg hover:bg-primary-100 dark:hover:bg-primary-900/40 transition-colors disabled:opacity-40"
+        >
+          Apply to URL
+        </button>
+      </div>
+
+      {!enabled ? (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Enter a valid destination URL to add campaign tracking parameters.
+        </p>
+      ) : (
+        <>
+          {templates.length > 0 && (
+            <select
+              value=""
+              onChange={(e) => loadTemplate(e.target.value)}
+              className="input-field py-1.5 text-sm"
+            >
+              <option value="">Use a template from {group.name}...</option>
+              {templates.map((template, index) => (
+                <option key={template._id || template.name} value={index}>{template.name}</option>
+              ))}
+            </select>
+          )}
+
+          <div className="grid grid-cols-2 gap-2">
+            {UTM_FIELDS.map(field => (
+              <div key={field.key} className={field.key === 'content' ? 'col-span-2' : ''}>
+                <label className="block text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">
+                  {field.label} <span className="font-mono text-gray-400">{field.param}</span>
+                </label>
+                <input
+                  type="text"
+                  value={values[field.key]}
+                  onChange={(e) => setEdits({ ...edits, [field.key]: e.target.value })}
+                  className="input-field py-1.5 text-sm"
+                  placeholder={field.placeholder}
+                />
+              </div>
+            ))}
+          </div>
+
+          {conflicts.length > 0 && (
+            <div className="flex items-start rounded-lg bg-yellow-50 dark:bg-yellow-900/20 p-3">
+              <ExclamationTriangleIcon className="h-4 w-4 text-yellow-600 dark:text-yellow-400 mr-2 mt-0.5 flex-shrink-0" />
+              <div className="text-xs text-yellow-800 dark:text-yellow-300 space-y-1">
+                {conflicts.map(conflict => (
+                  <p key={conflict.param}>
+                    The destination already has <span className="font-mono">{conflict.param}={conflict.existing.join(', ')}</span>
+                    {{
+                      replace: `; applying will replace it with "${conflict.next}".`,
+                      remove: '; the field is empty, so applying will remove it.',
+                      dedupe: ' more than once; applying keeps one value.',
+                    }[conflict.action]}
+                  </p>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+              Result (values are trimmed and lower-cased so reports stay consistent)
+            </p>
+            <p className="text-xs font-mono text-primary-600 dark:text-primary-400 break-all">{result}</p>
+          </div>
+
+          {group && onSaveTemplates && (
+            <div className="border-t border-gray-200 dark:border-gray-600 pt-3 space-y-2">
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={templateName}
+                  onChange={(e) => setTemplateName(e.target.value)}
+                  className="input-field py-1.5 text-sm"
+                  placeholder={`Template name for ${group.name}`}
+                  maxLength={50}
+                />
+                <button
+                  type="button"
+                  onClick={saveTemplate}
+                  disabled={!templateName.trim() || !hasUtmValues(values) || savingTemplate}
+                  className="px-2.5 py-1.5 text-xs font-medium text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors whitespace-nowrap disabled:opacity-40"
+                >
+                  Save template
+                </button>
+              </div>
+              {templates.length > 0 && (
+                <div className="flex flex-wrap gap-1.5">
+                  {templates.map(template => (
+                    <span
+                      key={template._id || template.name}
+                      className="inline-flex items-center px-2 py-0.5 text-xs rounded-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+                    >
+                      {template.name}
+                      <button
+                        type="button"
+                        onClick={() => saveTemplates(templates.filter(item => item !== template))}
+                        disabled={savingTemplate}
+                        className="ml-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                        title="Delete template"
+                      >
+                        <TrashIcon className="h-3 w-3" />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default UtmBuilder;
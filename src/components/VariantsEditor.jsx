@@ -0,0 +1,135 @@
+import {
+  MAX_VARIANTS,
+  createVariant,
+  distributeWeights,
+  startVariants,
+  nextVariantLabel,
+  getTotalWeight,
+} from '../utils/variants';
+import { ScaleIcon, PlusIcon, TrashIcon, TrophyIcon } from '@heroicons/react/24/outline';
+
+const VariantsEditor = ({ variants, onChange, originalUrl, onDeclareWinner }) => {
+  const total = getTotalWeight(variants);
+
+  const updateVariant = (index, changes) => {
+    onChange(variants.map((variant, i) => (i === index ? { ...variant, ...changes } : variant)));
+  };
+
+  const removeVariant = (index) => {
+    const remaining = variants.filter((_, i) => i !== index);
+    // A single variant is not a test; drop back to the plain destination
+    onChange(remaining.length < 2 ? [] : distributeWeights(remaining));
+  };
+
+  return (
+    <div className="rounded-xl border border-gray-200 dark:border-gray-600 p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <ScaleIcon className="h-4 w-4 text-gray-500 dark:text-gray-400 mr-2" />
+          <span className="text-sm font-medium text-gray-700 dark:text-gray-300">A/B Split</span>
+        </div>
+        {variants.length === 0 ? (
+          <button
+            type="button"
+            onClick={() => onChange(startVariants(originalUrl))}
+            className="inline-flex items-center px-2.5 py-1 text-xs font-medium text-primary-700 dark:text-primary-300 bg-primary-50 dark:bg-primary-900/20 rounded-lg hover:bg-primary-100 dark:hover:bg-primary-900/40 transition-colors"
+          >
+            <PlusIcon className="h-3 w-3 mr-1" />
+            Start A/B test
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={() => onChange(distributeWeights(variants))}
+            className="px-2.5 py-1 text-xs font-medium text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+          >
+            Split evenly
+          </button>
+        )}
+      </div>
+
+      {variants.length === 0 ? (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Split traffic between several destinations by percentage and compare their clicks in analytics.
+        </p>
+      ) : (
+        <>
+          <div className="space-y-2">
+            {variants.map((variant, index) => (
+              <div key={variant.key} className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={variant.label}
+                  onChange={(e) => updateVariant(index, { label: e.target.value })}
+                  className="input-field py-1.5 text-sm w-14 text-center"
+                  placeholder="A"
+                  maxLength={20}
+                />
+                <input
+                  type="url"
+                  value={variant.destination}
+                  onChange={(e) => updateVariant(index, { destination: e.target.value })}
+                  className="input-field py-1.5 text-sm flex-1 min-w-0"
+                  placeholder="https://..."
+                />
+                <div className="relative w-20 flex-shrink-0">
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="1"
+                    value={variant.weight}
+                    onChange={(e) => updateVariant(index, { weight: e.target.value === '' ? '' : Number(e.target.value) })}
+                    className="input-field py-1.5 text-sm pr-6"
+                  />
+                  <span className="absolute inset-y-0 right-2 flex items-center text-xs text-gray-400">%</span>
+                </div>
+                {onDeclareWinner && variant.destination.trim() && (
+                  <button
+                    type="button"
+                    onClick={() => onDeclareWinner(variant)}
+                    className="p-1 text-gray-400 hover:text-yellow-600 dark:hover:text-yellow-400"
+                    title="Declare winner: make this the only destination"
+                  >
+                    <TrophyIcon className="h-4 w-4" />
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => removeVariant(index)}
+                  className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                  title="Remove variant"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex items-center justify-between">
+            <button
+              type="button"
+              onClick={() => onChange([...variants, createVariant({ label: nextVariantLabel(variants) })])}
+              disabled={variants.length >= MAX_VARIANTS}
+              className="inline-flex items-center text-xs font-medium text-primary-600 dark:text-primary-400 hover:underline disabled:opacity-40 disabled:no-underline"
+            >
+              <PlusIcon className="h-3 w-3 mr-1" />
+              Add variant
+            </button>
+            <span className={`text-xs font-medium ${
+              total === 100 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'
+            }`}>
+              Total: {total}%
+            </span>
+          </div>
+
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Visitors not sent elsewhere by a routing rule are split between these destinations.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VariantsEditor;
@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import { authService } from '../services/authService';
+import { setActiveTimeZone } from '../utils/timezone';
 import toast from 'react-hot-toast';
 
 const AuthContext = createContext();
@@ -19,12 +20,18 @@ export const AuthProvider = ({ children }) => {
   const [token, setToken] = useState(localStorage.getItem('token'));
   const [refreshToken, setRefreshToken] = useState(localStorage.getItem('refreshToken'));
 
+  // Apply the profile's timezone before the user is stored, so the next render formats dates in it
+  const setCurrentUser = (userData) => {
+    setActiveTimeZone(userData?.timezone);
+    setUser(userData);
+  };
+
   useEffect(() => {
     const initializeAuth = async () => {
       try {
         if (token) {
           const userProfile = await authService.getProfile();
-          setUser(userProfile);
+          setCurrentUser(userProfile);
           setIsAuthenticated(true);
         } else {
           setLoading(false);
@@ -42,7 +49,7 @@ export const AuthProvider = ({ children }) => {
   const setAuthFromTokens = (tokens, userData) => {
     setToken(tokens.accessToken);
     setRefreshToken(tokens.refreshToken);
-    setUser(userData);
+    setCurrentUser(userData);
     setIsAuthenticated(true);
     localStorage.setItem('token', tokens.accessToken);
     localStorage.setItem('refreshToken', tokens.refreshToken);
@@ -74,7 +81,7 @@ export const AuthProvider = ({ children }) => {
 
   const logout = () => {
     const currentToken = token; // Store current token before clearing
-    setUser(null);
+    setCurrentUser(null);
     setIsAuthenticated(false);
     setToken(null);
     setRefreshToken(null);
@@ -88,7 +95,7 @@ export const AuthProvider = ({ children }) => {
   const updateProfile = async (profileData) => {
     try {
       const updatedUser = await authService.updateProfile(profileData);
-      setUser(updatedUser);
+      setCurrentUser(updatedUser);
       toast.success('Profile updated successfully!');
       return { success: true };
     } catch (error) {
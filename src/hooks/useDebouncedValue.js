@@ -0,0 +1,16 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Custom hook that follows a value after it stops changing
+ * Useful for lookups that should not fire on every keystroke
+ */
+export const useDebouncedValue = (value, delay = 400) => {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debouncedValue;
+};
@@ -0,0 +1,104 @@
+import { useState, useEffect, useMemo } from 'react';
+import { urlService } from '../services/urlService';
+import { useDebouncedValue } from './useDebouncedValue';
+import { validateField, VALIDATION_RULES } from '../utils/validation';
+import { validateSlug, isReservedSlug, buildSlugCandidates, pickAvailableSuggestions } from '../utils/slug';
+
+/**
+ * Custom hook that checks a custom slug as it is typed and suggests free alternatives
+ * Status is one of: 'empty', 'current', 'checking', 'invalid', 'reserved',
+ * 'available', 'taken' or 'unknown' (the check failed).
+ */
+export const useSlugAvailability = (slug, { destination = '', domain = '', currentSlug = '' } = {}) => {
+  const [title, setTitle] = useState('');
+  const [availability, setAvailability] = useState({});
+  const [checkedKey, setCheckedKey] = useState('');
+
+  const typedSlug = slug.trim();
+  const debouncedSlug = useDebouncedValue(typedSlug);
+  const debouncedDestination = useDebouncedValue(destination.trim(), 600);
+  const isValidDestination = !validateField('url', debouncedDestination, VALIDATION_RULES.url);
+  const slugError = validateSlug(debouncedSlug);
+
+  // The page title gives the most readable suggestions
+  useEffect(() => {
+    if (!isValidDestination) {
+      setTitle('');
+      return undefined;
+    }
+
+    let cancelled = false;
+    urlService.unfurlUrl(debouncedDestination)
+      .then((metadata) => {
+        if (!cancelled) setTitle(metadata.title || '');
+      })
+      .catch(() => {
+        if (!cancelled) setTitle('');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedDestination, isValidDestination]);
+
+  const candidates = useMemo(
+    () => (isValidDestination ? buildSlugCandidates(title, debouncedDestination) : [])
+      .filter(candidate => candidate !== currentSlug),
+    [title, debouncedDestination, isValidDestination, currentSlug]
+  );
+
+  // The typed slug and the suggestions are checked in one request
+  const shouldCheckSlug = Boolean(debouncedSlug) && !slugError && debouncedSlug !== currentSlug;
+  const checkKey = [...new Set([...(shouldCheckSlug ? [debouncedSlug] : []), ...candidates])].join(',');
+  const requestKey = `${domain}|${checkKey}`;
+
+  useEffect(() => {
+    if (!checkKey) {
+      setAvailability({});
+      setCheckedKey(requestKey);
+      return undefined;
+    }
+
+    let cancelled = false;
+    urlService.checkSlugAvailability(checkKey.split(','), domain)
+      .then((results) => {
+        if (!cancelled) setAvailability(results);
+      })
+      .catch(() => {
+        if (!cancelled) setAvailability({});
+      })
+      .finally(() => {
+        if (!cancelled) setCheckedKey(requestKey);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [checkKey, domain, requestKey]);
+
+  const isTyping = typedSlug !== debouncedSlug;
+  const isChecking = isTyping || checkedKey !== requestKey;
+
+  let status;
+  if (!typedSlug) {
+    status = 'empty';
+  } else if (typedSlug === currentSlug) {
+    status = 'current';
+  } else if (isTyping) {
+    status = 'checking';
+  } else if (slugError) {
+    status = isReservedSlug(debouncedSlug) ? 'reserved' : 'invalid';
+  } else if (isChecking) {
+    status = 'checking';
+  } else if (availability[debouncedSlug] === undefined) {
+    status = 'unknown';
+  } else {
+    status = availability[debouncedSlug] ? 'available' : 'taken';
+  }
+
+  return {
+    status,
+    error: slugError,
+    suggestions: isChecking ? [] : pickAvailableSuggestions(candidates, availability),
+  };
+};
@@ -0,0 +1,68 @@
+import { useMemo, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import {
+  parseUrlListParams,
+  parsePageParam,
+  parseViewParam,
+  buildUrlListParams,
+  withSearchParam,
+} from '../utils/urlListParams';
+
+/**
+ * Custom hook that keeps the URLs page list state in the query string
+ * Returns the parsed state plus setters that push history entries, so
+ * back and forward navigation step through filter and page changes.
+ */
+export const useUrlListParams = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // Compare by value so the filter objects only change when the list itself does
+  const stateKey = JSON.stringify(parseUrlListParams(searchParams));
+  const listState = useMemo(() => JSON.parse(stateKey), [stateKey]);
+  const page = parsePageParam(searchParams);
+  const viewMode = parseViewParam(searchParams);
+
+  /**
+   * Merge changes into the list state and go back to page 1
+   */
+  const setListState = useCallback((changes, options = {}) => {
+    setSearchParams(prev => buildUrlListParams(prev, { ...parseUrlListParams(prev), ...changes }), options);
+  }, [setSearchParams]);
+
+  /**
+   * Move to another page of the list
+   */
+  const setPage = useCallback((nextPage) => {
+    setSearchParams(prev => withSearchParam(prev, 'page', nextPage > 1 ? nextPage : null));
+  }, [setSearchParams]);
+
+  /**
+   * Switch between the card grid and the table
+   * The table shows every link at once, so the page number is dropped.
+   */
+  const setViewMode = useCallback((mode) => {
+    setSearchParams(prev => {
+      const next = withSearchParam(prev, 'view', mode === 'table' ? 'table' : null);
+      next.delete('page');
+      return next;
+    });
+  }, [setSearchParams]);
+
+  /**
+   * Set or clear any other parameter, e.g. the open modal
+   */
+  const setParam = useCallback((name, value, options = {}) => {
+    setSearchParams(prev => withSearchParam(prev, name, value), options);
+  }, [setSearchParams]);
+
+  return {
+    ...listState,
+    page,
+    viewMode,
+    searchParams,
+    setListState,
+    setPage,
+    setViewMode,
+    setParam,
+  };
+};
@@ -0,0 +1,38 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+/**
+ * Custom hook for rendering only the visible rows of a long, fixed-height list
+ * Attach containerRef and onScroll to the scrolling element and render rows
+ * start to end, each positioned at index * rowHeight inside totalHeight.
+ */
+export const useVirtualRows = (count, rowHeight, overscan = 8) => {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+
+    const updateHeight = () => setViewportHeight(container.clientHeight);
+    updateHeight();
+    const observer = new ResizeObserver(updateHeight);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const onScroll = useCallback((e) => {
+    setScrollTop(e.currentTarget.scrollTop);
+  }, []);
+
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(count, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+  return {
+    containerRef,
+    onScroll,
+    start,
+    end,
+    totalHeight: count * rowHeight,
+  };
+};
@@ -4,6 +4,8 @@ import { dashboardService } from '../services/dashboardService';
 import { urlService } from '../services/urlService';
 import { groupService } from '../services/groupService';
 import { useAuth } from '../contexts/AuthContext';
+import { formatDisplayDate } from '../utils/timezone';
+import { HEALTH_BADGES, getLinkHealth, describeLinkHealth } from '../utils/linkHealth';
 import {
   LinkIcon,
   ChartBarIcon,
@@ -16,6 +18,8 @@ import {
   ArrowUpIcon,
   ArrowDownIcon,
   FolderIcon,
+  ExclamationTriangleIcon,
+  CheckCircleIcon,
 } from '@heroicons/react/24/outline';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar, PieChart, Pie, Cell } from 'recharts';
 
@@ -25,6 +29,9 @@ const Dashboard = () => {
   const [analytics, setAnalytics] = useState(null);
   const [recentUrls, setRecentUrls] = useState([]);
   const [recentGroups, setRecentGroups] = useState([]);
+  const [brokenLinks, setBrokenLinks] = useState([]);
+  // A failed check must not read as "no broken links"
+  const [brokenLinksError, setBrokenLinksError] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [hasFetched, setHasFetched] = useState(false);
@@ -50,10 +57,11 @@ const Dashboard = () => {
           dashboardService.getAnalytics(),
           urlService.getShortUrls(),
           groupService.getGroups(),
+          dashboardService.getBrokenLinks(),
         ]);
 
         // Extract data with fallbacks for failed requests
-        const [statsResult, analyticsResult, urlsResult, groupsResult] = results;
+        const [statsResult, analyticsResult, urlsResult, groupsResult, brokenLinksResult] = results;
         
         // Set stats with fallback
         if (statsResult.status === 'fulfilled' && statsResult.value?.data && typeof statsResult.value.data === 'object') {
@@ -97,6 +105,15 @@ const Dashboard = () => {
           setRecentGroups([]);
         }
 
+        // Set broken links with fallback
+        if (brokenLinksResult.status === 'fulfilled' && Array.isArray(brokenLinksResult.value?.data)) {
+          setBrokenLinks(brokenLinksResult.value.data);
+          setBrokenLinksError(null);
+        } else {
+          setBrokenLinks([]);
+          setBrokenLinksError(brokenLinksResult.reason?.message || 'Unexpected response');
+        }
+
         setHasFetched(true);
       } catch (error) {
         setError(error.message || 'Failed to fetch dashboard data');
@@ -115,6 +132,7 @@ const Dashboard = () => {
         });
         setRecentUrls([]);
         setRecentGroups([]);
+        setBrokenLinks([]);
       } finally {
         setLoading(false);
       }
@@ -375,6 +393,68 @@ const Dashboard = () => {
         </motion.div>
       </div>
 
+      {/* Broken Links */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5, delay: 0.55 }}
+        className="group relative overflow-hidden rounded-xl bg-white dark:bg-gray-800 p-5 shadow-sm hover:shadow-lg transition-all duration-300 border border-gray-200/50 dark:border-gray-700/50"
+      >
+        <div className="absolute inset-0 bg-gradient-to-br from-red-500/5 to-red-600/5 opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
+        <div className="relative">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center space-x-2">
+              <ExclamationTriangleIcon className="h-5 w-5 text-red-500" />
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Broken Links</h3>
+              {brokenLinks.length > 0 && (
+                <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400">
+                  {brokenLinks.length}
+                </span>
+              )}
+            </div>
+            <a href="/urls?health=broken" className="text-sm text-primary-600 hover:text-primary-500 dark:text-primary-400 font-medium hover:underline transition-colors">
+              View all →
+            </a>
+          </div>
+          {brokenLinks.length > 0 ? (
+            <div className="space-y-3">
+              {brokenLinks.slice(0, 5).map((url, index) => (
+                <div key={url._id || `broken-url-${index}`} className="flex items-center justify-between p-3 bg-gray-50/80 dark:bg-gray-700/50 rounded-lg">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-semibold text-gray-900 dark:text-white truncate mb-1">
+                      {url.name}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate font-mono" title={url.originalUrl}>
+                      {url.originalUrl}
+                    </p>
+                  </div>
+                  <div className="ml-3 text-right flex-shrink-0">
+                    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${HEALTH_BADGES[getLinkHealth(url)].className}`}>
+                      {describeLinkHealth(url)}
+                    </span>
+                    {url.health?.checkedAt && (
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                        {formatDisplayDate(url.health.checkedAt)}
+                      </p>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : brokenLinksError ? (
+            <div className="text-center py-6">
+              <ExclamationTriangleIcon className="h-8 w-8 text-yellow-400 mx-auto mb-2" />
+              <p className="text-gray-500 dark:text-gray-400 text-sm">Couldn't load link health: {brokenLinksError}</p>
+            </div>
+          ) : (
+            <div className="text-center py-6">
+              <CheckCircleIcon className="h-8 w-8 text-green-400 mx-auto mb-2" />
+              <p className="text-gray-500 dark:text-gray-400 text-sm">Every destination responded at its last check</p>
+            </div>
+          )}
+        </div>
+      </motion.div>
+
       {/* Recent Activity & Quick Actions Row */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Recent URLs */}
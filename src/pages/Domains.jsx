@@ -0,0 +1,315 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { domainService } from '../services/domainService';
+import toast from 'react-hot-toast';
+import { formatDisplayDate } from '../utils/timezone';
+import { DOMAIN_STATUS_BADGES, normalizeHostname, validateHostname } from '../utils/domains';
+import {
+  GlobeAltIcon,
+  PlusIcon,
+  TrashIcon,
+  ArrowPathIcon,
+  ClipboardIcon,
+  ChevronDownIcon,
+  ChevronUpIcon,
+} from '@heroicons/react/24/outline';
+
+const Domains = () => {
+  const [domains, setDomains] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [hostname, setHostname] = useState('');
+  const [adding, setAdding] = useState(false);
+  const [checkingId, setCheckingId] = useState(null);
+  // DNS records are shown for unverified domains, and for verified ones on request
+  const [expandedIds, setExpandedIds] = useState({});
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [selectedDomain, setSelectedDomain] = useState(null);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      setDomains(await domainService.getDomains());
+    } catch (error) {
+      toast.error(error.message || 'Failed to fetch domains');
+      setDomains([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    const normalized = normalizeHostname(hostname);
+    const hostnameError = validateHostname(normalized, domains);
+    if (hostnameError) {
+      toast.error(hostnameError);
+      return;
+    }
+
+    try {
+      setAdding(true);
+      await domainService.addDomain(normalized);
+      toast.success(`${normalized} added. Add the DNS records below to verify it.`);
+      setHostname('');
+      fetchData();
+    } catch (error) {
+      toast.error(error.message || 'Failed to add domain');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const handleVerify = async (domain) => {
+    try {
+      setCheckingId(domain._id);
+      const updated = await domainService.verifyDomain(domain._id);
+      if (updated?.status === 'verified') {
+        toast.success(`${domain.hostname} is verified`);
+      } else {
+        toast.error(updated?.error || `The DNS records for ${domain.hostname} were not found yet. DNS changes can take a while to spread.`);
+      }
+      fetchData();
+    } catch (error) {
+      toast.error(error.message || 'Failed to check domain');
+    } finally {
+      setCheckingId(null);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await domainService.deleteDomain(selectedDomain._id);
+      toast.success('Domain removed');
+      setShowDeleteModal(false);
+      setSelectedDomain(null);
+      fetchData();
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove domain');
+    }
+  };
+
+  const openDeleteModal = (domain) => {
+    setSelectedDomain(domain);
+    setShowDeleteModal(true);
+  };
+
+  const toggleRecords = (domain) => {
+    setExpandedIds(prev => ({ ...prev, [domain._id]: !prev[domain._id] }));
+  };
+
+  const copyToClipboard = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Copied to clipboard!');
+    } catch {
+      toast.error('Failed to copy to clipboard');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Domains</h1>
+        <p className="text-gray-600 dark:text-gray-400">Serve short links from your own domain. Add it here, create the DNS records shown, then choose it for a URL or a whole group.</p>
+      </div>
+
+      {/* Add Domain */}
+      <form onSubmit={handleAdd} className="card flex flex-col sm:flex-row gap-3">
+        <input
+          type="text"
+          value={hostname}
+          onChange={(e) => setHostname(e.target.value)}
+          className="input-field flex-1"
+          placeholder="go.example.com"
+        />
+        <button
+          type="submit"
+          disabled={adding}
+          className="btn-primary flex items-center justify-center disabled:opacity-50"
+        >
+          <PlusIcon className="h-5 w-5 mr-2" />
+          Add Domain
+        </button>
+      </form>
+
+      {/* Domains List */}
+      {domains.length > 0 ? (
+        <div className="space-y-4">
+          {domains.map((domain) => {
+            const badge = DOMAIN_STATUS_BADGES[domain.status] || DOMAIN_STATUS_BADGES.pending;
+            const showRecords = domain.status !== 'verified' || expandedIds[domain._id];
+            return (
+              <motion.div
+                key={domain._id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="card"
+              >
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                  <div className="flex items-center min-w-0">
+                    <GlobeAltIcon className="h-5 w-5 text-gray-400 mr-3 flex-shrink-0" />
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium text-gray-900 dark:text-white truncate">{domain.hostname}</span>
+                        <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${badge.className}`}>
+                          {badge.label}
+                        </span>
+                      </div>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {domain.lastCheckedAt ? `Last checked ${formatDisplayDate(domain.lastCheckedAt)}` : 'Not checked yet'}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {domain.status === 'verified' && (
+                      <button
+                        onClick={() => toggleRecords(domain)}
+                        className="flex items-center text-sm text-gray-500 hover:text-primary-600 dark:text-gray-400 dark:hover:text-primary-400"
+                      >
+                        DNS records
+                        {expandedIds[domain._id] ? <ChevronUpIcon className="h-4 w-4 ml-1" /> : <ChevronDownIcon className="h-4 w-4 ml-1" />}
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleVerify(domain)}
+                      disabled={checkingId === domain._id}
+                      className="btn-secondary flex items-center py-1.5 text-sm disabled:opacity-50"
+                    >
+                      <ArrowPathIcon className={`h-4 w-4 mr-1 ${checkingId === domain._id ? 'animate-spin' : ''}`} />
+                      Check now
+                    </button>
+                    <button
+                      onClick={() => openDeleteModal(domain)}
+                      className="p-2 text-red-400 hover:text-red-500 dark:hover:text-red-300 transition-colors"
+                      title="Remove domain"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+
+                {domain.status === 'failed' && domain.error && (
+                  <p className="mt-3 text-sm text-red-600 dark:text-red-400">{domain.error}</p>
+                )}
+
+                {showRecords && (domain.dnsRecords || []).length > 0 && (
+                  <div className="mt-4">
+                    <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">
+                      Add these records at your DNS provider:
+                    </p>
+                    <div className="overflow-x-auto rounded-lg border border-gray-200 dark:border-gray-700">
+                      <table className="min-w-full text-sm">
+                        <thead className="bg-gray-50 dark:bg-gray-700 text-xs uppercase text-gray-500 dark:text-gray-300">
+                          <tr>
+                            <th className="px-3 py-2 text-left font-medium">Type</th>
+                            <th className="px-3 py-2 text-left font-medium">Name</th>
+                            <th className="px-3 py-2 text-left font-medium">Value</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                          {domain.dnsRecords.map((record) => (
+                            <tr key={`${record.type}-${record.name}-${record.value}`}>
+                              <td className="px-3 py-2 font-mono text-gray-900 dark:text-white">{record.type}</td>
+                              <td className="px-3 py-2 font-mono text-gray-700 dark:text-gray-300">
+                                <div className="flex items-center">
+                                  <span className="break-all">{record.name}</span>
+                                  <button
+                                    type="button"
+                                    onClick={() => copyToClipboard(record.name)}
+                                    className="ml-1 p-1 flex-shrink-0 text-gray-400 hover:text-primary-600 dark:hover:text-primary-400"
+                                    title="Copy name"
+                                  >
+                                    <ClipboardIcon className="h-3.5 w-3.5" />
+                                  </button>
+                                </div>
+                              </td>
+                              <td className="px-3 py-2 font-mono text-gray-700 dark:text-gray-300">
+                                <div className="flex items-center">
+                                  <span className="break-all">{record.value}</span>
+                                  <button
+                                    type="button"
+                                    onClick={() => copyToClipboard(record.value)}
+                                    className="ml-1 p-1 flex-shrink-0 text-gray-400 hover:text-primary-600 dark:hover:text-primary-400"
+                                    title="Copy value"
+                                  >
+                                    <ClipboardIcon className="h-3.5 w-3.5" />
+                                  </button>
+                                </div>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
+              </motion.div>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="text-center py-12">
+          <GlobeAltIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-500 dark:text-gray-400">
+            No custom domains yet. Short links use the default domain until you add one.
+          </p>
+        </div>
+      )}
+
+      {/* Delete Confirmation Modal */}
+      <AnimatePresence>
+        {showDeleteModal && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 overflow-y-auto"
+          >
+            <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+              <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={() => setShowDeleteModal(false)} />
+
+              <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+                <div className="px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                  <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">Remove Domain</h3>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    Remove "{selectedDomain?.hostname}"? URLs and groups that use it go back to the default domain, and links already shared on it stop working.
+                  </p>
+                </div>
+
+                <div className="bg-gray-50 dark:bg-gray-700 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse">
+                  <button
+                    onClick={handleDelete}
+                    className="btn-danger w-full sm:w-auto sm:ml-3"
+                  >
+                    Remove
+                  </button>
+                  <button
+                    onClick={() => setShowDeleteModal(false)}
+                    className="btn-secondary w-full sm:w-auto mt-3 sm:mt-0"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default Domains;
@@ -1,9 +1,17 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { useSearchParams } from 'react-router-dom';
 import { groupService } from '../services/groupService';
 import { urlService } from '../services/urlService';
+import { trashService } from '../services/trashService';
+import { domainService } from '../services/domainService';
 import toast from 'react-hot-toast';
 import GroupDetailsModal from '../components/GroupDetailsModal';
+import UndoToast from '../components/UndoToast';
+import DomainSelect from '../components/DomainSelect';
+import { formatDisplayDate } from '../utils/timezone';
+import { withSearchParam } from '../utils/urlListParams';
+import { UNDO_TOAST_DURATION } from '../utils/trash';
 import {
   PlusIcon,
   PencilIcon,
@@ -12,26 +20,39 @@ import {
   LinkIcon,
   MagnifyingGlassIcon,
   EyeIcon,
+  GlobeAltIcon,
 } from '@heroicons/react/24/outline';
 
 const Groups = () => {
   const [groups, setGroups] = useState([]);
   const [urls, setUrls] = useState([]);
+  const [domains, setDomains] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [selectedGroup, setSelectedGroup] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
-  const [showGroupDetailsModal, setShowGroupDetailsModal] = useState(false);
+  // The open group details modal lives in the query string (?group=<id>) so it can be shared
+  const [searchParams, setSearchParams] = useSearchParams();
   const [formData, setFormData] = useState({
     name: '',
+    domain: '',
   });
 
   useEffect(() => {
     fetchData();
+    fetchDomains();
   }, []);
 
+  const fetchDomains = async () => {
+    try {
+      setDomains(await domainService.getDomains());
+    } catch {
+      setDomains([]);
+    }
+  };
+
   const fetchData = async () => {
     try {
       const [groupsData, urlsResponse] = await Promise.all([
@@ -56,7 +77,7 @@ const Groups = () => {
   const handleCreate = async (e) => {
     e.preventDefault();
     try {
-      await groupService.createGroup(formData);
+      await groupService.createGroup({ ...formData, domain: formData.domain || undefined });
       toast.success('Group created successfully!');
       setShowCreateModal(false);
       resetForm();
@@ -69,7 +90,7 @@ const Groups = () => {
   const handleEdit = async (e) => {
     e.preventDefault();
     try {
-      await groupService.updateGroup(selectedGroup._id, formData);
+      await groupService.updateGroup(selectedGroup._id, { ...formData, domain: formData.domain || null });
       toast.success('Group updated successfully!');
       setShowEditModal(false);
       resetForm();
@@ -80,9 +101,14 @@ const Groups = () => {
   };
 
   const handleDelete = async () => {
+    const deletedGroup = selectedGroup;
     try {
-      await groupService.deleteGroup(selectedGroup._id);
-      toast.success('Group deleted successfully!');
+      // The backend keeps deleted groups in the Trash until the retention period ends
+      await groupService.deleteGroup(deletedGroup._id);
+      toast(
+        (t) => <UndoToast toastId={t.id} message="Group moved to Trash" onUndo={() => handleUndoDelete(deletedGroup)} />,
+        { duration: UNDO_TOAST_DURATION, icon: '🗑️' }
+      );
       setShowDeleteModal(false);
       setSelectedGroup(null);
       fetchData();
@@ -91,9 +117,20 @@ const Groups = () => {
     }
   };
 
+  const handleUndoDelete = async (group) => {
+    try {
+      await trashService.restoreGroup(group._id);
+      toast.success(`Restored "${group.name}"`);
+      fetchData();
+    } catch (error) {
+      toast.error(error.message || 'Failed to restore group. It is still in the Trash.');
+    }
+  };
+
   const resetForm = () => {
     setFormData({
       name: '',
+      domain: '',
     });
   };
 
@@ -101,6 +138,7 @@ const Groups = () => {
     setSelectedGroup(group);
     setFormData({
       name: group.name,
+      domain: group.domain || '',
     });
     setShowEditModal(true);
   };
@@ -111,10 +149,11 @@ const Groups = () => {
   };
 
   const openGroupDetailsModal = (group) => {
-    setSelectedGroup(group);
-    setShowGroupDetailsModal(true);
+    setSearchParams(prev => withSearchParam(prev, 'group', group._id));
   };
 
+  const detailsGroup = groups.find(group => group._id === searchParams.get('group')) || null;
+
   const getGroupStats = (groupId) => {
     // Ensure urls is always an array
     if (!Array.isArray(urls)) {
@@ -200,8 +239,14 @@ const Groups = () => {
                         {group.name}
                       </h3>
                       <p className="text-sm text-gray-500 dark:text-gray-400">
-                        Created {new Date(group.createdAt).toLocaleDateString()}
+                        Created {formatDisplayDate(group.createdAt, { dateStyle: 'medium' })}
                       </p>
+                      {group.domain && (
+                        <p className="flex items-center text-xs text-gray-500 dark:text-gray-400 mt-1">
+                          <GlobeAltIcon className="h-3 w-3 mr-1" />
+                          {group.domain}
+                        </p>
+                      )}
                     </div>
                   </div>
                   <div className="flex items-center space-x-2">
@@ -320,6 +365,20 @@ const Groups = () => {
                         placeholder="Enter group name"
                       />
                     </div>
+
+                    <div className="mt-4">
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                        Domain
+                      </label>
+                      <DomainSelect
+                        value={formData.domain}
+                        onChange={(domain) => setFormData({ ...formData, domain })}
+                        domains={domains}
+                      />
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                        URLs in this group use this domain unless they choose their own
+                      </p>
+                    </div>
                   </div>
                   
                   <div className="bg-gray-50 dark:bg-gray-700 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse">
@@ -374,6 +433,20 @@ const Groups = () => {
                         placeholder="Enter group name"
                       />
                     </div>
+
+                    <div className="mt-4">
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                        Domain
+                      </label>
+                      <DomainSelect
+                        value={formData.domain}
+                        onChange={(domain) => setFormData({ ...formData, domain })}
+                        domains={domains}
+                      />
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                        URLs in this group use this domain unless they choose their own
+                      </p>
+                    </div>
                   </div>
                   
                   <div className="bg-gray-50 dark:bg-gray-700 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse">
@@ -414,13 +487,13 @@ const Groups = () => {
                 <div className="px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
                   <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">Delete Group</h3>
                   <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
-                    Are you sure you want to delete "{selectedGroup?.name}"? This action cannot be undone.
+                    Move "{selectedGroup?.name}" to the Trash? You can restore it from there until the Trash is purged.
                   </p>
                   {getGroupStats(selectedGroup?._id).urlCount > 0 && (
                     <div className="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg p-3 mb-4">
                       <p className="text-sm text-yellow-800 dark:text-yellow-200">
                         ⚠️ This group contains {getGroupStats(selectedGroup?._id).urlCount} URLs. 
-                        Deleting the group will remove the group association from these URLs.
+                        The URLs are kept but leave the group until it is restored from the Trash.
                       </p>
                     </div>
                   )}
@@ -448,9 +521,9 @@ const Groups = () => {
 
       {/* Group Details Modal */}
       <GroupDetailsModal
-        isOpen={showGroupDetailsModal}
-        onClose={() => setShowGroupDetailsModal(false)}
-        group={selectedGroup}
+        isOpen={Boolean(detailsGroup)}
+        onClose={() => setSearchParams(prev => withSearchParam(prev, 'group', null))}
+        group={detailsGroup}
         urls={urls}
       />
     </div>
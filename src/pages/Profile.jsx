@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
@@ -12,7 +12,15 @@ import {
   PencilIcon,
   CheckIcon,
   XMarkIcon,
+  GlobeAltIcon,
 } from '@heroicons/react/24/outline';
+import {
+  getActiveTimeZone,
+  getBrowserTimeZone,
+  getSupportedTimeZones,
+  getTimeZoneLabel,
+  formatDisplayDate,
+} from '../utils/timezone';
 
 const Profile = () => {
   const { user, updateProfile, changePassword } = useAuth();
@@ -32,6 +40,13 @@ const Profile = () => {
   const [showNewPassword, setShowNewPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [timeZone, setTimeZone] = useState(getActiveTimeZone());
+  const [savingTimeZone, setSavingTimeZone] = useState(false);
+
+  const timeZoneOptions = useMemo(() => getSupportedTimeZones().map((zone) => ({
+    value: zone,
+    label: `${zone.replace(/_/g, ' ')} (${getTimeZoneLabel(zone)})`,
+  })), []);
 
   useEffect(() => {
     if (user) {
@@ -40,9 +55,19 @@ const Profile = () => {
         email: user.email || '',
         contactNumber: user.contactNumber || '',
       });
+      setTimeZone(getActiveTimeZone());
     }
   }, [user]);
 
+  const handleTimeZoneSave = async () => {
+    setSavingTimeZone(true);
+    try {
+      await updateProfile({ timezone: timeZone });
+    } finally {
+      setSavingTimeZone(false);
+    }
+  };
+
   const handleProfileUpdate = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -270,6 +295,48 @@ const Profile = () => {
               </button>
             </div>
           </motion.div>
+
+          {/* Preferences Card */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5, delay: 0.15 }}
+            className="card mt-6"
+          >
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-6">Preferences</h2>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Timezone
+                </label>
+                <select
+                  value={timeZone}
+                  onChange={(e) => setTimeZone(e.target.value)}
+                  className="input-field"
+                >
+                  {timeZoneOptions.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                  Dates, expiry times and analytics are shown in this timezone.
+                  {!user.timezone && ` Currently following your browser (${getBrowserTimeZone()}).`}
+                </p>
+              </div>
+
+              <button
+                onClick={handleTimeZoneSave}
+                disabled={savingTimeZone || timeZone === user.timezone}
+                className="w-full btn-secondary flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <GlobeAltIcon className="h-4 w-4 mr-2" />
+                {savingTimeZone ? 'Saving...' : 'Save Timezone'}
+              </button>
+            </div>
+          </motion.div>
         </div>
       </div>
 
@@ -285,14 +352,14 @@ const Profile = () => {
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           <div className="text-center p-4 bg-gray-50 dark:bg-gray-800 rounded-lg">
             <div className="text-2xl font-bold text-primary-600 dark:text-primary-400">
-              {user.createdAt ? new Date(user.createdAt).toLocaleDateString() : 'N/A'}
+              {user.createdAt ? formatDisplayDate(user.createdAt, { dateStyle: 'medium' }) : 'N/A'}
             </div>
             <div className="text-sm text-gray-500 dark:text-gray-400">Member Since</div>
           </div>
           
           <div className="text-center p-4 bg-gray-50 dark:bg-gray-800 rounded-lg">
             <div className="text-2xl font-bold text-green-600 dark:text-green-400">
-              {user.lastLogin ? new Date(user.lastLogin).toLocaleDateString() : 'N/A'}
+              {user.lastLogin ? formatDisplayDate(user.lastLogin, { dateStyle: 'medium' }) : 'N/A'}
             </div>
             <div className="text-sm text-gray-500 dark:text-gray-400">Last Login</div>
           </div>
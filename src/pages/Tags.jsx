@@ -0,0 +1,384 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { tagService } from '../services/tagService';
+import toast from 'react-hot-toast';
+import TagChip from '../components/TagChip';
+import { TAG_COLORS, getTagColorClasses, normalizeTagName, validateTagName } from '../utils/tags';
+import {
+  PencilIcon,
+  TrashIcon,
+  TagIcon,
+  MagnifyingGlassIcon,
+  ArrowsPointingInIcon,
+} from '@heroicons/react/24/outline';
+
+const Tags = () => {
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showEditModal, setShowEditModal] = useState(false);
+  const [showMergeModal, setShowMergeModal] = useState(false);
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [selectedTag, setSelectedTag] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [formData, setFormData] = useState({
+    name: '',
+    color: 'gray',
+  });
+  const [mergeTargetId, setMergeTargetId] = useState('');
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      const tagsData = await tagService.getTags();
+      setTags(tagsData || []);
+    } catch (error) {
+      toast.error(error.message || 'Failed to fetch tags');
+      setTags([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEdit = async (e) => {
+    e.preventDefault();
+
+    const nameError = validateTagName(formData.name, tags, selectedTag._id);
+    if (nameError) {
+      toast.error(nameError);
+      return;
+    }
+
+    try {
+      await tagService.updateTag(selectedTag._id, {
+        name: normalizeTagName(formData.name),
+        color: formData.color,
+      });
+      toast.success('Tag updated successfully!');
+      setShowEditModal(false);
+      fetchData();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update tag');
+    }
+  };
+
+  const handleMerge = async () => {
+    const target = tags.find(tag => tag._id === mergeTargetId);
+    if (!target) {
+      toast.error('Choose the tag to merge into');
+      return;
+    }
+
+    try {
+      await tagService.mergeTags([selectedTag._id], target._id);
+      toast.success(`Merged "${selectedTag.name}" into "${target.name}"`);
+      setShowMergeModal(false);
+      setSelectedTag(null);
+      fetchData();
+    } catch (error) {
+      toast.error(error.message || 'Failed to merge tags');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await tagService.deleteTag(selectedTag._id);
+      toast.success('Tag deleted successfully!');
+      setShowDeleteModal(false);
+      setSelectedTag(null);
+      fetchData();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete tag');
+    }
+  };
+
+  const openEditModal = (tag) => {
+    setSelectedTag(tag);
+    setFormData({
+      name: tag.name,
+      color: tag.color || 'gray',
+    });
+    setShowEditModal(true);
+  };
+
+  const openMergeModal = (tag) => {
+    setSelectedTag(tag);
+    setMergeTargetId('');
+    setShowMergeModal(true);
+  };
+
+  const openDeleteModal = (tag) => {
+    setSelectedTag(tag);
+    setShowDeleteModal(true);
+  };
+
+  const filteredTags = tags
+    .filter(tag => tag.name.toLowerCase().includes(searchTerm.toLowerCase()))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Tags</h1>
+        <p className="text-gray-600 dark:text-gray-400">A URL can carry several tags at once. Rename, recolour, merge or delete them here; new tags are created from the URL form.</p>
+      </div>
+
+      {/* Search */}
+      <div className="card">
+        <div className="relative">
+          <MagnifyingGlassIcon className="h-5 w-5 absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Search tags..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="input-field pl-10"
+          />
+        </div>
+      </div>
+
+      {/* Tags List */}
+      {filteredTags.length > 0 ? (
+        <div className="card divide-y divide-gray-200 dark:divide-gray-700 p-0">
+          {filteredTags.map((tag) => (
+            <motion.div
+              key={tag._id}
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              className="flex items-center justify-between px-6 py-4"
+            >
+              <div className="flex items-center space-x-4 min-w-0">
+                <TagChip tag={tag} />
+                <span className="text-sm text-gray-500 dark:text-gray-400">
+                  {tag.urlCount || 0} URL(s)
+                </span>
+              </div>
+              <div className="flex items-center space-x-3">
+                <button
+                  onClick={() => openEditModal(tag)}
+                  className="text-blue-400 hover:text-blue-500 dark:hover:text-blue-300 transition-colors"
+                  title="Rename or recolour tag"
+                >
+                  <PencilIcon className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => openMergeModal(tag)}
+                  disabled={tags.length < 2}
+                  className="text-indigo-400 hover:text-indigo-500 dark:hover:text-indigo-300 transition-colors disabled:opacity-30"
+                  title="Merge into another tag"
+                >
+                  <ArrowsPointingInIcon className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => openDeleteModal(tag)}
+                  className="text-red-400 hover:text-red-500 dark:hover:text-red-300 transition-colors"
+                  title="Delete tag"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </div>
+            </motion.div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-center py-12">
+          <TagIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-500 dark:text-gray-400">
+            {searchTerm ? 'No tags match your search' : 'No tags yet. Add tags to a URL from the URLs page.'}
+          </p>
+        </div>
+      )}
+
+      {/* Edit Tag Modal */}
+      <AnimatePresence>
+        {showEditModal && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 overflow-y-auto"
+          >
+            <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+              <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={() => setShowEditModal(false)} />
+
+              <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+                <form onSubmit={handleEdit}>
+                  <div className="px-4 pt-5 pb-4 sm:p-6 sm:pb-4 space-y-4">
+                    <h3 className="text-lg font-medium text-gray-900 dark:text-white">Edit Tag</h3>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                        Tag Name
+                      </label>
+                      <input
+                        type="text"
+                        required
+                        value={formData.name}
+                        onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                        className="input-field"
+                        placeholder="Enter tag name"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                        Colour
+                      </label>
+                      <div className="flex flex-wrap gap-2">
+                        {TAG_COLORS.map(color => (
+                          <button
+                            key={color}
+                            type="button"
+                            onClick={() => setFormData({ ...formData, color })}
+                            className={`h-7 w-7 rounded-full ${getTagColorClasses(color).dot} ${
+                              formData.color === color ? 'ring-2 ring-offset-2 ring-primary-500 dark:ring-offset-gray-800' : ''
+                            }`}
+                            title={color}
+                          />
+                        ))}
+                      </div>
+                    </div>
+
+                    <div>
+                      <span className="text-xs text-gray-500 dark:text-gray-400 mr-2">Preview</span>
+                      <TagChip tag={{ name: normalizeTagName(formData.name) || 'Tag', color: formData.color }} />
+                    </div>
+                  </div>
+
+                  <div className="bg-gray-50 dark:bg-gray-700 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse">
+                    <button
+                      type="submit"
+                      className="btn-primary w-full sm:w-auto sm:ml-3"
+                    >
+                      Update Tag
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setShowEditModal(false)}
+                      className="btn-secondary w-full sm:w-auto mt-3 sm:mt-0"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Merge Tag Modal */}
+      <AnimatePresence>
+        {showMergeModal && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 overflow-y-auto"
+          >
+            <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+              <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={() => setShowMergeModal(false)} />
+
+              <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+                <div className="px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                  <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">Merge Tag</h3>
+                  <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                    Every URL tagged "{selectedTag?.name}" will get the tag you choose, and "{selectedTag?.name}" will be deleted.
+                  </p>
+                  <select
+                    value={mergeTargetId}
+                    onChange={(e) => setMergeTargetId(e.target.value)}
+                    className="input-field"
+                  >
+                    <option value="">Merge into...</option>
+                    {tags
+                      .filter(tag => tag._id !== selectedTag?._id)
+                      .map(tag => (
+                        <option key={tag._id} value={tag._id}>{tag.name}</option>
+                      ))}
+                  </select>
+                </div>
+
+                <div className="bg-gray-50 dark:bg-gray-700 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse">
+                  <button
+                    onClick={handleMerge}
+                    disabled={!mergeTargetId}
+                    className="btn-primary w-full sm:w-auto sm:ml-3 disabled:opacity-50"
+                  >
+                    Merge
+                  </button>
+                  <button
+                    onClick={() => setShowMergeModal(false)}
+                    className="btn-secondary w-full sm:w-auto mt-3 sm:mt-0"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Delete Confirmation Modal */}
+      <AnimatePresence>
+        {showDeleteModal && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 overflow-y-auto"
+          >
+            <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+              <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={() => setShowDeleteModal(false)} />
+
+              <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+                <div className="px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                  <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">Delete Tag</h3>
+                  <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                    Are you sure you want to delete "{selectedTag?.name}"? This action cannot be undone.
+                  </p>
+                  {selectedTag?.urlCount > 0 && (
+                    <div className="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg p-3 mb-4">
+                      <p className="text-sm text-yellow-800 dark:text-yellow-200">
+                        ⚠️ {selectedTag.urlCount} URL(s) carry this tag. The URLs are kept; only the tag is removed from them.
+                      </p>
+                    </div>
+                  )}
+                </div>
+
+                <div className="bg-gray-50 dark:bg-gray-700 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse">
+                  <button
+                    onClick={handleDelete}
+                    className="btn-danger w-full sm:w-auto sm:ml-3"
+                  >
+                    Delete
+                  </button>
+                  <button
+                    onClick={() => setShowDeleteModal(false)}
+                    className="btn-secondary w-full sm:w-auto mt-3 sm:mt-0"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default Tags;
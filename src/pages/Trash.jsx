@@ -0,0 +1,287 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { trashService } from '../services/trashService';
+import toast from 'react-hot-toast';
+import { formatDisplayDate } from '../utils/timezone';
+import {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  TRASH_RETENTION_OPTIONS,
+  getDaysUntilPurge,
+  formatPurgeLabel,
+} from '../utils/trash';
+import {
+  TrashIcon,
+  ArrowUturnLeftIcon,
+  LinkIcon,
+  FolderIcon,
+} from '@heroicons/react/24/outline';
+
+const TABS = [
+  { value: 'urls', label: 'URLs' },
+  { value: 'groups', label: 'Groups' },
+];
+
+// Items this close to being purged are highlighted
+const PURGE_WARNING_DAYS = 3;
+
+const Trash = () => {
+  const [trash, setTrash] = useState({ urls: [], groups: [] });
+  const [retentionDays, setRetentionDays] = useState(DEFAULT_TRASH_RETENTION_DAYS);
+  const [loading, setLoading] = useState(true);
+  const [activeTab, setActiveTab] = useState('urls');
+  const [busyId, setBusyId] = useState(null);
+  // { type: 'urls' | 'groups' | 'all', item }
+  const [purgeTarget, setPurgeTarget] = useState(null);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      const data = await trashService.getTrash();
+      setTrash({ urls: data.urls, groups: data.groups });
+      setRetentionDays(data.retentionDays);
+    } catch (error) {
+      toast.error(error.message || 'Failed to fetch the Trash');
+      setTrash({ urls: [], groups: [] });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (type, item) => {
+    setBusyId(item._id);
+    try {
+      if (type === 'groups') {
+        await trashService.restoreGroup(item._id);
+      } else {
+        await trashService.restoreUrl(item._id);
+      }
+      toast.success(`Restored "${item.name || 'Unnamed URL'}"`);
+      fetchData();
+    } catch (error) {
+      toast.error(error.message || 'Failed to restore');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async () => {
+    const { type, item } = purgeTarget;
+    try {
+      if (type === 'all') {
+        await trashService.emptyTrash();
+        toast.success('Trash emptied');
+      } else {
+        if (type === 'groups') {
+          await trashService.purgeGroup(item._id);
+        } else {
+          await trashService.purgeUrl(item._id);
+        }
+        toast.success(`"${item.name || 'Unnamed URL'}" deleted permanently`);
+      }
+      setPurgeTarget(null);
+      fetchData();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete permanently');
+    }
+  };
+
+  const handleRetentionChange = async (e) => {
+    const days = Number(e.target.value);
+    const previous = retentionDays;
+    setRetentionDays(days);
+    try {
+      await trashService.updateRetention(days);
+      toast.success(`Deleted items are now kept for ${days} days`);
+    } catch (error) {
+      setRetentionDays(previous);
+      toast.error(error.message || 'Failed to update the retention period');
+    }
+  };
+
+  const items = trash[activeTab];
+  const totalCount = trash.urls.length + trash.groups.length;
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-96">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Trash</h1>
+          <p className="text-gray-600 dark:text-gray-400">Deleted URLs and groups stay here until they are purged. Restore anything you removed by mistake.</p>
+        </div>
+        <button
+          onClick={() => setPurgeTarget({ type: 'all' })}
+          disabled={totalCount === 0}
+          className="btn-danger flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <TrashIcon className="h-5 w-5 mr-2" />
+          Empty Trash
+        </button>
+      </div>
+
+      {/* Retention */}
+      <div className="card flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Items are deleted permanently {retentionDays} days after they were moved to the Trash.
+        </p>
+        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+          Keep for
+          <select
+            value={retentionDays}
+            onChange={handleRetentionChange}
+            className="input-field py-1.5 w-auto"
+          >
+            {TRASH_RETENTION_OPTIONS.map(days => (
+              <option key={days} value={days}>{days} days</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {/* Tabs */}
+      <div className="flex items-center gap-2 border-b border-gray-200 dark:border-gray-700">
+        {TABS.map(tab => (
+          <button
+            key={tab.value}
+            onClick={() => setActiveTab(tab.value)}
+            className={`px-4 py-2 -mb-px text-sm font-medium border-b-2 transition-colors ${
+              activeTab === tab.value
+                ? 'border-primary-600 text-primary-600 dark:text-primary-400'
+                : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200'
+            }`}
+          >
+            {tab.label} ({trash[tab.value].length})
+          </button>
+        ))}
+      </div>
+
+      {/* Trashed Items */}
+      {items.length > 0 ? (
+        <div className="card divide-y divide-gray-200 dark:divide-gray-700 p-0">
+          {items.map((item) => {
+            const daysLeft = getDaysUntilPurge(item, retentionDays);
+            return (
+              <motion.div
+                key={item._id}
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 px-6 py-4"
+              >
+                <div className="flex items-start min-w-0">
+                  {activeTab === 'groups' ? (
+                    <FolderIcon className="h-5 w-5 text-gray-400 mr-3 mt-0.5 flex-shrink-0" />
+                  ) : (
+                    <LinkIcon className="h-5 w-5 text-gray-400 mr-3 mt-0.5 flex-shrink-0" />
+                  )}
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                      {item.name || 'Unnamed URL'}
+                    </p>
+                    {activeTab === 'urls' ? (
+                      <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                        /{item.shortUrl} → {item.originalUrl}
+                      </p>
+                    ) : (
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {item.urlCount || 0} URL(s)
+                      </p>
+                    )}
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                      Deleted {item.deletedAt ? formatDisplayDate(item.deletedAt) : 'at an unknown time'}
+                      {' · '}
+                      <span className={daysLeft !== null && daysLeft <= PURGE_WARNING_DAYS ? 'text-red-600 dark:text-red-400 font-medium' : ''}>
+                        {formatPurgeLabel(daysLeft)}
+                      </span>
+                    </p>
+                  </div>
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <button
+                    onClick={() => handleRestore(activeTab, item)}
+                    disabled={busyId === item._id}
+                    className="btn-secondary flex items-center py-1.5 text-sm disabled:opacity-50"
+                  >
+                    <ArrowUturnLeftIcon className="h-4 w-4 mr-1" />
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => setPurgeTarget({ type: activeTab, item })}
+                    disabled={busyId === item._id}
+                    className="p-2 text-red-400 hover:text-red-500 dark:hover:text-red-300 transition-colors disabled:opacity-50"
+                    title="Delete permanently"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              </motion.div>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="text-center py-12">
+          <TrashIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-500 dark:text-gray-400">
+            {activeTab === 'groups' ? 'No deleted groups' : 'No deleted URLs'}
+          </p>
+        </div>
+      )}
+
+      {/* Permanent Delete Confirmation Modal */}
+      <AnimatePresence>
+        {purgeTarget && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 overflow-y-auto"
+          >
+            <div className="flex items-center justify-center min-h-screen pt-4 px-4 pb-20 text-center sm:block sm:p-0">
+              <div className="fixed inset-0 bg-gray-500 bg-opacity-75 transition-opacity" onClick={() => setPurgeTarget(null)} />
+
+              <div className="inline-block align-bottom bg-white dark:bg-gray-800 rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+                <div className="px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+                  <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">
+                    {purgeTarget.type === 'all' ? 'Empty Trash' : 'Delete Permanently'}
+                  </h3>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {purgeTarget.type === 'all'
+                      ? `All ${totalCount} item(s) in the Trash will be deleted permanently, including their click data. This action cannot be undone.`
+                      : `"${purgeTarget.item.name || 'Unnamed URL'}" will be deleted permanently${purgeTarget.type === 'urls' ? ', including its click data' : ''}. This action cannot be undone.`}
+                  </p>
+                </div>
+
+                <div className="bg-gray-50 dark:bg-gray-700 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse">
+                  <button
+                    onClick={handlePurge}
+                    className="btn-danger w-full sm:w-auto sm:ml-3"
+                  >
+                    Delete Permanently
+                  </button>
+                  <button
+                    onClick={() => setPurgeTarget(null)}
+                    className="btn-secondary w-full sm:w-auto mt-3 sm:mt-0"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default Trash;
@@ -1,11 +1,59 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { urlService } from '../services/urlService';
 import { groupService } from '../services/groupService';
+import { tagService } from '../services/tagService';
+import { trashService } from '../services/trashService';
+import { domainService } from '../services/domainService';
 import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { useUrlListParams } from '../hooks/useUrlListParams';
 import ClickLogsModal from '../components/ClickLogsModal';
 import GroupDetailsModal from '../components/GroupDetailsModal';
-import { formatDateToISTForInput, convertISTToISO } from '../utils/timezone';
+import BulkActionsToolbar from '../components/BulkActionsToolbar';
+import BulkResultsModal from '../components/BulkResultsModal';
+import ImportUrlsModal from '../components/ImportUrlsModal';
+import ExportModal from '../components/ExportModal';
+import QrCodeModal from '../components/QrCodeModal';
+import LinkPasswordFields from '../components/LinkPasswordFields';
+import RoutingRulesEditor from '../components/RoutingRulesEditor';
+import VariantsEditor from '../components/VariantsEditor';
+import Countdown from '../components/Countdown';
+import ClickCapFields from '../components/ClickCapFields';
+import ClickCapProgress from '../components/ClickCapProgress';
+import LinkPreviewEditor from '../components/LinkPreviewEditor';
+import UtmBuilder from '../components/UtmBuilder';
+import TagInput from '../components/TagInput';
+import TagChip from '../components/TagChip';
+import TagFilter from '../components/TagFilter';
+import UrlFiltersPanel from '../components/UrlFiltersPanel';
+import SavedViewsSidebar from '../components/SavedViewsSidebar';
+import UrlTable from '../components/UrlTable';
+import UndoToast from '../components/UndoToast';
+import UrlHistoryPanel from '../components/UrlHistoryPanel';
+import DomainSelect from '../components/DomainSelect';
+import SlugField from '../components/SlugField';
+import LinkHealthBadge from '../components/LinkHealthBadge';
+import DuplicateDestinationModal from '../components/DuplicateDestinationModal';
+import ScreeningNotice from '../components/ScreeningNotice';
+import { formatDateForInput, convertInputToISO, formatDisplayDate, getCurrentTimeForInput } from '../utils/timezone';
+import { runInBatches } from '../utils/batch';
+import { getUrlExportColumns } from '../utils/exportColumns';
+import { getPasswordFormState, validatePasswordForm, splitPasswordFields } from '../utils/linkPassword';
+import { toEditableRules, toRoutingRulesPayload, validateRoutingRules } from '../utils/routingRules';
+import { toEditableVariants, toVariantsPayload, validateVariants, buildWinnerUpdate } from '../utils/variants';
+import { SCHEDULE_FILTERS, getScheduleState, validateSchedule } from '../utils/linkSchedule';
+import { getUrlTags, pickTagColor, validateTagName } from '../utils/tags';
+import { SORT_OPTIONS, DEFAULT_LIST_FILTERS, countActiveFilters, clearListFilters, toListQueryParams } from '../utils/urlFilters';
+import { loadSavedViews, storeSavedViews, createSavedView, upsertSavedView, isViewActive } from '../utils/savedViews';
+import { getPreviewFormState, validatePreviewForm, toPreviewPayload } from '../utils/linkPreview';
+import { getClickCapFormState, validateClickCap, toClickCapPayload, isCapReached } from '../utils/clickCap';
+import { STATUS_BADGES, getUrlStatus } from '../utils/urlStatus';
+import { UNDO_TOAST_DURATION } from '../utils/trash';
+import { buildUrlShortLink } from '../utils/shortLink';
+import { validateSlug } from '../utils/slug';
+import { getLinkDestinations, isScreeningCurrent } from '../utils/urlScreening';
+import { validateField, VALIDATION_RULES } from '../utils/validation';
 import {
   PlusIcon,
   PencilIcon,
@@ -20,23 +68,57 @@ import {
   ClockIcon,
   GlobeAltIcon,
   UserGroupIcon,
+  ArrowUpTrayIcon,
+  ArrowDownTrayIcon,
+  QrCodeIcon,
+  LockClosedIcon,
+  AdjustmentsHorizontalIcon,
+  BarsArrowDownIcon,
+  BarsArrowUpIcon,
+  Squares2X2Icon,
+  TableCellsIcon,
+  ExclamationTriangleIcon,
 } from '@heroicons/react/24/outline';
 
 const URLs = () => {
+  const { user } = useAuth();
+  const userId = user?._id || user?.id || user?.email;
   const [urls, setUrls] = useState([]);
   const [groups, setGroups] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [domains, setDomains] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
+  const [editTab, setEditTab] = useState('details');
   const [showDeleteModal, setShowDeleteModal] = useState(false);
-  const [showClickLogsModal, setShowClickLogsModal] = useState(false);
-  const [showGroupDetailsModal, setShowGroupDetailsModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [qrUrl, setQrUrl] = useState(null);
+  // Existing links to the destination being created, shown before a duplicate is made
+  const [duplicateMatches, setDuplicateMatches] = useState(null);
+  // Last screening result that flagged the destination in the create form
+  const [screening, setScreening] = useState(null);
   const [selectedUrl, setSelectedUrl] = useState(null);
-  const [selectedGroup, setSelectedGroup] = useState(null);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [showInactive, setShowInactive] = useState(false);
+  // Search, filters, page, layout and the open analytics/group modal live in the query string
+  const {
+    searchTerm,
+    showInactive,
+    scheduleFilter,
+    tagFilter,
+    listFilters,
+    page,
+    viewMode,
+    searchParams,
+    setListState,
+    setPage,
+    setViewMode,
+    setParam,
+  } = useUrlListParams();
+  const [searchInput, setSearchInput] = useState(searchTerm);
+  const [showFiltersPanel, setShowFiltersPanel] = useState(false);
+  const [savedViews, setSavedViews] = useState(() => loadSavedViews(userId));
   const [pagination, setPagination] = useState({
-    page: 1,
     limit: 12,
     total: 0,
     pages: 1
@@ -46,19 +128,61 @@ const URLs = () => {
     originalUrl: '',
     shortUrl: '',
     groupId: '',
+    domain: '',
+    tags: [],
+    activatesAt: '',
     expiresAt: '',
+    ...getPasswordFormState(),
+    ...getClickCapFormState(),
+    ...getPreviewFormState(),
   });
+  // Bulk selection, keyed by URL id so names are available for result reporting
+  const [selectedUrls, setSelectedUrls] = useState({});
+  const [lastSelectedIndex, setLastSelectedIndex] = useState(null);
+  const [selectingAll, setSelectingAll] = useState(false);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [bulkResults, setBulkResults] = useState(null);
 
+  // Filters shared by the list fetch and "select all matching"
+  const filterParams = useMemo(() => ({
+    ...(showInactive ? { isActive: false } : { isActive: true }),
+    ...(searchTerm ? { search: searchTerm } : {}),
+    ...(scheduleFilter ? { schedule: scheduleFilter } : {}),
+    ...(tagFilter.tagIds.length ? { tags: tagFilter.tagIds, tagMatch: tagFilter.match } : {}),
+    ...toListQueryParams(listFilters)
+  }), [showInactive, searchTerm, scheduleFilter, tagFilter, listFilters]);
 
+  // Everything a saved view restores
+  const viewState = useMemo(() => ({
+    searchTerm,
+    showInactive,
+    scheduleFilter,
+    tagFilter,
+    listFilters,
+  }), [searchTerm, showInactive, scheduleFilter, tagFilter, listFilters]);
+
+  const activeViewId = savedViews.find(view => isViewActive(view, viewState))?.id || null;
+
+  const analyticsId = searchParams.get('analytics');
+  const analyticsUrl = urls.find(url => url._id === analyticsId) || null;
+  const selectedGroup = groups.find(group => group._id === searchParams.get('group')) || null;
 
   const fetchData = useCallback(async () => {
     try {
       setLoading(true);
+
+      // The table renders rows on demand, so it takes the whole filtered list at once
+      if (viewMode === 'table') {
+        const allUrls = await urlService.getAllShortUrls(filterParams);
+        setUrls(allUrls);
+        setPagination(prev => ({ ...prev, total: allUrls.length, pages: 1 }));
+        return;
+      }
+
       const params = {
-        page: pagination.page,
+        page,
         limit: pagination.limit,
-        ...(showInactive ? { isActive: false } : { isActive: true }),
-        ...(searchTerm ? { search: searchTerm } : {})
+        ...filterParams
       };
       
       const response = await urlService.getShortUrls(params);
@@ -74,6 +198,11 @@ const URLs = () => {
             pages: response.pagination.pages
           }));
         }
+
+        // A shared or bookmarked link may point past the last page
+        if (response.pagination?.pages > 0 && page > response.pagination.pages) {
+          setParam('page', response.pagination.pages, { replace: true });
+        }
       } else {
         setUrls([]);
         toast.error('Failed to fetch URLs');
@@ -84,7 +213,7 @@ const URLs = () => {
     } finally {
       setLoading(false);
     }
-  }, [pagination.page, pagination.limit, showInactive, searchTerm]);
+  }, [page, pagination.limit, filterParams, viewMode, setParam]);
 
   useEffect(() => {
     fetchData();
@@ -92,14 +221,25 @@ const URLs = () => {
 
   useEffect(() => {
     fetchGroups();
+    fetchTags();
+    fetchDomains();
   }, []);
 
   useEffect(() => {
-    // Reset to page 1 when showInactive or searchTerm changes
-    if (pagination.page !== 1) {
-      setPagination(prev => ({ ...prev, page: 1 }));
-    }
-  }, [showInactive, searchTerm]);
+    // A selection made under other filters no longer matches what is shown
+    setSelectedUrls({});
+    setLastSelectedIndex(null);
+  }, [filterParams]);
+
+  useEffect(() => {
+    // Shift-click ranges only make sense within the current page
+    setLastSelectedIndex(null);
+  }, [page]);
+
+  useEffect(() => {
+    // Follow the address bar when back/forward changes the search
+    setSearchInput(searchTerm);
+  }, [searchTerm]);
 
   const fetchGroups = async () => {
     try {
@@ -110,6 +250,100 @@ const URLs = () => {
     }
   };
 
+  const fetchTags = async () => {
+    try {
+      const tagsResult = await tagService.getTags();
+      setTags(tagsResult || []);
+    } catch {
+      setTags([]);
+    }
+  };
+
+  const fetchDomains = async () => {
+    try {
+      setDomains(await domainService.getDomains());
+    } catch {
+      setDomains([]);
+    }
+  };
+
+  // Domain a URL in this group inherits when it doesn't choose its own
+  const getGroupDomain = (groupId) => groups.find(group => group._id === groupId)?.domain || '';
+
+  const handleCreateTag = async (name) => {
+    const nameError = validateTagName(name, tags);
+    if (nameError) {
+      toast.error(nameError);
+      return null;
+    }
+
+    try {
+      const tag = await tagService.createTag({ name, color: pickTagColor(name) });
+      setTags(prev => [...prev, tag]);
+      return tag;
+    } catch (error) {
+      toast.error(error.message || 'Failed to create tag');
+      return null;
+    }
+  };
+
+  const addTagToFilter = (tag) => {
+    if (!tagFilter.tagIds.includes(tag._id)) {
+      setListState({ tagFilter: { ...tagFilter, tagIds: [...tagFilter.tagIds, tag._id] } });
+    }
+  };
+
+  const applySavedView = (view) => {
+    // Unknown or missing values fall back to defaults when the query string is read back
+    setListState({
+      searchTerm: view.state.searchTerm || '',
+      showInactive: Boolean(view.state.showInactive),
+      scheduleFilter: view.state.scheduleFilter || '',
+      tagFilter: view.state.tagFilter || { tagIds: [], match: 'any' },
+      listFilters: { ...DEFAULT_LIST_FILTERS, ...view.state.listFilters },
+    });
+  };
+
+  const updateSavedViews = (views) => {
+    setSavedViews(views);
+    storeSavedViews(userId, views);
+  };
+
+  const handleSaveView = (name) => {
+    updateSavedViews(upsertSavedView(savedViews, createSavedView(name, viewState)));
+    toast.success(`View "${name.trim()}" saved`);
+  };
+
+  const handleDeleteView = (view) => {
+    updateSavedViews(savedViews.filter(item => item.id !== view.id));
+  };
+
+  // Destinations saving the form would send visitors to; when editing, only the new ones
+  const getDestinationsToScreen = () => {
+    const destinations = getLinkDestinations(formData);
+    if (!showEditModal || !selectedUrl) return destinations;
+    const existing = getLinkDestinations(selectedUrl);
+    return destinations.filter(destination => !existing.includes(destination));
+  };
+
+  const screeningCurrent = isScreeningCurrent(screening, getDestinationsToScreen());
+
+  /**
+   * Screen the destinations the form would save
+   * A warning has to be confirmed by submitting the same destinations again.
+   * @returns {Promise<boolean>} True when saving can go ahead
+   */
+  const passesScreening = async () => {
+    const destinations = getDestinationsToScreen();
+    if (destinations.length === 0) return true;
+    if (screeningCurrent && screening.verdict === 'warn') return true;
+
+    const result = await urlService.screenDestinations(destinations);
+    if (result.verdict === 'allow') return true;
+    setScreening(result);
+    return false;
+  };
+
   const handleCreate = async (e) => {
     e.preventDefault();
     
@@ -123,14 +357,75 @@ const URLs = () => {
       toast.error('Original URL is required');
       return;
     }
-    
+
+    const urlError = validateField('url', formData.originalUrl.trim(), VALIDATION_RULES.url);
+    if (urlError) {
+      toast.error(urlError);
+      return;
+    }
+
+    const slugError = validateSlug(formData.shortUrl.trim());
+    if (slugError) {
+      toast.error(slugError);
+      return;
+    }
+
+    const scheduleError = validateSchedule(formData.activatesAt, formData.expiresAt);
+    if (scheduleError) {
+      toast.error(scheduleError);
+      return;
+    }
+
+    const passwordError = validatePasswordForm(formData);
+    if (passwordError) {
+      toast.error(passwordError);
+      return;
+    }
+
+    const clickCapError = validateClickCap(formData);
+    if (clickCapError) {
+      toast.error(clickCapError);
+      return;
+    }
+
+    const previewError = validatePreviewForm(formData);
+    if (previewError) {
+      toast.error(previewError);
+      return;
+    }
+
+    if (!(await passesScreening())) return;
+
+    let matches = [];
+    try {
+      matches = await urlService.findUrlsByDestination(formData.originalUrl.trim());
+    } catch {
+      // A failed duplicate check shouldn't stop the link being created, but it isn't an all-clear
+      toast.error("Couldn't check for existing short links to this destination");
+    }
+    if (matches.length > 0) {
+      setDuplicateMatches(matches);
+      return;
+    }
+
+    submitCreate();
+  };
+
+  const submitCreate = async () => {
     try {
-      // Handle empty groupId and expiresAt - convert empty string to null/undefined
-      // Convert expiresAt from IST (datetime-local) to ISO string for backend
+      const { fields, payload: passwordPayload } = splitPasswordFields(formData);
+      // Handle empty groupId, activatesAt and expiresAt - convert empty string to null/undefined
+      // Convert the dates from the user's timezone (datetime-local) to ISO strings for backend
       const createData = {
-        ...formData,
-        groupId: formData.groupId === '' ? null : formData.groupId,
-        expiresAt: formData.expiresAt === '' ? undefined : convertISTToISO(formData.expiresAt)
+        ...fields,
+        ...passwordPayload,
+        ...toClickCapPayload(fields),
+        ...toPreviewPayload(fields),
+        groupId: fields.groupId === '' ? null : fields.groupId,
+        domain: fields.domain || undefined,
+        tags: fields.tags.map(tag => tag._id),
+        activatesAt: fields.activatesAt === '' ? undefined : convertInputToISO(fields.activatesAt),
+        expiresAt: fields.expiresAt === '' ? undefined : convertInputToISO(fields.expiresAt)
       };
       
       await urlService.createShortUrl(createData);
@@ -138,20 +433,104 @@ const URLs = () => {
       setShowCreateModal(false);
       resetForm();
       fetchData();
+      fetchTags();
     } catch (error) {
       toast.error(error.message || 'Failed to create URL');
     }
   };
 
+  const closeCreateModal = () => {
+    setDuplicateMatches(null);
+    setShowCreateModal(false);
+    resetForm();
+  };
+
+  const handleReuseDuplicate = (url) => {
+    copyToClipboard(buildUrlShortLink(url, groups));
+    closeCreateModal();
+  };
+
+  const handleOpenDuplicate = (url) => {
+    closeCreateModal();
+    openEditModal(url);
+  };
+
+  const handleCreateAnyway = () => {
+    setDuplicateMatches(null);
+    submitCreate();
+  };
+
   const handleEdit = async (e) => {
     e.preventDefault();
+
+    // Existing destinations and slugs are left alone even if they would no longer pass
+    const urlError = formData.originalUrl.trim() !== selectedUrl.originalUrl
+      && validateField('url', formData.originalUrl.trim(), VALIDATION_RULES.url);
+    if (urlError) {
+      toast.error(urlError);
+      return;
+    }
+
+    const slugError = formData.shortUrl.trim() !== selectedUrl.shortUrl && validateSlug(formData.shortUrl.trim());
+    if (slugError) {
+      toast.error(slugError);
+      return;
+    }
+
+    const scheduleError = validateSchedule(formData.activatesAt, formData.expiresAt);
+    if (scheduleError) {
+      toast.error(scheduleError);
+      return;
+    }
+
+    const passwordError = validatePasswordForm(formData);
+    if (passwordError) {
+      toast.error(passwordError);
+      return;
+    }
+
+    const clickCapError = validateClickCap(formData);
+    if (clickCapError) {
+      toast.error(clickCapError);
+      return;
+    }
+
+    const previewError = validatePreviewForm(formData);
+    if (previewError) {
+      toast.error(previewError);
+      return;
+    }
+
+    const routingError = validateRoutingRules(formData.routingRules || []);
+    if (routingError) {
+      toast.error(routingError);
+      return;
+    }
+
+    const variantsError = validateVariants(formData.variants || []);
+    if (variantsError) {
+      toast.error(variantsError);
+      return;
+    }
+
+    if (!(await passesScreening())) return;
+
     try {
-      // Handle empty groupId and expiresAt - convert empty string to null
-      // Convert expiresAt from IST (datetime-local) to ISO string for backend
+      const { fields, payload: passwordPayload } = splitPasswordFields(formData);
+      // Handle empty groupId, activatesAt and expiresAt - convert empty string to null
+      // Convert the dates from the user's timezone (datetime-local) to ISO strings for backend
       const updateData = {
-        ...formData,
-        groupId: formData.groupId === '' ? null : formData.groupId,
-        expiresAt: formData.expiresAt === '' ? null : convertISTToISO(formData.expiresAt)
+        ...fields,
+        ...passwordPayload,
+        ...toClickCapPayload(fields),
+        ...toPreviewPayload(fields),
+        routingRules: toRoutingRulesPayload(fields.routingRules || []),
+        variants: toVariantsPayload(fields.variants || []),
+        groupId: fields.groupId === '' ? null : fields.groupId,
+        domain: fields.domain || null,
+        tags: fields.tags.map(tag => tag._id),
+        activatesAt: fields.activatesAt === '' ? null : convertInputToISO(fields.activatesAt),
+        expiresAt: fields.expiresAt === '' ? null : convertInputToISO(fields.expiresAt)
       };
       
       await urlService.updateShortUrl(selectedUrl._id, updateData);
@@ -159,15 +538,30 @@ const URLs = () => {
       setShowEditModal(false);
       resetForm();
       fetchData();
+      fetchTags();
     } catch (error) {
       toast.error(error.message || 'Failed to update URL');
     }
   };
 
+  const handleSaveUtmTemplates = async (groupId, utmTemplates) => {
+    try {
+      await groupService.updateGroup(groupId, { utmTemplates });
+      toast.success('UTM templates saved');
+      await fetchGroups();
+      return true;
+    } catch (error) {
+      toast.error(error.message || 'Failed to save UTM templates');
+      return false;
+    }
+  };
+
   const handleDelete = async () => {
+    const deletedUrl = selectedUrl;
     try {
-      await urlService.deleteShortUrl(selectedUrl._id);
-      toast.success('URL permanently deleted!');
+      // The backend keeps deleted URLs in the Trash until the retention period ends
+      await urlService.deleteShortUrl(deletedUrl._id);
+      showUndoToast('URL moved to Trash', [deletedUrl._id]);
       setShowDeleteModal(false);
       setSelectedUrl(null);
       fetchData();
@@ -176,7 +570,33 @@ const URLs = () => {
     }
   };
 
+  const handleUndoDelete = async (ids) => {
+    const outcomes = await runInBatches(ids, (id) => trashService.restoreUrl(id), { batchSize: 5 });
+    const failed = outcomes.filter(outcome => !outcome.success).length;
+
+    if (failed === 0) {
+      toast.success(ids.length === 1 ? 'URL restored' : `${ids.length} URL(s) restored`);
+    } else {
+      toast.error(`${failed} of ${ids.length} URL(s) could not be restored. They are still in the Trash.`);
+    }
+    fetchData();
+  };
+
+  const showUndoToast = (message, ids) => {
+    toast(
+      (t) => <UndoToast toastId={t.id} message={message} onUndo={() => handleUndoDelete(ids)} />,
+      { duration: UNDO_TOAST_DURATION, icon: '🗑️' }
+    );
+  };
+
   const handleToggleStatus = async (url) => {
+    // Reactivating would stop again on the next click, so the limit has to change instead
+    if (!url.isActive && isCapReached(url)) {
+      toast.error('This link reached its click limit. Raise or remove the limit to reactivate it.');
+      openEditModal(url);
+      return;
+    }
+
     try {
       await urlService.toggleUrlStatus(url._id);
       const status = url.isActive ? 'deactivated' : 'activated';
@@ -188,44 +608,205 @@ const URLs = () => {
   };
 
   const resetForm = () => {
+    setScreening(null);
     setFormData({
       name: '',
       originalUrl: '',
       shortUrl: '',
       groupId: '',
+      domain: '',
+      tags: [],
+      activatesAt: '',
       expiresAt: '',
+      ...getPasswordFormState(),
+      ...getClickCapFormState(),
+      ...getPreviewFormState(),
     });
   };
 
   const openEditModal = (url) => {
     if (!url) return;
     setSelectedUrl(url);
+    setScreening(null);
     
     const formDataToSet = {
       name: url.name || '',
       originalUrl: url.originalUrl || '',
       shortUrl: url.shortUrl || '',
       groupId: url.groupId?._id || url.groupId || '',
-      // Format date from database (UTC) to IST for datetime-local input
-      expiresAt: url.expiresAt ? formatDateToISTForInput(url.expiresAt) : '',
+      domain: url.domain || '',
+      tags: getUrlTags(url, tags),
+      // Format dates from database (UTC) to the user's timezone for datetime-local input
+      activatesAt: url.activatesAt ? formatDateForInput(url.activatesAt) : '',
+      expiresAt: url.expiresAt ? formatDateForInput(url.expiresAt) : '',
+      ...getPasswordFormState(url),
+      ...getClickCapFormState(url),
+      ...getPreviewFormState(url),
+      routingRules: toEditableRules(url.routingRules),
+      variants: toEditableVariants(url.variants),
     };
     setFormData(formDataToSet);
+    setEditTab('details');
     setShowEditModal(true);
   };
 
+  const handleReverted = (url) => {
+    fetchData();
+    // Refresh the form with the reverted values but stay on the History tab
+    if (url) {
+      openEditModal(url);
+      setEditTab('history');
+    }
+  };
+
   const openDeleteModal = (url) => {
     setSelectedUrl(url);
     setShowDeleteModal(true);
   };
 
   const openClickLogsModal = (url) => {
-    setSelectedUrl(url);
-    setShowClickLogsModal(true);
+    setParam('analytics', url._id);
   };
 
   const openGroupDetailsModal = (group) => {
-    setSelectedGroup(group);
-    setShowGroupDetailsModal(true);
+    setParam('group', group._id || group);
+  };
+
+  const selectedCount = Object.keys(selectedUrls).length;
+  const selectedOnPage = urls.filter(url => selectedUrls[url._id]).length;
+  const pageSelection = selectedOnPage === 0
+    ? 'none'
+    : selectedOnPage === urls.length ? 'all' : 'some';
+
+  const toggleUrlSelection = (url, index, shiftKey) => {
+    const shouldSelect = !selectedUrls[url._id];
+    // Shift-click applies the clicked card's new state to every card since the last click
+    const range = shiftKey && lastSelectedIndex !== null
+      ? urls.slice(Math.min(lastSelectedIndex, index), Math.max(lastSelectedIndex, index) + 1)
+      : [url];
+
+    setSelectedUrls(prev => {
+      const next = { ...prev };
+      range.forEach(item => {
+        if (shouldSelect) {
+          next[item._id] = item;
+        } else {
+          delete next[item._id];
+        }
+      });
+      return next;
+    });
+    setLastSelectedIndex(index);
+  };
+
+  const togglePageSelection = () => {
+    setSelectedUrls(prev => {
+      const next = { ...prev };
+      urls.forEach(url => {
+        if (pageSelection === 'all') {
+          delete next[url._id];
+        } else {
+          next[url._id] = url;
+        }
+      });
+      return next;
+    });
+  };
+
+  const handleSelectAllMatching = async () => {
+    try {
+      setSelectingAll(true);
+      const allUrls = await urlService.getAllShortUrls(filterParams);
+      setSelectedUrls(Object.fromEntries(
+        allUrls.filter(url => url._id).map(url => [url._id, url])
+      ));
+    } catch (error) {
+      toast.error(error.message || 'Failed to select matching URLs');
+    } finally {
+      setSelectingAll(false);
+    }
+  };
+
+  const clearSelection = () => {
+    setSelectedUrls({});
+    setLastSelectedIndex(null);
+  };
+
+  const finishBulkAction = (title, verb, itemResults) => {
+    const results = itemResults.map(result => ({
+      ...result,
+      name: selectedUrls[result.id]?.name,
+    }));
+    const failedIds = new Set(results.filter(result => !result.success).map(result => result.id));
+
+    if (failedIds.size === 0) {
+      toast.success(`${results.length} URL(s) ${verb}`);
+    } else {
+      toast.error(`${failedIds.size} of ${results.length} URL(s) could not be ${verb}`);
+    }
+
+    // Keep failed items selected so the action can be retried
+    setSelectedUrls(prev => Object.fromEntries(
+      Object.entries(prev).filter(([id]) => failedIds.has(id))
+    ));
+    setBulkResults({ title, results });
+    setBulkBusy(false);
+    fetchData();
+  };
+
+  const runBulkUpdate = async (title, verb, updateData) => {
+    const ids = Object.keys(selectedUrls);
+    setBulkBusy(true);
+
+    let itemResults;
+    try {
+      const response = await urlService.bulkUpdateUrls(ids, updateData);
+      itemResults = urlService.getBulkItemResults(ids, response);
+    } catch (error) {
+      itemResults = ids.map(id => ({ id, success: false, message: error.message || 'Request failed' }));
+    }
+
+    finishBulkAction(title, verb, itemResults);
+  };
+
+  const handleBulkMoveToGroup = (groupId) => {
+    runBulkUpdate('Move to group', 'moved', { groupId });
+  };
+
+  const handleBulkSetExpiry = (expiresAt) => {
+    // Convert expiresAt from the user's timezone (datetime-local) to ISO string; empty clears the expiry
+    if (expiresAt) {
+      runBulkUpdate('Set expiry', 'updated', { expiresAt: convertInputToISO(expiresAt) });
+    } else {
+      runBulkUpdate('Clear expiry', 'updated', { expiresAt: null });
+    }
+  };
+
+  const handleBulkSetActive = (isActive) => {
+    runBulkUpdate(
+      isActive ? 'Activate' : 'Deactivate',
+      isActive ? 'activated' : 'deactivated',
+      { isActive }
+    );
+  };
+
+  const handleBulkDelete = async () => {
+    const ids = Object.keys(selectedUrls);
+    setBulkBusy(true);
+
+    // There is no bulk delete endpoint, so delete one by one in small batches
+    const outcomes = await runInBatches(ids, (id) => urlService.deleteShortUrl(id), { batchSize: 5 });
+
+    finishBulkAction('Delete', 'moved to Trash', outcomes.map(outcome => ({
+      id: outcome.item,
+      success: outcome.success,
+      message: outcome.error?.message || null,
+    })));
+
+    const deletedIds = outcomes.filter(outcome => outcome.success).map(outcome => outcome.item);
+    if (deletedIds.length > 0) {
+      showUndoToast(`${deletedIds.length} URL(s) moved to Trash`, deletedIds);
+    }
   };
 
   const copyToClipboard = async (text) => {
@@ -255,314 +836,551 @@ const URLs = () => {
           <h1 className="text-3xl font-bold text-gray-900 dark:text-white">URLs</h1>
           <p className="text-gray-600 dark:text-gray-400 mt-1">Manage your shortened URLs and track their performance. Click on group badges to view group analytics.</p>
         </div>
-        <button
-          onClick={() => {
-            resetForm();
-            setShowCreateModal(true);
-          }}
-          className="btn-primary flex items-center mt-4 sm:mt-0 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 transition-all duration-200"
-        >
-          <PlusIcon className="h-5 w-5 mr-2" />
-          Create New URL
-        </button>
+        <div className="flex items-center gap-3 mt-4 sm:mt-0">
+          <button
+            onClick={() => setShowImportModal(true)}
+            className="btn-secondary flex items-center"
+          >
+            <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+            Import
+          </button>
+          <button
+            onClick={() => setShowExportModal(true)}
+            className="btn-secondary flex items-center"
+          >
+            <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+            Export
+          </button>
+          <button
+            onClick={() => {
+              resetForm();
+              setShowCreateModal(true);
+            }}
+            className="btn-primary flex items-center shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 transition-all duration-200"
+          >
+            <PlusIcon className="h-5 w-5 mr-2" />
+            Create New URL
+          </button>
+        </div>
       </div>
 
-      {/* Search and Filter Bar */}
-      <div className="flex flex-col sm:flex-row gap-4">
-        {/* Search Bar */}
-        <div className="relative flex-1">
-          <MagnifyingGlassIcon className="h-5 w-5 absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400" />
-          <input
-            type="text"
-            placeholder="Search URLs by name or original URL..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            className="w-full pl-12 pr-4 py-3 border border-gray-200 dark:border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all duration-200 bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400"
-          />
-        </div>
+      <div className="lg:flex lg:items-start lg:gap-6">
+        {/* Saved Views Sidebar */}
+        <SavedViewsSidebar
+          views={savedViews}
+          activeViewId={activeViewId}
+          onApply={applySavedView}
+          onSave={handleSaveView}
+          onDelete={handleDeleteView}
+        />
+
+        <div className="flex-1 min-w-0 space-y-6">
+          {/* Search and Filter Bar */}
+          <div className="flex flex-col sm:flex-row gap-4">
+            {/* Search Bar */}
+            <div className="relative flex-1">
+              <MagnifyingGlassIcon className="h-5 w-5 absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400" />
+              <input
+                type="text"
+                placeholder="Search URLs by name or original URL..."
+                value={searchInput}
+                onChange={(e) => {
+                  setSearchInput(e.target.value);
+                  // Replace rather than push so every keystroke isn't a history entry
+                  setListState({ searchTerm: e.target.value }, { replace: true });
+                }}
+                className="w-full pl-12 pr-4 py-3 border border-gray-200 dark:border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all duration-200 bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400"
+              />
+            </div>
         
-        {/* Show Inactive Toggle */}
-        <div className="flex items-center space-x-3">
-          <label className="flex items-center cursor-pointer">
-            <input
-              type="checkbox"
-              checked={showInactive}
-              onChange={(e) => setShowInactive(e.target.checked)}
-              className="sr-only"
+            {/* Tag Filter */}
+            <TagFilter
+              tags={tags}
+              selectedIds={tagFilter.tagIds}
+              match={tagFilter.match}
+              onChange={(nextTagFilter) => setListState({ tagFilter: nextTagFilter })}
             />
-            <div className={`relative w-11 h-6 rounded-full transition-colors duration-200 ${
-              showInactive ? 'bg-primary-600' : 'bg-gray-300 dark:bg-gray-600'
-            }`}>
-              <div className={`absolute top-0.5 left-0.5 w-5 h-5 bg-white rounded-full transition-transform duration-200 ${
-                showInactive ? 'transform translate-x-5' : ''
-              }`}></div>
+
+            {/* Schedule Filter */}
+            <select
+              value={scheduleFilter}
+              onChange={(e) => setListState({ scheduleFilter: e.target.value })}
+              className="px-4 py-3 border border-gray-200 dark:border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all duration-200 bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm"
+            >
+              {SCHEDULE_FILTERS.map((filter) => (
+                <option key={filter.value} value={filter.value}>
+                  {filter.label}
+                </option>
+              ))}
+            </select>
+
+            {/* Show Inactive Toggle */}
+            <div className="flex items-center space-x-3">
+              <label className="flex items-center cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={showInactive}
+                  onChange={(e) => setListState({ showInactive: e.target.checked })}
+                  className="sr-only"
+                />
+                <div className={`relative w-11 h-6 rounded-full transition-colors duration-200 ${
+                  showInactive ? 'bg-primary-600' : 'bg-gray-300 dark:bg-gray-600'
+                }`}>
+                  <div className={`absolute top-0.5 left-0.5 w-5 h-5 bg-white rounded-full transition-transform duration-200 ${
+                    showInactive ? 'transform translate-x-5' : ''
+                  }`}></div>
+                </div>
+                <span className="ml-3 text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Show Inactive URLs
+                </span>
+              </label>
             </div>
-            <span className="ml-3 text-sm font-medium text-gray-700 dark:text-gray-300">
-              Show Inactive URLs
-            </span>
-          </label>
-        </div>
-      </div>
+          </div>
 
-      {/* URLs Grid */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-        {(urls || []).length > 0 ? (
-          (urls || []).map((url, index) => (
-            <motion.div
-              key={url._id || `url-${index}`}
-              initial={{ opacity: 0, y: 20 }}
-              animate={{ opacity: 1, y: 0 }}
-              transition={{ duration: 0.3 }}
-              className="group bg-white dark:bg-gray-800 rounded-2xl shadow-sm hover:shadow-xl border border-gray-200 dark:border-gray-700 overflow-hidden transition-all duration-300 hover:-translate-y-1"
+          {/* Sort and Filters */}
+          <div className="flex flex-wrap items-center gap-3">
+            <div className="flex items-center gap-2">
+              <span className="text-sm text-gray-600 dark:text-gray-400">Sort by</span>
+              <select
+                value={listFilters.sortBy}
+                onChange={(e) => setListState({ listFilters: { ...listFilters, sortBy: e.target.value } })}
+                className="px-3 py-2 border border-gray-200 dark:border-gray-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm"
+              >
+                {SORT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => setListState({ listFilters: { ...listFilters, sortOrder: listFilters.sortOrder === 'asc' ? 'desc' : 'asc' } })}
+                className="p-2 text-gray-500 hover:text-primary-600 dark:hover:text-primary-400 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg transition-colors"
+                title={listFilters.sortOrder === 'asc' ? 'Ascending' : 'Descending'}
+              >
+                {listFilters.sortOrder === 'asc' ? (
+                  <BarsArrowUpIcon className="h-4 w-4" />
+                ) : (
+                  <BarsArrowDownIcon className="h-4 w-4" />
+                )}
+              </button>
+            </div>
+            <button
+              onClick={() => setShowFiltersPanel(!showFiltersPanel)}
+              className={`flex items-center px-3 py-2 text-sm font-medium border rounded-lg transition-colors bg-white dark:bg-gray-800 ${
+                countActiveFilters(listFilters) > 0
+                  ? 'border-primary-500 text-primary-700 dark:text-primary-300'
+                  : 'border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300'
+              }`}
             >
-              {/* URL Header */}
-              <div className="p-6 border-b border-gray-100 dark:border-gray-700">
-                <div className="flex items-start justify-between">
-                  <div className="flex-1 min-w-0">
-                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white truncate">
-                      {url.name || 'Unnamed URL'}
-                    </h3>
-                    <p className="text-sm text-gray-500 dark:text-gray-400 mt-1 truncate">
-                      {url.originalUrl || 'No URL'}
-                    </p>
-                    {/* Group Badge */}
-                    {url.groupId && (
-                      <div 
-                        className="flex items-center mt-2 cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700 px-2 py-1 rounded-lg transition-all duration-200 group-badge"
-                        onClick={() => openGroupDetailsModal(url.groupId)}
-                        title="Click to view group details and analytics"
-                      >
-                        <UserGroupIcon className="h-3 w-3 text-gray-400 mr-1 group-hover:text-primary-500 transition-colors" />
-                        <span className="text-xs text-gray-500 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 transition-colors">
-                          {url.groupId.name || 'Group'}
-                        </span>
-                        <span className="text-xs text-primary-400 ml-1 opacity-0 group-hover:opacity-100 transition-opacity">
-                          →
-                        </span>
+              <AdjustmentsHorizontalIcon className="h-4 w-4 mr-2" />
+              Filters{countActiveFilters(listFilters) > 0 ? ` (${countActiveFilters(listFilters)})` : ''}
+            </button>
+            <button
+              onClick={() => setListState({ listFilters: { ...listFilters, health: listFilters.health ? '' : 'broken' } })}
+              className={`flex items-center px-3 py-2 text-sm font-medium border rounded-lg transition-colors ${
+                listFilters.health
+                  ? 'border-red-500 bg-red-50 text-red-700 dark:bg-red-900/20 dark:text-red-300'
+                  : 'border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300'
+              }`}
+              title="Show only links whose destination returned an error or timed out"
+            >
+              <ExclamationTriangleIcon className="h-4 w-4 mr-2" />
+              Broken links
+            </button>
+
+            {/* View Toggle */}
+            <div className="ml-auto flex items-center rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 p-0.5">
+              {[
+                { mode: 'cards', label: 'Cards', icon: <Squares2X2Icon className="h-4 w-4 mr-1.5" /> },
+                { mode: 'table', label: 'Table', icon: <TableCellsIcon className="h-4 w-4 mr-1.5" /> },
+              ].map(({ mode, label, icon }) => (
+                <button
+                  key={mode}
+                  onClick={() => setViewMode(mode)}
+                  className={`flex items-center px-2.5 py-1.5 text-sm font-medium rounded-md transition-colors ${
+                    viewMode === mode
+                      ? 'bg-primary-600 text-white'
+                      : 'text-gray-600 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400'
+                  }`}
+                  title={`${label} view`}
+                >
+                  {icon}
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {showFiltersPanel && (
+            <UrlFiltersPanel
+              filters={listFilters}
+              onChange={(nextFilters) => setListState({ listFilters: nextFilters }, { replace: true })}
+              groups={groups}
+              onClear={() => setListState({ listFilters: clearListFilters(listFilters) })}
+            />
+          )}
+
+          {/* Bulk Actions */}
+          {urls.length > 0 && (
+            <BulkActionsToolbar
+              selectedCount={selectedCount}
+              pageSelection={pageSelection}
+              onTogglePage={togglePageSelection}
+              totalMatching={pagination.total}
+              onSelectAllMatching={handleSelectAllMatching}
+              selectingAll={selectingAll}
+              onClearSelection={clearSelection}
+              groups={groups}
+              onMoveToGroup={handleBulkMoveToGroup}
+              onSetExpiry={handleBulkSetExpiry}
+              onSetActive={handleBulkSetActive}
+              onDelete={handleBulkDelete}
+              busy={bulkBusy}
+            />
+          )}
+
+          {/* URLs Table */}
+          {viewMode === 'table' ? (
+            <UrlTable
+              urls={urls}
+              groups={groups}
+              userId={userId}
+              selectedUrls={selectedUrls}
+              onToggleSelect={toggleUrlSelection}
+              onCopy={copyToClipboard}
+              onOpenGroup={openGroupDetailsModal}
+              onOpenAnalytics={openClickLogsModal}
+              onEdit={openEditModal}
+              onShowQr={(url) => url.shortUrl ? setQrUrl(url) : toast.error('No short URL available')}
+              onToggleStatus={handleToggleStatus}
+              onDelete={openDeleteModal}
+            />
+          ) : (
+            /* URLs Grid */
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+              {(urls || []).length > 0 ? (
+                (urls || []).map((url, index) => (
+                  <motion.div
+                    key={url._id || `url-${index}`}
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ duration: 0.3 }}
+                    className={`group bg-white dark:bg-gray-800 rounded-2xl shadow-sm hover:shadow-xl border overflow-hidden transition-all duration-300 hover:-translate-y-1 ${
+                      selectedUrls[url._id]
+                        ? 'border-primary-500 ring-2 ring-primary-500/30'
+                        : 'border-gray-200 dark:border-gray-700'
+                    }`}
+                  >
+                    {/* URL Header */}
+                    <div className="p-6 border-b border-gray-100 dark:border-gray-700">
+                      <div className="flex items-start justify-between">
+                        <input
+                          type="checkbox"
+                          checked={!!selectedUrls[url._id]}
+                          onChange={(e) => toggleUrlSelection(url, index, e.nativeEvent.shiftKey)}
+                          className="h-4 w-4 mt-1.5 mr-3 flex-shrink-0 rounded border-gray-300 text-primary-600 focus:ring-primary-500 cursor-pointer"
+                          title="Select (shift-click to select a range)"
+                        />
+                        <div className="flex-1 min-w-0">
+                          <h3 className="text-lg font-semibold text-gray-900 dark:text-white truncate">
+                            {url.name || 'Unnamed URL'}
+                          </h3>
+                          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1 truncate">
+                            {url.originalUrl || 'No URL'}
+                          </p>
+                          {/* Group Badge */}
+                          {url.groupId && (
+                            <div 
+                              className="flex items-center mt-2 cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700 px-2 py-1 rounded-lg transition-all duration-200 group-badge"
+                              onClick={() => openGroupDetailsModal(url.groupId)}
+                              title="Click to view group details and analytics"
+                            >
+                              <UserGroupIcon className="h-3 w-3 text-gray-400 mr-1 group-hover:text-primary-500 transition-colors" />
+                              <span className="text-xs text-gray-500 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 transition-colors">
+                                {url.groupId.name || 'Group'}
+                              </span>
+                              <span className="text-xs text-primary-400 ml-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                                →
+                              </span>
+                            </div>
+                          )}
+                          {/* Tags */}
+                          {getUrlTags(url, tags).length > 0 && (
+                            <div className="flex flex-wrap gap-1 mt-2">
+                              {getUrlTags(url, tags).map(tag => (
+                                <TagChip key={tag._id} tag={tag} onClick={addTagToFilter} />
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                        <div className="ml-3 flex-shrink-0">
+                          <div className="h-10 w-10 bg-gradient-to-br from-primary-500 to-primary-600 rounded-xl flex items-center justify-center shadow-lg">
+                            <LinkIcon className="h-5 w-5 text-white" />
+                          </div>
+                        </div>
                       </div>
-                    )}
-                  </div>
-                  <div className="ml-3 flex-shrink-0">
-                    <div className="h-10 w-10 bg-gradient-to-br from-primary-500 to-primary-600 rounded-xl flex items-center justify-center shadow-lg">
-                      <LinkIcon className="h-5 w-5 text-white" />
                     </div>
-                  </div>
-                </div>
-              </div>
 
-              {/* URL Content */}
-              <div className="p-6 space-y-4">
-                {/* Short URL */}
-                <div className="bg-gray-50 dark:bg-gray-700 rounded-xl p-3">
-                  <div className="flex items-center justify-between">
-                    <div className="flex-1 min-w-0">
-                      <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Short URL</p>
-                      <p className="text-sm font-mono text-primary-600 dark:text-primary-400 truncate">
-                        {url.shortUrl ? `${import.meta.env.VITE_SHORT_URL_BASE || window.location.origin}/${url.shortUrl}` : 'No short URL'}
-                      </p>
-                    </div>
-                    <button
-                      onClick={() => url.shortUrl ? copyToClipboard(`${import.meta.env.VITE_SHORT_URL_BASE || window.location.origin}/${url.shortUrl}`) : toast.error('No short URL available')}
-                      className="ml-2 p-2 text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 hover:bg-primary-50 dark:hover:bg-primary-900/20 rounded-lg transition-all duration-200"
-                      title="Copy short URL"
-                    >
-                      <ClipboardIcon className="h-4 w-4" />
-                    </button>
-                  </div>
-                </div>
+                    {/* URL Content */}
+                    <div className="p-6 space-y-4">
+                      {/* Short URL */}
+                      <div className="bg-gray-50 dark:bg-gray-700 rounded-xl p-3">
+                        <div className="flex items-center justify-between">
+                          <div className="flex-1 min-w-0">
+                            <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Short URL</p>
+                            <p className="text-sm font-mono text-primary-600 dark:text-primary-400 truncate">
+                              {url.shortUrl ? buildUrlShortLink(url, groups) : 'No short URL'}
+                            </p>
+                          </div>
+                          <button
+                            onClick={() => url.shortUrl ? copyToClipboard(buildUrlShortLink(url, groups)) : toast.error('No short URL available')}
+                            className="ml-2 p-2 text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 hover:bg-primary-50 dark:hover:bg-primary-900/20 rounded-lg transition-all duration-200"
+                            title="Copy short URL"
+                          >
+                            <ClipboardIcon className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </div>
 
-                {/* Stats Row */}
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center space-x-4">
-                    <div className="flex items-center space-x-2">
-                      <EyeIcon className="h-4 w-4 text-gray-400" />
-                      <span className="text-sm text-gray-600 dark:text-gray-300">
-                        {url.noOfClicks || url.clicks || 0} clicks
-                      </span>
-                    </div>
-                    <div className="flex items-center space-x-2">
-                      <CalendarIcon className="h-4 w-4 text-gray-400" />
-                      <span className="text-sm text-gray-600 dark:text-gray-300">
-                        {url.createdAt ? new Date(url.createdAt).toLocaleDateString() : 'Unknown'}
-                      </span>
-                    </div>
-                  </div>
-                </div>
+                      {/* Stats Row */}
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center space-x-4">
+                          <div className="flex items-center space-x-2">
+                            <EyeIcon className="h-4 w-4 text-gray-400" />
+                            <span className="text-sm text-gray-600 dark:text-gray-300">
+                              {url.noOfClicks || url.clicks || 0} clicks
+                            </span>
+                          </div>
+                          <div className="flex items-center space-x-2">
+                            <CalendarIcon className="h-4 w-4 text-gray-400" />
+                            <span className="text-sm text-gray-600 dark:text-gray-300">
+                              {url.createdAt ? formatDisplayDate(url.createdAt, { dateStyle: 'medium' }) : 'Unknown'}
+                            </span>
+                          </div>
+                        </div>
+                      </div>
 
-                {/* Expiration Status */}
-                {url.expiresAt && (
-                  <div className="mt-3 flex items-center justify-between">
-                    <div className="flex items-center space-x-2">
-                      <ClockIcon className="h-4 w-4 text-gray-400" />
-                      <span className={`text-xs font-medium ${
-                        new Date(url.expiresAt) < new Date() 
-                          ? 'text-red-600 dark:text-red-400' 
-                          : 'text-gray-600 dark:text-gray-300'
-                      }`}>
-                        {new Date(url.expiresAt) < new Date() 
-                          ? 'Expired'
-                          : `Expires: ${new Date(url.expiresAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`
-                        }
-                      </span>
-                    </div>
-                  </div>
-                )}
-              </div>
+                      {/* Destination Health */}
+                      <LinkHealthBadge url={url} onChecked={fetchData} />
 
-              {/* Actions */}
-              <div className="px-6 py-4 bg-gray-50 dark:bg-gray-700/50 border-t border-gray-100 dark:border-gray-700">
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center space-x-2">
-                    <button
-                      onClick={() => openClickLogsModal(url)}
-                      className="p-2 text-gray-500 hover:text-indigo-600 dark:hover:text-indigo-400 hover:bg-indigo-50 dark:hover:bg-indigo-900/20 rounded-lg transition-all duration-200"
-                      title="View Analytics"
-                    >
-                      <ChartBarIcon className="h-4 w-4" />
-                    </button>
-                    <button
-                      onClick={() => openEditModal(url)}
-                      className="p-2 text-gray-500 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/20 rounded-lg transition-all duration-200"
-                      title="Edit URL"
-                    >
-                      <PencilIcon className="h-4 w-4" />
-                    </button>
-                    <button
-                      onClick={() => handleToggleStatus(url)}
-                      className={`p-2 rounded-lg transition-all duration-200 ${
-                        url.isActive 
-                          ? 'text-green-500 hover:text-green-600 hover:bg-green-50 dark:hover:bg-green-900/20' 
-                          : 'text-yellow-500 hover:text-yellow-600 hover:bg-yellow-50 dark:hover:bg-yellow-900/20'
-                      }`}
-                      title={url.isActive ? 'Deactivate URL' : 'Activate URL'}
-                    >
-                      {url.isActive ? (
-                        <div className="h-4 w-4 bg-green-500 rounded-full"></div>
-                      ) : (
-                        <div className="h-4 w-4 bg-yellow-500 rounded-full border-2 border-yellow-300"></div>
+                      {/* Click Limit Progress */}
+                      <ClickCapProgress url={url} />
+
+                      {/* Go-live Countdown */}
+                      {getScheduleState(url) === 'scheduled' && (
+                        <div className="mt-3 flex items-center space-x-2">
+                          <ClockIcon className="h-4 w-4 text-blue-500" />
+                          <span className="text-xs font-medium text-blue-600 dark:text-blue-400" title={formatDisplayDate(url.activatesAt)}>
+                            Goes live in <Countdown target={url.activatesAt} onComplete={fetchData} />
+                          </span>
+                        </div>
                       )}
-                    </button>
-                    <button
-                      onClick={() => openDeleteModal(url)}
-                      className="p-2 text-gray-500 hover:text-red-600 dark:hover:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-all duration-200"
-                      title="Delete URL"
-                    >
-                      <TrashIcon className="h-4 w-4" />
-                    </button>
-                  </div>
+
+                      {/* Expiration Status */}
+                      {url.expiresAt && (
+                        <div className="mt-3 flex items-center justify-between">
+                          <div className="flex items-center space-x-2">
+                            <ClockIcon className="h-4 w-4 text-gray-400" />
+                            <span className={`text-xs font-medium ${
+                              new Date(url.expiresAt) < new Date() 
+                                ? 'text-red-600 dark:text-red-400' 
+                                : 'text-gray-600 dark:text-gray-300'
+                            }`}>
+                              {new Date(url.expiresAt) < new Date() 
+                                ? 'Expired'
+                                : `Expires: ${formatDisplayDate(url.expiresAt)}`
+                              }
+                            </span>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+
+                    {/* Actions */}
+                    <div className="px-6 py-4 bg-gray-50 dark:bg-gray-700/50 border-t border-gray-100 dark:border-gray-700">
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => openClickLogsModal(url)}
+                            className="p-2 text-gray-500 hover:text-indigo-600 dark:hover:text-indigo-400 hover:bg-indigo-50 dark:hover:bg-indigo-900/20 rounded-lg transition-all duration-200"
+                            title="View Analytics"
+                          >
+                            <ChartBarIcon className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => openEditModal(url)}
+                            className="p-2 text-gray-500 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/20 rounded-lg transition-all duration-200"
+                            title="Edit URL"
+                          >
+                            <PencilIcon className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => url.shortUrl ? setQrUrl(url) : toast.error('No short URL available')}
+                            className="p-2 text-gray-500 hover:text-gray-900 dark:hover:text-white hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-all duration-200"
+                            title="QR Code"
+                          >
+                            <QrCodeIcon className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => handleToggleStatus(url)}
+                            className={`p-2 rounded-lg transition-all duration-200 ${
+                              !url.isActive && isCapReached(url)
+                                ? 'text-red-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20'
+                                : url.isActive 
+                                  ? 'text-green-500 hover:text-green-600 hover:bg-green-50 dark:hover:bg-green-900/20' 
+                                  : 'text-yellow-500 hover:text-yellow-600 hover:bg-yellow-50 dark:hover:bg-yellow-900/20'
+                            }`}
+                            title={!url.isActive && isCapReached(url)
+                              ? 'Click limit reached: raise the limit to reactivate'
+                              : url.isActive ? 'Deactivate URL' : 'Activate URL'}
+                          >
+                            {!url.isActive && isCapReached(url) ? (
+                              <div className="h-4 w-4 bg-red-500 rounded-full border-2 border-red-300"></div>
+                            ) : url.isActive ? (
+                              <div className="h-4 w-4 bg-green-500 rounded-full"></div>
+                            ) : (
+                              <div className="h-4 w-4 bg-yellow-500 rounded-full border-2 border-yellow-300"></div>
+                            )}
+                          </button>
+                          <button
+                            onClick={() => openDeleteModal(url)}
+                            className="p-2 text-gray-500 hover:text-red-600 dark:hover:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-all duration-200"
+                            title="Delete URL"
+                          >
+                            <TrashIcon className="h-4 w-4" />
+                          </button>
+                        </div>
                   
-                  {/* Status Badge and Visit Button */}
-                  <div className="flex items-center space-x-2">
-                    {/* Status Badge */}
-                    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
-                      url.isActive 
-                        ? 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400' 
-                        : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-400'
-                    }`}>
-                      {url.isActive ? 'Active' : 'Inactive'}
-                    </span>
+                        {/* Status Badge and Visit Button */}
+                        <div className="flex items-center space-x-2">
+                          {/* A/B Test Badge */}
+                          {url.variants?.length > 0 && (
+                            <span
+                              className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-800 dark:bg-purple-900/20 dark:text-purple-400"
+                              title={url.variants.map(variant => `${variant.label}: ${variant.weight}%`).join(' · ')}
+                            >
+                              A/B
+                            </span>
+                          )}
+
+                          {/* Password Badge */}
+                          {url.hasPassword && (
+                            <span
+                              className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300"
+                              title={url.passwordHint ? `Password protected. Hint: ${url.passwordHint}` : 'Password protected'}
+                            >
+                              <LockClosedIcon className="h-3 w-3 mr-1" />
+                              Locked
+                            </span>
+                          )}
+
+                          {/* Status Badge */}
+                          <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${STATUS_BADGES[getUrlStatus(url)].className}`}>
+                            {STATUS_BADGES[getUrlStatus(url)].label}
+                          </span>
                     
-                    {/* Visit Button */}
-                    {url.shortUrl && url.isActive && (
-                      <a
-                        href={`${import.meta.env.VITE_SHORT_URL_BASE || window.location.origin}/${url.shortUrl}`}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="inline-flex items-center px-3 py-1.5 text-xs font-medium text-primary-600 dark:text-primary-400 bg-primary-50 dark:bg-primary-900/20 rounded-lg hover:bg-primary-100 dark:hover:bg-primary-900/40 transition-all duration-200"
+                          {/* Visit Button */}
+                          {url.shortUrl && getUrlStatus(url) === 'active' && (
+                            <a
+                              href={buildUrlShortLink(url, groups)}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="inline-flex items-center px-3 py-1.5 text-xs font-medium text-primary-600 dark:text-primary-400 bg-primary-50 dark:bg-primary-900/20 rounded-lg hover:bg-primary-100 dark:hover:bg-primary-900/40 transition-all duration-200"
+                            >
+                              <GlobeAltIcon className="h-3 w-3 mr-1" />
+                              Visit
+                            </a>
+                          )}
+                        </div>
+                      </div>
+                    </div>
+                  </motion.div>
+                ))
+              ) : (
+                <div className="col-span-full">
+                  <div className="text-center py-12">
+                    <div className="mx-auto h-24 w-24 bg-gray-100 dark:bg-gray-800 rounded-full flex items-center justify-center mb-4">
+                      <LinkIcon className="h-12 w-12 text-gray-400" />
+                    </div>
+                    <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+                      {searchTerm ? 'No URLs found' : 'No URLs created yet'}
+                    </h3>
+                    <p className="text-gray-500 dark:text-gray-400 mb-6">
+                      {searchTerm ? 'Try adjusting your search terms' : 'Get started by creating your first shortened URL'}
+                    </p>
+                    {!searchTerm && (
+                      <button
+                        onClick={() => {
+                          resetForm();
+                          setShowCreateModal(true);
+                        }}
+                        className="btn-primary inline-flex items-center"
                       >
-                        <GlobeAltIcon className="h-3 w-3 mr-1" />
-                        Visit
-                      </a>
+                        <PlusIcon className="h-5 w-5 mr-2" />
+                        Create Your First URL
+                      </button>
                     )}
                   </div>
                 </div>
+              )}
+            </div>
+          )}
+
+          {/* Pagination */}
+          {pagination.pages > 1 && (
+            <div className="flex flex-col sm:flex-row items-center justify-between gap-4 pt-6 border-t border-gray-200 dark:border-gray-700">
+              <div className="text-sm text-gray-600 dark:text-gray-400">
+                Showing {Math.min((page - 1) * pagination.limit + 1, pagination.total)} to{' '}
+                {Math.min(page * pagination.limit, pagination.total)} of {pagination.total} URLs
               </div>
-            </motion.div>
-          ))
-        ) : (
-          <div className="col-span-full">
-            <div className="text-center py-12">
-              <div className="mx-auto h-24 w-24 bg-gray-100 dark:bg-gray-800 rounded-full flex items-center justify-center mb-4">
-                <LinkIcon className="h-12 w-12 text-gray-400" />
-              </div>
-              <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
-                {searchTerm ? 'No URLs found' : 'No URLs created yet'}
-              </h3>
-              <p className="text-gray-500 dark:text-gray-400 mb-6">
-                {searchTerm ? 'Try adjusting your search terms' : 'Get started by creating your first shortened URL'}
-              </p>
-              {!searchTerm && (
+              <div className="flex items-center gap-2">
                 <button
-                  onClick={() => {
-                    resetForm();
-                    setShowCreateModal(true);
-                  }}
-                  className="btn-primary inline-flex items-center"
+                  onClick={() => setPage(page - 1)}
+                  disabled={page === 1}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
                 >
-                  <PlusIcon className="h-5 w-5 mr-2" />
-                  Create Your First URL
+                  Previous
                 </button>
-              )}
-            </div>
-          </div>
-        )}
-      </div>
-
-      {/* Pagination */}
-      {pagination.pages > 1 && (
-        <div className="flex flex-col sm:flex-row items-center justify-between gap-4 pt-6 border-t border-gray-200 dark:border-gray-700">
-          <div className="text-sm text-gray-600 dark:text-gray-400">
-            Showing {Math.min((pagination.page - 1) * pagination.limit + 1, pagination.total)} to{' '}
-            {Math.min(pagination.page * pagination.limit, pagination.total)} of {pagination.total} URLs
-          </div>
-          <div className="flex items-center gap-2">
-            <button
-              onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
-              disabled={pagination.page === 1}
-              className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
-            >
-              Previous
-            </button>
             
-            <div className="flex items-center gap-1">
-              {Array.from({ length: Math.min(5, pagination.pages) }, (_, i) => {
-                let pageNum;
-                if (pagination.pages <= 5) {
-                  pageNum = i + 1;
-                } else if (pagination.page <= 3) {
-                  pageNum = i + 1;
-                } else if (pagination.page >= pagination.pages - 2) {
-                  pageNum = pagination.pages - 4 + i;
-                } else {
-                  pageNum = pagination.page - 2 + i;
-                }
+                <div className="flex items-center gap-1">
+                  {Array.from({ length: Math.min(5, pagination.pages) }, (_, i) => {
+                    let pageNum;
+                    if (pagination.pages <= 5) {
+                      pageNum = i + 1;
+                    } else if (page <= 3) {
+                      pageNum = i + 1;
+                    } else if (page >= pagination.pages - 2) {
+                      pageNum = pagination.pages - 4 + i;
+                    } else {
+                      pageNum = page - 2 + i;
+                    }
                 
-                return (
-                  <button
-                    key={pageNum}
-                    onClick={() => setPagination(prev => ({ ...prev, page: pageNum }))}
-                    className={`px-4 py-2 text-sm font-medium rounded-lg transition-all duration-200 ${
-                      pagination.page === pageNum
-                        ? 'bg-primary-600 text-white shadow-lg'
-                        : 'text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700'
-                    }`}
-                  >
-                    {pageNum}
-                  </button>
-                );
-              })}
-            </div>
+                    return (
+                      <button
+                        key={pageNum}
+                        onClick={() => setPage(pageNum)}
+                        className={`px-4 py-2 text-sm font-medium rounded-lg transition-all duration-200 ${
+                          page === pageNum
+                            ? 'bg-primary-600 text-white shadow-lg'
+                            : 'text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700'
+                        }`}
+                      >
+                        {pageNum}
+                      </button>
+                    );
+                  })}
+                </div>
             
-            <button
-              onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
-              disabled={pagination.page === pagination.pages}
-              className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
-            >
-              Next
-            </button>
-          </div>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={page === pagination.pages}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
         </div>
-      )}
+      </div>
 
       {/* Create URL Modal */}
       <AnimatePresence>
@@ -619,23 +1437,15 @@ const URLs = () => {
                           className="input-field"
                           placeholder="https://example.com"
                         />
+                        {screeningCurrent && <ScreeningNotice result={screening} />}
                       </div>
                       
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                          Custom Short URL (Optional)
-                        </label>
-                        <input
-                          type="text"
-                          value={formData.shortUrl}
-                          onChange={(e) => setFormData({ ...formData, shortUrl: e.target.value })}
-                          className="input-field"
-                          placeholder="Leave empty for auto-generation"
-                        />
-                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
-                          Only letters, numbers, hyphens, and underscores (3-50 characters)
-                        </p>
-                      </div>
+                      <SlugField
+                        value={formData.shortUrl}
+                        onChange={(shortUrl) => setFormData({ ...formData, shortUrl })}
+                        destination={formData.originalUrl}
+                        domain={formData.domain || getGroupDomain(formData.groupId)}
+                      />
 
                       <div>
                         <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
@@ -658,6 +1468,58 @@ const URLs = () => {
                         </p>
                       </div>
 
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                          Domain
+                        </label>
+                        <DomainSelect
+                          value={formData.domain}
+                          onChange={(domain) => setFormData({ ...formData, domain })}
+                          domains={domains}
+                          inheritedDomain={getGroupDomain(formData.groupId)}
+                        />
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                          Serve this short link from one of your verified domains
+                        </p>
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                          Tags (Optional)
+                        </label>
+                        <TagInput
+                          value={formData.tags}
+                          onChange={(selectedTags) => setFormData({ ...formData, tags: selectedTags })}
+                          availableTags={tags}
+                          onCreateTag={handleCreateTag}
+                        />
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                          A URL can have several tags, e.g. one per campaign and channel
+                        </p>
+                      </div>
+
+                      <UtmBuilder
+                        originalUrl={formData.originalUrl}
+                        onApply={(originalUrl) => setFormData({ ...formData, originalUrl })}
+                        group={groups.find(group => group._id === formData.groupId) || null}
+                        onSaveTemplates={(utmTemplates) => handleSaveUtmTemplates(formData.groupId, utmTemplates)}
+                      />
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                          Go Live Date & Time (Optional)
+                        </label>
+                        <input
+                          type="datetime-local"
+                          value={formData.activatesAt}
+                          onChange={(e) => setFormData({ ...formData, activatesAt: e.target.value })}
+                          className="input-field"
+                        />
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                          The link stays dormant until this time (leave empty to go live immediately)
+                        </p>
+                      </div>
+
                       <div>
                         <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
                           Expiration Date & Time (Optional)
@@ -667,12 +1529,22 @@ const URLs = () => {
                           value={formData.expiresAt}
                           onChange={(e) => setFormData({ ...formData, expiresAt: e.target.value })}
                           className="input-field"
-                          min={new Date().toISOString().slice(0, 16)}
+                          min={getCurrentTimeForInput()}
                         />
                         <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
                           Set when this URL should expire (leave empty for no expiration)
                         </p>
                       </div>
+
+                      <LinkPasswordFields formData={formData} setFormData={setFormData} />
+
+                      <ClickCapFields formData={formData} setFormData={setFormData} />
+
+                      <LinkPreviewEditor
+                        formData={formData}
+                        setFormData={setFormData}
+                        domain={formData.domain || getGroupDomain(formData.groupId)}
+                      />
                     </div>
                   </div>
                   
@@ -681,7 +1553,7 @@ const URLs = () => {
                       type="submit"
                       className="btn-primary w-full sm:w-auto sm:ml-3 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 transition-all duration-200"
                     >
-                      Create URL
+                      {screeningCurrent && screening.verdict === 'warn' ? 'Create Anyway' : 'Create URL'}
                     </button>
                     <button
                       type="button"
@@ -701,6 +1573,16 @@ const URLs = () => {
         )}
       </AnimatePresence>
 
+      {/* Duplicate Destination Modal - after the create modal so it stacks above it */}
+      <DuplicateDestinationModal
+        matches={duplicateMatches}
+        groups={groups}
+        onReuse={handleReuseDuplicate}
+        onOpen={handleOpenDuplicate}
+        onCreateAnyway={handleCreateAnyway}
+        onClose={() => setDuplicateMatches(null)}
+      />
+
       {/* Edit URL Modal */}
       <AnimatePresence>
         {showEditModal && (
@@ -728,8 +1610,38 @@ const URLs = () => {
                         <p className="text-sm text-gray-500 dark:text-gray-400">Update your shortened URL details</p>
                       </div>
                     </div>
-                    
-                    <div className="space-y-5">
+
+                    {/* Tabs */}
+                    <div className="flex items-center gap-2 mb-5 border-b border-gray-200 dark:border-gray-700">
+                      {[
+                        { value: 'details', label: 'Details' },
+                        { value: 'history', label: 'History' },
+                      ].map(tab => (
+                        <button
+                          key={tab.value}
+                          type="button"
+                          onClick={() => setEditTab(tab.value)}
+                          className={`px-3 py-2 -mb-px text-sm font-medium border-b-2 transition-colors ${
+                            editTab === tab.value
+                              ? 'border-primary-600 text-primary-600 dark:text-primary-400'
+                              : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200'
+                          }`}
+                        >
+                          {tab.label}
+                        </button>
+                      ))}
+                    </div>
+
+                    {editTab === 'history' && selectedUrl && (
+                      <UrlHistoryPanel
+                        urlId={selectedUrl._id}
+                        groups={groups}
+                        onReverted={handleReverted}
+                      />
+                    )}
+
+                    {/* Kept mounted while the History tab is open so unsaved edits survive */}
+                    <div className={editTab === 'details' ? 'space-y-5' : 'hidden'}>
                       <div>
                         <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
                           URL Name <span className="text-red-500">*</span>
@@ -756,23 +1668,16 @@ const URLs = () => {
                           className="input-field"
                           placeholder="https://example.com"
                         />
+                        {screeningCurrent && <ScreeningNotice result={screening} />}
                       </div>
                       
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                          Custom Short URL (Optional)
-                        </label>
-                        <input
-                          type="text"
-                          value={formData.shortUrl}
-                          onChange={(e) => setFormData({ ...formData, shortUrl: e.target.value })}
-                          className="input-field"
-                          placeholder="Leave empty for auto-generation"
-                        />
-                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
-                          Only letters, numbers, hyphens, and underscores (3-50 characters)
-                        </p>
-                      </div>
+                      <SlugField
+                        value={formData.shortUrl}
+                        onChange={(shortUrl) => setFormData({ ...formData, shortUrl })}
+                        destination={formData.originalUrl}
+                        domain={formData.domain || getGroupDomain(formData.groupId)}
+                        currentSlug={selectedUrl?.shortUrl}
+                      />
 
                       <div>
                         <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
@@ -795,6 +1700,58 @@ const URLs = () => {
                         </p>
                       </div>
 
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                          Domain
+                        </label>
+                        <DomainSelect
+                          value={formData.domain}
+                          onChange={(domain) => setFormData({ ...formData, domain })}
+                          domains={domains}
+                          inheritedDomain={getGroupDomain(formData.groupId)}
+                        />
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                          Serve this short link from one of your verified domains
+                        </p>
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                          Tags (Optional)
+                        </label>
+                        <TagInput
+                          value={formData.tags}
+                          onChange={(selectedTags) => setFormData({ ...formData, tags: selectedTags })}
+                          availableTags={tags}
+                          onCreateTag={handleCreateTag}
+                        />
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                          A URL can have several tags, e.g. one per campaign and channel
+                        </p>
+                      </div>
+
+                      <UtmBuilder
+                        originalUrl={formData.originalUrl}
+                        onApply={(originalUrl) => setFormData({ ...formData, originalUrl })}
+                        group={groups.find(group => group._id === formData.groupId) || null}
+                        onSaveTemplates={(utmTemplates) => handleSaveUtmTemplates(formData.groupId, utmTemplates)}
+                      />
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                          Go Live Date & Time (Optional)
+                        </label>
+                        <input
+                          type="datetime-local"
+                          value={formData.activatesAt}
+                          onChange={(e) => setFormData({ ...formData, activatesAt: e.target.value })}
+                          className="input-field"
+                        />
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                          The link stays dormant until this time (leave empty to go live immediately)
+                        </p>
+                      </div>
+
                       <div>
                         <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
                           Expiration Date & Time (Optional)
@@ -804,22 +1761,58 @@ const URLs = () => {
                           value={formData.expiresAt}
                           onChange={(e) => setFormData({ ...formData, expiresAt: e.target.value })}
                           className="input-field"
-                          min={new Date().toISOString().slice(0, 16)}
+                          min={getCurrentTimeForInput()}
                         />
                         <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
                           Set when this URL should expire (leave empty for no expiration)
                         </p>
                       </div>
+
+                      <LinkPasswordFields
+                        formData={formData}
+                        setFormData={setFormData}
+                        hasPassword={Boolean(selectedUrl?.hasPassword)}
+                      />
+
+                      <ClickCapFields
+                        formData={formData}
+                        setFormData={setFormData}
+                        usedClicks={selectedUrl ? (selectedUrl.noOfClicks || selectedUrl.clicks || 0) : null}
+                      />
+
+                      <LinkPreviewEditor
+                        formData={formData}
+                        setFormData={setFormData}
+                        domain={formData.domain || getGroupDomain(formData.groupId)}
+                      />
+
+                      <RoutingRulesEditor
+                        rules={formData.routingRules || []}
+                        onChange={(routingRules) => setFormData({ ...formData, routingRules })}
+                        fallbackUrl={formData.originalUrl}
+                      />
+
+                      <VariantsEditor
+                        variants={formData.variants || []}
+                        onChange={(variants) => setFormData({ ...formData, variants })}
+                        originalUrl={formData.originalUrl}
+                        onDeclareWinner={(variant) => {
+                          setFormData({ ...formData, ...buildWinnerUpdate(variant) });
+                          toast.success(`Variant ${variant.label} will become the only destination when you save`);
+                        }}
+                      />
                     </div>
                   </div>
                   
                   <div className="bg-gray-50 dark:bg-gray-700 px-6 py-4 sm:flex sm:flex-row-reverse">
-                    <button
-                      type="submit"
-                      className="btn-primary w-full sm:w-auto sm:ml-3 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 transition-all duration-200"
-                    >
-                      Update URL
-                    </button>
+                    {editTab === 'details' && (
+                      <button
+                        type="submit"
+                        className="btn-primary w-full sm:w-auto sm:ml-3 shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 transition-all duration-200"
+                      >
+                        {screeningCurrent && screening.verdict === 'warn' ? 'Update Anyway' : 'Update URL'}
+                      </button>
+                    )}
                     <button
                       type="button"
                       onClick={() => {
@@ -858,11 +1851,11 @@ const URLs = () => {
                     </div>
                     <div>
                       <h3 className="text-xl font-semibold text-gray-900 dark:text-white">Delete URL</h3>
-                      <p className="text-sm text-gray-500 dark:text-gray-400">This action cannot be undone</p>
+                      <p className="text-sm text-gray-500 dark:text-gray-400">You can restore it from the Trash</p>
                     </div>
                   </div>
                   <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
-                    Are you sure you want to permanently delete "<span className="font-medium text-gray-900 dark:text-white">{selectedUrl?.name || 'this URL'}</span>"? This action cannot be undone and all click data will be lost.
+                    Move "<span className="font-medium text-gray-900 dark:text-white">{selectedUrl?.name || 'this URL'}</span>" to the Trash? The short link stops redirecting straight away. It and its click data are kept until the Trash is purged.
                   </p>
                 </div>
                 
@@ -888,19 +1881,55 @@ const URLs = () => {
 
       {/* Click Logs Modal */}
       <ClickLogsModal
-        isOpen={showClickLogsModal}
-        onClose={() => setShowClickLogsModal(false)}
-        urlId={selectedUrl?._id}
-        urlName={selectedUrl?.name}
+        isOpen={Boolean(analyticsId)}
+        onClose={() => setParam('analytics', null)}
+        urlId={analyticsId}
+        urlName={analyticsUrl?.name}
+        onUrlUpdated={fetchData}
       />
 
       {/* Group Details Modal */}
       <GroupDetailsModal
-        isOpen={showGroupDetailsModal}
-        onClose={() => setShowGroupDetailsModal(false)}
+        isOpen={Boolean(selectedGroup)}
+        onClose={() => setParam('group', null)}
         group={selectedGroup}
         urls={urls}
       />
+
+      {/* QR Code Modal */}
+      <QrCodeModal
+        isOpen={!!qrUrl}
+        onClose={() => setQrUrl(null)}
+        urls={qrUrl ? [qrUrl] : []}
+        groups={groups}
+      />
+
+      {/* Import URLs Modal */}
+      <ImportUrlsModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        groups={groups}
+        onImported={fetchData}
+      />
+
+      {/* Export URLs Modal */}
+      <ExportModal
+        isOpen={showExportModal}
+        onClose={() => setShowExportModal(false)}
+        title="Export URLs"
+        description={`All ${pagination.total} URL(s) matching the current filters`}
+        columns={getUrlExportColumns(groups)}
+        fetchRecords={() => urlService.getAllShortUrls(filterParams)}
+        fileBaseName="urls"
+      />
+
+      {/* Bulk Action Results Modal */}
+      <BulkResultsModal
+        isOpen={!!bulkResults}
+        onClose={() => setBulkResults(null)}
+        title={bulkResults?.title}
+        results={bulkResults?.results}
+      />
     </div>
   );
 };
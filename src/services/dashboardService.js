@@ -21,6 +21,17 @@ class DashboardService {
     }
   }
 
+  async getBrokenLinks() {
+    try {
+      // URLs whose destination returned 4xx/5xx or timed out at the last check
+      const response = await apiClient.get('/api/dashboard/broken-links');
+      return response.data;
+    } catch (error) {
+      const errorMessage = this.handleError(error);
+      throw errorMessage;
+    }
+  }
+
   handleError(error) {
     if (error.response) {
       const message = error.response.data?.message || 'An error occurred';
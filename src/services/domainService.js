@@ -0,0 +1,54 @@
+import { apiClient } from './apiClient';
+
+class DomainService {
+  async getDomains() {
+    try {
+      const response = await apiClient.get('/api/domains');
+      // [{ _id, hostname, status, dnsRecords: [{ type, name, value }], lastCheckedAt, verifiedAt, error }]
+      return response.data.data || [];
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async addDomain(hostname) {
+    try {
+      const response = await apiClient.post('/api/domains', { hostname });
+      return response.data.domain;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async verifyDomain(id) {
+    try {
+      // The backend looks up the DNS records now rather than waiting for its next periodic check
+      const response = await apiClient.post(`/api/domains/${id}/verify`);
+      return response.data.domain;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async deleteDomain(id) {
+    try {
+      const response = await apiClient.delete(`/api/domains/${id}`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  handleError(error) {
+    if (error.response) {
+      const message = error.response.data?.message || 'An error occurred';
+      return new Error(message);
+    } else if (error.request) {
+      return new Error('Network error. Please check your connection.');
+    } else {
+      return new Error('An unexpected error occurred.');
+    }
+  }
+}
+
+export const domainService = new DomainService();
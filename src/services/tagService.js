@@ -0,0 +1,64 @@
+import { apiClient } from './apiClient';
+
+class TagService {
+  async createTag(tagData) {
+    try {
+      const response = await apiClient.post('/api/tags', tagData);
+      return response.data.tag;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async getTags() {
+    try {
+      const response = await apiClient.get('/api/tags');
+      // The backend returns { success: true, data: [] } with a urlCount on each tag
+      return response.data.data || [];
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async updateTag(id, tagData) {
+    try {
+      const response = await apiClient.put(`/api/tags/${id}`, tagData);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async deleteTag(id) {
+    try {
+      // Removes the tag from every URL that carries it
+      const response = await apiClient.delete(`/api/tags/${id}`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async mergeTags(sourceIds, targetId) {
+    try {
+      // URLs tagged with any source tag get the target tag; the source tags are deleted
+      const response = await apiClient.post('/api/tags/merge', { sourceIds, targetId });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  handleError(error) {
+    if (error.response) {
+      const message = error.response.data?.message || 'An error occurred';
+      return new Error(message);
+    } else if (error.request) {
+      return new Error('Network error. Please check your connection.');
+    } else {
+      return new Error('An unexpected error occurred.');
+    }
+  }
+}
+
+export const tagService = new TagService();
@@ -0,0 +1,86 @@
+import { apiClient } from './apiClient';
+import { DEFAULT_TRASH_RETENTION_DAYS } from '../utils/trash';
+
+class TrashService {
+  async getTrash() {
+    try {
+      const response = await apiClient.get('/api/trash');
+      // The backend returns { success: true, urls: [], groups: [], retentionDays }
+      return {
+        urls: response.data.urls || [],
+        groups: response.data.groups || [],
+        retentionDays: response.data.retentionDays || DEFAULT_TRASH_RETENTION_DAYS,
+      };
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async restoreUrl(id) {
+    try {
+      const response = await apiClient.post(`/api/trash/urls/${id}/restore`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async purgeUrl(id) {
+    try {
+      const response = await apiClient.delete(`/api/trash/urls/${id}`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async restoreGroup(id) {
+    try {
+      // Restoring a group also puts its URLs back into it
+      const response = await apiClient.post(`/api/trash/groups/${id}/restore`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async purgeGroup(id) {
+    try {
+      const response = await apiClient.delete(`/api/trash/groups/${id}`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async emptyTrash() {
+    try {
+      const response = await apiClient.delete('/api/trash');
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async updateRetention(retentionDays) {
+    try {
+      const response = await apiClient.put('/api/trash/settings', { retentionDays });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  handleError(error) {
+    if (error.response) {
+      const message = error.response.data?.message || 'An error occurred';
+      return new Error(message);
+    } else if (error.request) {
+      return new Error('Network error. Please check your connection.');
+    } else {
+      return new Error('An unexpected error occurred.');
+    }
+  }
+}
+
+export const trashService = new TrashService();
@@ -1,4 +1,6 @@
 import { apiClient } from './apiClient';
+import { getDestinationSearchTerm, isSameDestination } from '../utils/duplicates';
+import { combineScreeningResults } from '../utils/urlScreening';
 
 class URLService {
   async createShortUrl(urlData) {
@@ -18,6 +20,20 @@ class URLService {
       if (params.search) queryParams.append('search', params.search);
       if (params.groupId) queryParams.append('groupId', params.groupId);
       if (params.isActive !== undefined) queryParams.append('isActive', String(params.isActive));
+      if (params.schedule) queryParams.append('schedule', params.schedule);
+      if (params.expiry) queryParams.append('expiry', params.expiry);
+      if (params.health) queryParams.append('health', params.health);
+      if (params.minClicks !== undefined) queryParams.append('minClicks', params.minClicks);
+      if (params.maxClicks !== undefined) queryParams.append('maxClicks', params.maxClicks);
+      if (params.createdAfter) queryParams.append('createdAfter', params.createdAfter);
+      if (params.createdBefore) queryParams.append('createdBefore', params.createdBefore);
+      if (params.sortBy) queryParams.append('sortBy', params.sortBy);
+      if (params.sortOrder) queryParams.append('sortOrder', params.sortOrder);
+      if (params.tags?.length) {
+        // Comma-separated tag ids; tagMatch 'all' requires every tag, 'any' requires at least one
+        queryParams.append('tags', params.tags.join(','));
+        queryParams.append('tagMatch', params.tagMatch || 'any');
+      }
 
       const queryString = queryParams.toString();
       const url = queryString ? `/api/urls?${queryString}` : '/api/urls';
@@ -30,6 +46,34 @@ class URLService {
     }
   }
 
+  async getAllShortUrls(params = {}, pageSize = 100) {
+    // Walk every page of getShortUrls so callers get the full filtered list
+    const allUrls = [];
+    let page = 1;
+    let pages = 1;
+
+    do {
+      const response = await this.getShortUrls({ ...params, page, limit: pageSize });
+      if (Array.isArray(response?.data)) {
+        allUrls.push(...response.data);
+      }
+      pages = response?.pagination?.pages || 1;
+      page += 1;
+    } while (page <= pages);
+
+    return allUrls;
+  }
+
+  async findUrlsByDestination(originalUrl) {
+    // The list search matches the stored text, so search by host and path, then compare
+    // normalised URLs here. Every page is checked so older duplicates are found too.
+    const searchTerm = getDestinationSearchTerm(originalUrl);
+    if (!searchTerm) return [];
+
+    const candidates = await this.getAllShortUrls({ search: searchTerm });
+    return candidates.filter(url => isSameDestination(url.originalUrl, originalUrl));
+  }
+
   async getShortUrl(id) {
     try {
       const response = await apiClient.get(`/api/urls/${id}`);
@@ -82,6 +126,11 @@ class URLService {
       if (params.limit) queryParams.append('limit', params.limit);
       if (params.startDate) queryParams.append('startDate', params.startDate);
       if (params.endDate) queryParams.append('endDate', params.endDate);
+      if (params.country) queryParams.append('country', params.country);
+      if (params.browser) queryParams.append('browser', params.browser);
+      if (params.os) queryParams.append('os', params.os);
+      if (params.device) queryParams.append('device', params.device);
+      if (params.isp) queryParams.append('isp', params.isp);
 
       const response = await apiClient.get(`/api/urls/${id}/click-logs?${queryParams}`);
       return response.data;
@@ -90,6 +139,131 @@ class URLService {
     }
   }
 
+  async getAllUrlClickLogs(id, params = {}, pageSize = 500) {
+    // Walk every page of click logs; stop at the last page or on a short page
+    const allLogs = [];
+    let page = 1;
+    let pages = null;
+
+    for (;;) {
+      const response = await this.getUrlClickLogs(id, { ...params, page, limit: pageSize });
+      const logs = Array.isArray(response?.data?.clickLogs) ? response.data.clickLogs : [];
+      allLogs.push(...logs);
+
+      pages = response?.data?.pagination?.pages ?? response?.pagination?.pages ?? pages;
+      const isLastPage = pages ? page >= pages : logs.length < pageSize;
+      if (isLastPage || logs.length === 0) break;
+      page += 1;
+    }
+
+    return allLogs;
+  }
+
+  async getUrlClickSeries(id, params = {}) {
+    try {
+      // Click counts per bucket, counted by the backend so no raw logs are downloaded.
+      // Buckets start on local hour/day/week (Monday) boundaries in timeZone:
+      // { buckets: [{ start, clicks }], total }
+      const queryParams = new URLSearchParams();
+      if (params.startDate) queryParams.append('startDate', params.startDate);
+      if (params.endDate) queryParams.append('endDate', params.endDate);
+      if (params.interval) queryParams.append('interval', params.interval);
+      if (params.timeZone) queryParams.append('timeZone', params.timeZone);
+      if (params.country) queryParams.append('country', params.country);
+      if (params.browser) queryParams.append('browser', params.browser);
+      if (params.os) queryParams.append('os', params.os);
+      if (params.device) queryParams.append('device', params.device);
+      if (params.isp) queryParams.append('isp', params.isp);
+
+      const response = await apiClient.get(`/api/urls/${id}/click-series?${queryParams}`);
+      return {
+        buckets: response.data.buckets || [],
+        total: response.data.total || 0,
+      };
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async checkSlugAvailability(slugs, domain = '') {
+    try {
+      // Slugs are unique per domain; the backend answers { results: { [slug]: boolean } }
+      const queryParams = new URLSearchParams({ slugs: slugs.join(',') });
+      if (domain) queryParams.append('domain', domain);
+      const response = await apiClient.get(`/api/urls/slug-availability?${queryParams}`);
+      return response.data.results || {};
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async getUrlHistory(id) {
+    try {
+      // Newest first: [{ _id, action, changedAt, changedBy: { name, email }, changes: [{ field, from, to }] }]
+      const response = await apiClient.get(`/api/urls/${id}/history`);
+      return response.data.data || [];
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async revertUrl(id, entryId) {
+    try {
+      // Puts the URL back to how it was right after the given history entry
+      const response = await apiClient.post(`/api/urls/${id}/history/${entryId}/revert`);
+      return response.data.url;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async checkUrlHealth(id) {
+    try {
+      // Requests the destination now instead of waiting for the scheduled check
+      const response = await apiClient.post(`/api/urls/${id}/health/check`);
+      return response.data.health;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async screenUrl(originalUrl) {
+    try {
+      // Checks the blocklist, phishing/malware lists and lookalike hostnames.
+      // The backend applies workspace policy: { verdict: 'allow' | 'warn' | 'block', reasons: [{ type, message }] }
+      const response = await apiClient.post('/api/urls/screen', { originalUrl });
+      return {
+        verdict: response.data.verdict || 'allow',
+        reasons: response.data.reasons || [],
+      };
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async screenDestinations(destinations) {
+    // An unreachable screening service counts as a warning, so nothing is saved unchecked without confirmation
+    const results = await Promise.all(destinations.map(async destination => {
+      try {
+        return { destination, ...(await this.screenUrl(destination)) };
+      } catch {
+        return { destination, verdict: 'warn', reasons: [{ type: 'unavailable' }] };
+      }
+    }));
+    return combineScreeningResults(results);
+  }
+
+  async unfurlUrl(destination) {
+    try {
+      // The backend fetches the page and reads its Open Graph / meta tags
+      const queryParams = new URLSearchParams({ url: destination });
+      const response = await apiClient.get(`/api/urls/unfurl?${queryParams}`);
+      return response.data.metadata || {};
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
   async bulkUpdateUrls(urlIds, updateData) {
     try {
       const response = await apiClient.put('/api/urls/bulk', {
@@ -102,6 +276,35 @@ class URLService {
     }
   }
 
+  getBulkItemResults(urlIds, response) {
+    // The backend may report per-item outcomes as data.results: [{ urlId, success, message }].
+    // Without them, every id shares the outcome of the whole request. With them, an id the
+    // backend doesn't mention can't be confirmed, so it counts as failed and stays selected for a retry.
+    const reported = Array.isArray(response?.data?.results) ? response.data.results : [];
+    const requestSucceeded = response?.success !== false;
+
+    if (reported.length === 0) {
+      return urlIds.map(id => ({
+        id,
+        success: requestSucceeded,
+        message: requestSucceeded ? null : response?.message || 'Request failed',
+      }));
+    }
+
+    const byId = new Map(reported.map(result => [String(result.urlId || result.id), result]));
+    return urlIds.map(id => {
+      const result = byId.get(String(id));
+      if (!result) {
+        return { id, success: false, message: 'The server did not confirm this URL was updated' };
+      }
+      return {
+        id,
+        success: result.success !== false,
+        message: result.message || null,
+      };
+    });
+  }
+
   handleError(error) {
     if (error.response) {
       const message = error.response.data?.message || 'An error occurred';
@@ -0,0 +1,158 @@
+/**
+ * Analytics date-range utilities
+ * Preset ranges, previous-period comparison and time bucketing for click charts.
+ * Buckets follow calendar boundaries in the user's timezone, including DST changes.
+ */
+
+import {
+  getActiveTimeZone,
+  getZonedParts,
+  getTimeZoneOffsetMs,
+  zonedTimeToUtc,
+  convertInputToISO
+} from './timezone';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+export const BUCKET_LABELS = {
+  hour: 'Hourly',
+  day: 'Daily',
+  week: 'Weekly',
+};
+
+export const DATE_RANGE_PRESETS = [
+  { value: '24h', label: '24h', durationMs: DAY_MS },
+  { value: '7d', label: '7d', durationMs: 7 * DAY_MS },
+  { value: '30d', label: '30d', durationMs: 30 * DAY_MS },
+  { value: '90d', label: '90d', durationMs: 90 * DAY_MS },
+  { value: 'all', label: 'All time' },
+  { value: 'custom', label: 'Custom' },
+];
+
+/**
+ * Resolve a preset (or custom day range) to concrete start and end instants
+ * @param {string} preset - One of DATE_RANGE_PRESETS values
+ * @param {Object} custom - { start, end } as YYYY-MM-DD in the user's timezone; both days are inclusive
+ * @param {Date} now - Reference time for rolling presets
+ * @param {Date|string} since - When the link was created; the start of the 'all' preset
+ * @returns {Object|null} { start: Date, end: Date } or null if the custom range is incomplete
+ *   or the creation date isn't known yet
+ */
+export const resolveDateRange = (preset, custom = {}, now = new Date(), since = null) => {
+  if (preset === 'all') {
+    const start = since ? new Date(since) : null;
+    return start && start < now ? { start, end: now } : null;
+  }
+
+  if (preset === 'custom') {
+    if (!custom.start || !custom.end) return null;
+
+    const start = new Date(convertInputToISO(`${custom.start}T00:00`));
+    // Midnight after the end day; days around a DST change are not 24 hours long
+    const end = nextBucketStart(new Date(convertInputToISO(`${custom.end}T00:00`)).getTime(), 'day');
+    return start < end ? { start, end: new Date(end) } : null;
+  }
+
+  const option = DATE_RANGE_PRESETS.find(item => item.value === preset) || DATE_RANGE_PRESETS[1];
+  return { start: new Date(now.getTime() - option.durationMs), end: now };
+};
+
+/**
+ * Get the period of equal length that ends where the given range starts
+ * @param {Object} range - { start: Date, end: Date }
+ * @returns {Object} { start: Date, end: Date }
+ */
+export const getPreviousRange = (range) => {
+  const duration = range.end.getTime() - range.start.getTime();
+  return { start: new Date(range.start.getTime() - duration), end: new Date(range.start) };
+};
+
+/**
+ * Pick a bucket size that keeps the chart readable for the range length
+ * @param {Object} range - { start: Date, end: Date }
+ * @returns {string} 'hour', 'day' or 'week'
+ */
+export const getBucketSize = (range) => {
+  const duration = range.end.getTime() - range.start.getTime();
+  if (duration <= 2 * DAY_MS) return 'hour';
+  if (duration <= 31 * DAY_MS) return 'day';
+  return 'week';
+};
+
+// Start of the local hour, day or week (weeks start on Monday) containing the given time
+const floorToBucket = (time, bucket) => {
+  if (bucket === 'hour') {
+    // Hours are a fixed length, but zones like +05:30 put their boundaries off the UTC hour
+    const local = time + getTimeZoneOffsetMs(new Date(time));
+    return time - (((local % HOUR_MS) + HOUR_MS) % HOUR_MS);
+  }
+
+  const parts = getZonedParts(new Date(time));
+  const daysBack = bucket === 'week' ? (parts.weekday + 6) % 7 : 0;
+  // Date.UTC normalises day underflow into the previous month
+  const day = new Date(Date.UTC(parts.year, parts.month - 1, parts.day - daysBack));
+  return zonedTimeToUtc({
+    year: day.getUTCFullYear(),
+    month: day.getUTCMonth() + 1,
+    day: day.getUTCDate(),
+  }).getTime();
+};
+
+// Start of the bucket after the one beginning at bucketStart
+const nextBucketStart = (bucketStart, bucket) => {
+  if (bucket === 'hour') return bucketStart + HOUR_MS;
+  // Overshoot by a couple of hours so 23- and 25-hour DST days still land in the next bucket
+  return floorToBucket(bucketStart + (bucket === 'week' ? WEEK_MS : DAY_MS) + 2 * HOUR_MS, bucket);
+};
+
+const formatBucketLabel = (time, bucket) => {
+  const options = bucket === 'hour'
+    ? { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }
+    : { day: 'numeric', month: 'short' };
+
+  return new Intl.DateTimeFormat(undefined, { timeZone: getActiveTimeZone(), ...options }).format(new Date(time));
+};
+
+/**
+ * Lay counted buckets out across a range, including empty buckets
+ * @param {Array<Object>} buckets - [{ start, clicks }] from the click series endpoint
+ * @param {Object} range - { start: Date, end: Date }
+ * @param {string} bucket - 'hour', 'day' or 'week'
+ * @returns {Array<Object>} [{ time, label, clicks }] in chronological order
+ */
+export const buildClickSeries = (buckets, range, bucket) => {
+  const counts = new Map();
+  buckets.forEach(({ start, clicks }) => {
+    const time = new Date(start).getTime();
+    if (Number.isNaN(time)) return;
+    const key = floorToBucket(time, bucket);
+    counts.set(key, (counts.get(key) || 0) + (clicks || 0));
+  });
+
+  const series = [];
+  const end = range.end.getTime();
+  for (let time = floorToBucket(range.start.getTime(), bucket); time < end; time = nextBucketStart(time, bucket)) {
+    series.push({ time, label: formatBucketLabel(time, bucket), clicks: counts.get(time) || 0 });
+  }
+  return series;
+};
+
+/**
+ * Overlay the previous period onto the current series as a `previous` count per bucket
+ * Previous buckets are shifted forward by the range length so each one lines up
+ * with the same point in the current period.
+ * @param {Array<Object>} series - Output of buildClickSeries for the current range
+ * @param {Array<Object>} previousBuckets - [{ start, clicks }] for getPreviousRange(range)
+ * @param {Object} range - The current range
+ * @param {string} bucket - Bucket size used for series
+ * @returns {Array<Object>} [{ time, label, clicks, previous }]
+ */
+export const addPreviousPeriod = (series, previousBuckets, range, bucket) => {
+  const duration = range.end.getTime() - range.start.getTime();
+  const shifted = previousBuckets.map(({ start, clicks }) => ({ start: new Date(start).getTime() + duration, clicks }));
+  const previousSeries = buildClickSeries(shifted, range, bucket);
+
+  return series.map((point, index) => ({ ...point, previous: previousSeries[index]?.clicks || 0 }));
+};
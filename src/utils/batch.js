@@ -0,0 +1,47 @@
+/**
+ * Batch processing utilities
+ * Runs async work over many items without flooding the backend
+ */
+
+/**
+ * Run an async worker over items in fixed-size batches
+ * Items in a batch run in parallel; batches run one after another
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async function called with (item, index)
+ * @param {Object} options - Optional settings
+ * @param {number} options.batchSize - Number of items per batch (default 5)
+ * @param {number} options.delayMs - Pause between batches in milliseconds (default 0)
+ * @param {Function} options.onProgress - Called with (doneCount, totalCount) after each batch
+ * @returns {Promise<Array>} One { item, success, value, error } entry per item, in input order
+ */
+export const runInBatches = async (items, worker, options = {}) => {
+  const { batchSize = 5, delayMs = 0, onProgress } = options;
+  const results = [];
+
+  for (let start = 0; start < items.length; start += batchSize) {
+    const batch = items.slice(start, start + batchSize);
+    const settled = await Promise.allSettled(
+      batch.map((item, offset) => worker(item, start + offset))
+    );
+
+    settled.forEach((outcome, offset) => {
+      results.push({
+        item: batch[offset],
+        success: outcome.status === 'fulfilled',
+        value: outcome.status === 'fulfilled' ? outcome.value : undefined,
+        error: outcome.status === 'rejected' ? outcome.reason : undefined,
+      });
+    });
+
+    if (onProgress) {
+      onProgress(results.length, items.length);
+    }
+
+    // Wait before the next batch, but not after the last one
+    if (delayMs > 0 && start + batchSize < items.length) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+
+  return results;
+};
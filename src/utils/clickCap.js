@@ -0,0 +1,106 @@
+/**
+ * Click cap utilities
+ * A short URL can stop after a maximum number of clicks, either by deactivating
+ * itself or by sending later visitors to a fallback URL.
+ */
+
+import { validateField, VALIDATION_RULES } from './validation';
+
+export const MAX_CLICK_CAP = 1000000000;
+
+export const CAP_ACTIONS = [
+  { value: 'deactivate', label: 'Deactivate the link' },
+  { value: 'redirect', label: 'Redirect to a fallback URL' },
+];
+
+// One click, then the link stops working; for sharing one-off secrets
+export const SINGLE_USE_PRESET = {
+  maxClicks: '1',
+  capAction: 'deactivate',
+  capFallbackUrl: '',
+};
+
+/**
+ * Click cap fields for the create/edit form
+ * @param {Object} url - Existing URL (omit for the create form)
+ * @returns {Object} { maxClicks, capAction, capFallbackUrl } with maxClicks as a string
+ */
+export const getClickCapFormState = (url = null) => ({
+  maxClicks: url?.maxClicks ? String(url.maxClicks) : '',
+  capAction: url?.capAction || 'deactivate',
+  capFallbackUrl: url?.capFallbackUrl || '',
+});
+
+/**
+ * Whether the form matches the single-use preset
+ * @param {Object} formData - Form data containing the click cap fields
+ * @returns {boolean} True for a one-click link that deactivates itself
+ */
+export const isSingleUse = (formData) => (
+  formData.maxClicks === SINGLE_USE_PRESET.maxClicks && formData.capAction === SINGLE_USE_PRESET.capAction
+);
+
+/**
+ * Validate the click cap fields of the form
+ * @param {Object} formData - Form data containing the click cap fields
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateClickCap = (formData) => {
+  if (formData.maxClicks === '') return null;
+
+  const maxClicks = Number(formData.maxClicks);
+  if (!Number.isInteger(maxClicks) || maxClicks < 1 || maxClicks > MAX_CLICK_CAP) {
+    return 'Maximum clicks must be a whole number of at least 1';
+  }
+
+  if (formData.capAction === 'redirect') {
+    const urlError = validateField('url', formData.capFallbackUrl.trim(), VALIDATION_RULES.url);
+    if (urlError) return `Fallback URL: ${urlError}`;
+  }
+
+  return null;
+};
+
+/**
+ * Request fields for the click cap; null values remove the cap
+ * @param {Object} formData - Form data containing the click cap fields
+ * @returns {Object} { maxClicks, capAction, capFallbackUrl }
+ */
+export const toClickCapPayload = ({ maxClicks, capAction, capFallbackUrl }) => {
+  if (maxClicks === '') {
+    return { maxClicks: null, capAction: null, capFallbackUrl: null };
+  }
+
+  return {
+    maxClicks: Number(maxClicks),
+    capAction,
+    capFallbackUrl: capAction === 'redirect' ? capFallbackUrl.trim() : null,
+  };
+};
+
+/**
+ * Clicks used against the cap
+ * @param {Object} url - URL with optional maxClicks
+ * @returns {Object|null} { used, cap, remaining, percent, reached } or null without a cap
+ */
+export const getClickCapUsage = (url) => {
+  if (!url?.maxClicks) return null;
+
+  const used = url.noOfClicks || url.clicks || 0;
+  const cap = url.maxClicks;
+  return {
+    used,
+    cap,
+    remaining: Math.max(cap - used, 0),
+    percent: Math.min(Math.round((used / cap) * 100), 100),
+    reached: Boolean(url.capReached) || used >= cap,
+  };
+};
+
+/**
+ * Whether a link has used up its clicks
+ * This is separate from a link that was deactivated by hand.
+ * @param {Object} url - URL with optional maxClicks
+ * @returns {boolean} True once the cap is reached
+ */
+export const isCapReached = (url) => Boolean(getClickCapUsage(url)?.reached);
@@ -0,0 +1,53 @@
+/**
+ * Custom domain utilities
+ * Users register their own domains, add the DNS records the backend asks for and
+ * wait for verification. Only verified domains can be chosen for URLs and groups.
+ */
+
+export const DOMAIN_STATUS_BADGES = {
+  pending: { label: 'Pending DNS', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-400' },
+  verified: { label: 'Verified', className: 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400' },
+  failed: { label: 'Verification failed', className: 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400' },
+};
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * Clean up a typed domain: drop the scheme, path, port and trailing dot
+ * @param {string} value - Typed domain or URL
+ * @returns {string} Lower-case hostname
+ */
+export const normalizeHostname = (value) => (
+  (value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .split(/[/?#]/)[0]
+    .replace(/:\d+$/, '')
+    .replace(/\.$/, '')
+);
+
+/**
+ * Check a domain before it is registered
+ * @param {string} hostname - Normalised hostname
+ * @param {Array<Object>} domains - Domains already registered
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateHostname = (hostname, domains = []) => {
+  if (!hostname) return 'Enter a domain, e.g. go.example.com';
+  if (!HOSTNAME_PATTERN.test(hostname)) return 'Enter a valid domain name, e.g. go.example.com';
+  if (hostname === window.location.hostname) return 'This domain is already used by the app';
+  if (domains.some(domain => domain.hostname === hostname)) return 'This domain is already registered';
+  return null;
+};
+
+/**
+ * Domains that short links can be served from
+ * @param {Array<Object>} domains - Registered domains
+ * @returns {Array<Object>} Verified domains, sorted by hostname
+ */
+export const getVerifiedDomains = (domains = []) => (
+  domains
+    .filter(domain => domain.status === 'verified')
+    .sort((a, b) => a.hostname.localeCompare(b.hostname))
+);
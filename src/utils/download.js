@@ -0,0 +1,29 @@
+/**
+ * File download helpers
+ * Saves generated content through a temporary link
+ */
+
+/**
+ * Save a Blob as a file
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export const downloadBlob = (blob, fileName) => {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke on the next tick so the browser has started the download
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+};
+
+/**
+ * Turn a file name into something safe for every OS
+ * @param {string} name - Raw name (e.g. a URL name)
+ * @returns {string} Name with unsafe characters replaced by hyphens
+ */
+export const toSafeFileName = (name) => {
+  return String(name || 'download').replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'download';
+};
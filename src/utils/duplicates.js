@@ -0,0 +1,55 @@
+/**
+ * Duplicate destination utilities
+ * Two destinations count as the same page when they differ only in ways that
+ * don't change what is served: host letter case, default ports, trailing
+ * slashes and the order of query parameters.
+ */
+
+/**
+ * Canonical form of a destination URL for comparison
+ * @param {string} value - Destination URL
+ * @returns {string} Normalised URL, or the trimmed input if it can't be parsed
+ */
+export const normalizeDestination = (value) => {
+  const trimmed = (value || '').trim();
+  try {
+    // URL lower-cases the scheme and host and drops ports that match the scheme
+    const url = new URL(trimmed);
+    url.searchParams.sort();
+    const path = url.pathname.replace(/\/+$/, '');
+    const search = url.searchParams.toString();
+    return `${url.protocol}//${url.host}${path}${search ? `?${search}` : ''}${url.hash}`;
+  } catch {
+    return trimmed;
+  }
+};
+
+/**
+ * Whether two destinations point at the same page
+ * @param {string} a - Destination URL
+ * @param {string} b - Destination URL
+ * @returns {boolean} True if they normalise to the same URL
+ */
+export const isSameDestination = (a, b) => normalizeDestination(a) === normalizeDestination(b);
+
+/**
+ * Host and path of a destination, used to narrow the server-side search
+ * The list search matches the stored text, so this is the part every
+ * equivalent destination spells the same way, give or take a trailing slash.
+ * @param {string} value - Destination URL
+ * @returns {string} Lower-case host plus path without trailing slashes, or '' if it can't be parsed
+ */
+export const getDestinationSearchTerm = (value) => {
+  try {
+    const url = new URL((value || '').trim());
+    const path = url.pathname.replace(/\/+$/, '');
+    try {
+      // Stored destinations are usually typed without percent-encoding
+      return `${url.hostname}${decodeURI(path)}`;
+    } catch {
+      return `${url.hostname}${path}`;
+    }
+  } catch {
+    return '';
+  }
+};
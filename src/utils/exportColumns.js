@@ -0,0 +1,39 @@
+/**
+ * Export column definitions
+ * Each column has a key, a header label and a value getter for one record
+ */
+
+import { formatDateTime, getActiveTimeZone } from './timezone';
+import { buildUrlShortLink } from './shortLink';
+
+const known = (value) => (value && value !== 'Unknown' ? value : '');
+
+// Columns available when exporting the URL list; times use the active timezone, named in the header
+export const getUrlExportColumns = (groups = []) => [
+  { key: 'name', label: 'Name', value: url => url.name },
+  { key: 'shortLink', label: 'Short Link', value: url => buildUrlShortLink(url, groups) },
+  { key: 'shortUrl', label: 'Slug', value: url => url.shortUrl },
+  { key: 'originalUrl', label: 'Original URL', value: url => url.originalUrl },
+  { key: 'group', label: 'Group', value: url => url.groupId?.name || '' },
+  { key: 'clicks', label: 'Clicks', value: url => url.noOfClicks || url.clicks || 0 },
+  { key: 'status', label: 'Status', value: url => (url.isActive ? 'Active' : 'Inactive') },
+  { key: 'createdAt', label: `Created (${getActiveTimeZone()})`, value: url => formatDateTime(url.createdAt) },
+  { key: 'expiresAt', label: `Expires (${getActiveTimeZone()})`, value: url => formatDateTime(url.expiresAt) },
+  { key: 'id', label: 'ID', value: url => url._id },
+];
+
+// Columns available when exporting click logs
+export const getClickLogExportColumns = () => [
+  { key: 'timestamp', label: `Time (${getActiveTimeZone()})`, value: log => formatDateTime(log.timestamp) },
+  { key: 'country', label: 'Country', value: log => known(log.country) },
+  { key: 'countryCode', label: 'Country Code', value: log => known(log.countryCode) },
+  { key: 'regionName', label: 'Region', value: log => known(log.regionName) },
+  { key: 'city', label: 'City', value: log => known(log.city) },
+  { key: 'isp', label: 'ISP', value: log => known(log.isp) },
+  { key: 'device', label: 'Device', value: log => known(log.device) },
+  { key: 'browser', label: 'Browser', value: log => known(log.browser) },
+  { key: 'browserVersion', label: 'Browser Version', value: log => log.browserVersion },
+  { key: 'operatingSystem', label: 'Operating System', value: log => known(log.operatingSystem) },
+  { key: 'referrer', label: 'Referrer', value: log => log.referrer || log.referer },
+  { key: 'ipAddress', label: 'IP Address', value: log => log.ipAddress || log.ip },
+];
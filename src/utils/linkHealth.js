@@ -0,0 +1,79 @@
+/**
+ * Link health utilities
+ * The backend requests every destination on a schedule and stores the result on
+ * the URL as `health`: { statusCode, responseTime, redirects, timedOut, error, checkedAt }.
+ * These helpers turn that result into the badge shown on cards and the dashboard.
+ */
+
+// Destinations slower than this still work but are flagged
+export const SLOW_RESPONSE_MS = 3000;
+
+export const HEALTH_BADGES = {
+  healthy: { label: 'Healthy', className: 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400' },
+  slow: { label: 'Slow', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-400' },
+  broken: { label: 'Broken', className: 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400' },
+  timeout: { label: 'Timed out', className: 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400' },
+  unchecked: { label: 'Not checked', className: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300' },
+};
+
+/**
+ * Health of a URL's destination, as a HEALTH_BADGES key
+ * A destination that can't be reached at all counts as broken.
+ * @param {Object} url - URL object
+ * @returns {string} 'unchecked', 'timeout', 'broken', 'slow' or 'healthy'
+ */
+export const getLinkHealth = (url) => {
+  const health = url?.health;
+  if (!health?.checkedAt) return 'unchecked';
+  if (health.timedOut) return 'timeout';
+  if (!health.statusCode || health.statusCode >= 400) return 'broken';
+  return health.responseTime > SLOW_RESPONSE_MS ? 'slow' : 'healthy';
+};
+
+/**
+ * Whether the destination needs attention
+ * @param {Object} url - URL object
+ * @returns {boolean} True for broken and timed-out destinations
+ */
+export const isBrokenLink = (url) => ['broken', 'timeout'].includes(getLinkHealth(url));
+
+/**
+ * Response time for display
+ * @param {number} ms - Response time in milliseconds
+ * @returns {string} e.g. "240 ms" or "3.2 s"
+ */
+export const formatResponseTime = (ms) => {
+  if (typeof ms !== 'number') return '';
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+};
+
+/**
+ * Short summary of the last check for the badge
+ * @param {Object} url - URL object
+ * @returns {string} e.g. "Healthy · 240 ms", "Broken · 404" or "Timed out"
+ */
+export const describeLinkHealth = (url) => {
+  const state = getLinkHealth(url);
+  const { label } = HEALTH_BADGES[state];
+  const health = url.health;
+
+  if (state === 'healthy' || state === 'slow') {
+    return typeof health.responseTime === 'number' ? `${label} · ${formatResponseTime(health.responseTime)}` : label;
+  }
+  if (state === 'broken') return health.statusCode ? `${label} · ${health.statusCode}` : label;
+  return label;
+};
+
+/**
+ * Every request made to reach the destination, ending with the final response
+ * @param {Object} url - URL object
+ * @returns {Array} [{ url, statusCode }] in the order they were followed
+ */
+export const getRedirectChain = (url) => {
+  const health = url?.health;
+  if (!health?.checkedAt) return [];
+  return [
+    ...(health.redirects || []),
+    { url: health.finalUrl || url.originalUrl, statusCode: health.statusCode },
+  ];
+};
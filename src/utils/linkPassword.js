@@ -0,0 +1,52 @@
+/**
+ * Link password utilities
+ * Form state and request payloads for password-protected short links
+ */
+
+import { validateLinkPassword } from './validation';
+
+/**
+ * Password fields for the create/edit form
+ * passwordMode is 'none' or 'set' for unprotected links, and 'keep', 'change'
+ * or 'remove' for links that already have a password.
+ * @param {Object} url - Existing URL (omit for the create form)
+ * @returns {Object} { passwordMode, password, passwordHint }
+ */
+export const getPasswordFormState = (url = null) => ({
+  passwordMode: url?.hasPassword ? 'keep' : 'none',
+  password: '',
+  passwordHint: url?.passwordHint || '',
+});
+
+/**
+ * Validate the password fields of the form
+ * @param {Object} formData - Form data containing the password fields
+ * @returns {string|null} Error message or null if valid
+ */
+export const validatePasswordForm = (formData) => {
+  if (formData.passwordMode === 'set' || formData.passwordMode === 'change') {
+    return validateLinkPassword(formData.password, formData.passwordHint);
+  }
+  return null;
+};
+
+/**
+ * Split the password fields out of the form and build the matching request fields
+ * A null password removes protection; omitting it leaves the current password unchanged.
+ * @param {Object} formData - Form data containing the password fields
+ * @returns {Object} { fields, payload } where fields is the form data without password state
+ */
+export const splitPasswordFields = (formData) => {
+  const { passwordMode, password, passwordHint, ...fields } = formData;
+
+  let payload = {};
+  if (passwordMode === 'set' || passwordMode === 'change') {
+    payload = { password, passwordHint: passwordHint.trim() || null };
+  } else if (passwordMode === 'keep') {
+    payload = { passwordHint: passwordHint.trim() || null };
+  } else if (passwordMode === 'remove') {
+    payload = { password: null, passwordHint: null };
+  }
+
+  return { fields, payload };
+};
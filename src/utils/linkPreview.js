@@ -0,0 +1,95 @@
+/**
+ * Link preview utilities
+ * Owners can override the Open Graph title, description and image that social
+ * networks show when a short link is shared. Anything left empty falls back to
+ * what the destination page provides (fetched through the unfurl endpoint).
+ */
+
+import { validateField, VALIDATION_RULES } from './validation';
+
+export const OG_TITLE_MAX = 100;
+export const OG_DESCRIPTION_MAX = 300;
+
+export const SOCIAL_NETWORKS = [
+  { value: 'facebook', label: 'Facebook' },
+  { value: 'x', label: 'X' },
+  { value: 'linkedin', label: 'LinkedIn' },
+  { value: 'slack', label: 'Slack' },
+];
+
+/**
+ * Preview override fields for the create/edit form
+ * @param {Object} url - Existing URL (omit for the create form)
+ * @returns {Object} { ogTitle, ogDescription, ogImage }
+ */
+export const getPreviewFormState = (url = null) => ({
+  ogTitle: url?.ogTitle || '',
+  ogDescription: url?.ogDescription || '',
+  ogImage: url?.ogImage || '',
+});
+
+/**
+ * Validate the preview override fields of the form
+ * @param {Object} formData - Form data containing the override fields
+ * @returns {string|null} Error message or null if valid
+ */
+export const validatePreviewForm = (formData) => {
+  if (formData.ogTitle.trim().length > OG_TITLE_MAX) {
+    return `Preview title cannot exceed ${OG_TITLE_MAX} characters`;
+  }
+  if (formData.ogDescription.trim().length > OG_DESCRIPTION_MAX) {
+    return `Preview description cannot exceed ${OG_DESCRIPTION_MAX} characters`;
+  }
+  if (formData.ogImage.trim()) {
+    const imageError = validateField('url', formData.ogImage.trim(), VALIDATION_RULES.url);
+    if (imageError) return `Preview image: ${imageError}`;
+  }
+  return null;
+};
+
+/**
+ * Request fields for the preview overrides; null falls back to the destination's own tags
+ * @param {Object} formData - Form data containing the override fields
+ * @returns {Object} { ogTitle, ogDescription, ogImage }
+ */
+export const toPreviewPayload = ({ ogTitle, ogDescription, ogImage }) => ({
+  ogTitle: ogTitle.trim() || null,
+  ogDescription: ogDescription.trim() || null,
+  ogImage: ogImage.trim() || null,
+});
+
+/**
+ * Host name for display, without a leading "www."
+ * @param {string} url - Absolute URL
+ * @returns {string} Host name, or '' if the URL cannot be parsed
+ */
+export const getDisplayDomain = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * What a share will show: overrides first, then the unfurled page metadata
+ * @param {Object} overrides - { ogTitle, ogDescription, ogImage } from the form
+ * @param {Object|null} metadata - { title, description, image, siteName } from the unfurl endpoint
+ * @returns {Object} { title, description, image, siteName }
+ */
+export const resolvePreview = (overrides, metadata) => ({
+  title: overrides.ogTitle.trim() || metadata?.title || '',
+  description: overrides.ogDescription.trim() || metadata?.description || '',
+  image: overrides.ogImage.trim() || metadata?.image || '',
+  siteName: metadata?.siteName || '',
+});
+
+/**
+ * Shorten text the way social cards do
+ * @param {string} text - Text to shorten
+ * @param {number} max - Maximum length including the ellipsis
+ * @returns {string} Text with a trailing ellipsis if it was cut
+ */
+export const truncateText = (text, max) => (
+  text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text
+);
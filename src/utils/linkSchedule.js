@@ -0,0 +1,62 @@
+/**
+ * Link schedule utilities
+ * A short URL can stay dormant until activatesAt and stop working after expiresAt.
+ * Form values are datetime-local strings in the user's timezone (see utils/timezone.js).
+ */
+
+import { convertInputToISO } from './timezone';
+
+// Schedule filters for the URLs page; values are sent to the API as `schedule`
+export const SCHEDULE_FILTERS = [
+  { value: '', label: 'Any schedule' },
+  { value: 'scheduled', label: 'Scheduled' },
+  { value: 'live', label: 'Live' },
+  { value: 'expired', label: 'Expired' },
+];
+
+/**
+ * Where a link is in its activation window
+ * @param {Object} url - URL with optional activatesAt and expiresAt
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} 'scheduled', 'live' or 'expired'
+ */
+export const getScheduleState = (url, now = Date.now()) => {
+  if (url.expiresAt && new Date(url.expiresAt).getTime() <= now) return 'expired';
+  if (url.activatesAt && new Date(url.activatesAt).getTime() > now) return 'scheduled';
+  return 'live';
+};
+
+/**
+ * Check that the activation time comes before the expiry time
+ * @param {string} activatesAt - datetime-local value or ''
+ * @param {string} expiresAt - datetime-local value or ''
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateSchedule = (activatesAt, expiresAt) => {
+  if (!activatesAt || !expiresAt) return null;
+
+  if (new Date(convertInputToISO(activatesAt)) >= new Date(convertInputToISO(expiresAt))) {
+    return 'The go-live time must be before the expiration time';
+  }
+  return null;
+};
+
+/**
+ * Format the time left until a moment, e.g. "2d 4h", "3h 12m", "45s"
+ * @param {number} ms - Milliseconds remaining
+ * @returns {string} Compact countdown
+ */
+export const formatCountdown = (ms) => {
+  if (ms <= 0) return 'now';
+
+  const totalSeconds = Math.floor(ms / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+};
@@ -0,0 +1,137 @@
+/**
+ * QR code utilities
+ * Renders short links as styled PNG or SVG QR codes entirely in the browser
+ */
+
+import QRCode from 'qrcode';
+import JSZip from 'jszip';
+
+// Error-correction levels, from smallest code to most damage-tolerant
+export const QR_ERROR_LEVELS = [
+  { value: 'L', label: 'Low (7%)' },
+  { value: 'M', label: 'Medium (15%)' },
+  { value: 'Q', label: 'Quartile (25%)' },
+  { value: 'H', label: 'High (30%)' },
+];
+
+export const DEFAULT_QR_OPTIONS = {
+  size: 512,
+  errorCorrectionLevel: 'M',
+  foreground: '#000000',
+  background: '#ffffff',
+  logo: null, // data URL of the centre logo
+};
+
+// Share of the code's width the centre logo may cover; safe with level H
+const LOGO_SCALE = 0.22;
+const QUIET_ZONE_MODULES = 2;
+
+const toQrLibraryOptions = (options) => ({
+  errorCorrectionLevel: options.errorCorrectionLevel,
+  margin: QUIET_ZONE_MODULES,
+  width: options.size,
+  color: {
+    dark: options.foreground,
+    light: options.background,
+  },
+});
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('Could not load the logo image'));
+  image.src = src;
+});
+
+/**
+ * Render a QR code as a PNG data URL
+ * @param {string} text - Content to encode (the full short link)
+ * @param {Object} options - QR options (see DEFAULT_QR_OPTIONS)
+ * @returns {Promise<string>} PNG data URL
+ */
+export const renderQrPng = async (text, options = DEFAULT_QR_OPTIONS) => {
+  const canvas = document.createElement('canvas');
+  await QRCode.toCanvas(canvas, text, toQrLibraryOptions(options));
+
+  if (options.logo) {
+    const logo = await loadImage(options.logo);
+    const context = canvas.getContext('2d');
+    const logoSize = canvas.width * LOGO_SCALE;
+    const padding = logoSize * 0.12;
+    const offset = (canvas.width - logoSize) / 2;
+
+    // Clear a backing square so the logo never blends into the modules
+    context.fillStyle = options.background;
+    context.fillRect(offset - padding, offset - padding, logoSize + padding * 2, logoSize + padding * 2);
+    context.drawImage(logo, offset, offset, logoSize, logoSize);
+  }
+
+  return canvas.toDataURL('image/png');
+};
+
+/**
+ * Render a QR code as SVG markup
+ * @param {string} text - Content to encode (the full short link)
+ * @param {Object} options - QR options (see DEFAULT_QR_OPTIONS)
+ * @returns {Promise<string>} SVG document as a string
+ */
+export const renderQrSvg = async (text, options = DEFAULT_QR_OPTIONS) => {
+  const svg = await QRCode.toString(text, { ...toQrLibraryOptions(options), type: 'svg' });
+
+  if (!options.logo) {
+    return svg;
+  }
+
+  // The library draws in module units; place the logo in the same coordinate space
+  const viewBoxSize = Number(svg.match(/viewBox="0 0 (\d+(?:\.\d+)?)/)?.[1]);
+  if (!viewBoxSize) {
+    return svg;
+  }
+
+  const logoSize = viewBoxSize * LOGO_SCALE;
+  const padding = logoSize * 0.12;
+  const offset = (viewBoxSize - logoSize) / 2;
+  const overlay =
+    `<rect x="${offset - padding}" y="${offset - padding}" width="${logoSize + padding * 2}" height="${logoSize + padding * 2}" fill="${options.background}"/>` +
+    `<image x="${offset}" y="${offset}" width="${logoSize}" height="${logoSize}" href="${options.logo}" preserveAspectRatio="xMidYMid meet"/>`;
+
+  return svg.replace('</svg>', `${overlay}</svg>`);
+};
+
+/**
+ * Build a ZIP archive with one QR code per entry
+ * @param {Array<Object>} entries - [{ fileName, text }] where fileName has no extension
+ * @param {Object} options - QR options shared by every code
+ * @param {string} format - 'png' or 'svg'
+ * @returns {Promise<Blob>} ZIP file
+ */
+export const buildQrZip = async (entries, options, format) => {
+  const zip = new JSZip();
+
+  for (const entry of entries) {
+    if (format === 'svg') {
+      zip.file(`${entry.fileName}.svg`, await renderQrSvg(entry.text, options));
+    } else {
+      const dataUrl = await renderQrPng(entry.text, options);
+      zip.file(`${entry.fileName}.png`, dataUrl.split(',')[1], { base64: true });
+    }
+  }
+
+  return zip.generateAsync({ type: 'blob' });
+};
+
+/**
+ * Read an image file as a data URL (used for the centre logo)
+ * @param {File} file - Image selected by the user
+ * @returns {Promise<string>} Data URL
+ */
+export const readImageAsDataUrl = (file) => new Promise((resolve, reject) => {
+  if (!file.type.startsWith('image/')) {
+    reject(new Error('Please choose an image file'));
+    return;
+  }
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(new Error('Could not read the image'));
+  reader.readAsDataURL(file);
+});
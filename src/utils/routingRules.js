@@ -0,0 +1,118 @@
+/**
+ * Routing rule utilities
+ * Ordered rules that send visitors to different destinations by country, device or OS.
+ * Rules are checked top to bottom; the first match wins and the original URL is the fallback.
+ */
+
+import { validateField, VALIDATION_RULES } from './validation';
+
+// Dimensions match what click logs record for each visit
+export const ROUTING_FIELDS = [
+  { value: 'country', label: 'Country', placeholder: 'IN, BD' },
+  { value: 'device', label: 'Device', options: ['mobile', 'tablet', 'desktop'] },
+  { value: 'os', label: 'OS', options: ['iOS', 'Android', 'Windows', 'macOS', 'Linux'] },
+];
+
+export const ROUTING_OPERATORS = [
+  { value: 'in', label: 'is' },
+  { value: 'not_in', label: 'is not' },
+];
+
+let nextRuleId = 1;
+
+/**
+ * Create a blank rule for the editor
+ * @param {string} field - Dimension to match on
+ * @returns {Object} Rule with a client-side id
+ */
+export const createRoutingRule = (field = 'country') => ({
+  id: `rule-${nextRuleId++}`,
+  field,
+  operator: 'in',
+  values: [],
+  valuesText: '', // raw country-code input, kept so typing "IN, " isn't reformatted
+  destination: '',
+});
+
+/**
+ * Prepare rules from the API for editing
+ * @param {Array<Object>} rules - Rules as stored on the URL
+ * @returns {Array<Object>} Rules with client-side ids
+ */
+export const toEditableRules = (rules) => (
+  Array.isArray(rules)
+    ? rules.map(rule => ({
+      ...createRoutingRule(rule.field),
+      ...rule,
+      values: rule.values || [],
+      valuesText: (rule.values || []).join(', '),
+    }))
+    : []
+);
+
+/**
+ * Strip editor-only state from rules before saving
+ * @param {Array<Object>} rules - Rules from the editor
+ * @returns {Array<Object>} [{ field, operator, values, destination }]
+ */
+export const toRoutingRulesPayload = (rules) => rules.map(({ field, operator, values, destination }) => ({
+  field,
+  operator,
+  values: field === 'country' ? values.map(value => value.toUpperCase()) : values,
+  destination: destination.trim(),
+}));
+
+/**
+ * Parse a comma-separated value list (country codes)
+ * @param {string} text - e.g. "IN, bd"
+ * @returns {Array<string>} e.g. ['IN', 'BD']
+ */
+export const parseRuleValues = (text) => (
+  text.split(',').map(value => value.trim().toUpperCase()).filter(Boolean)
+);
+
+/**
+ * Validate every rule
+ * @param {Array<Object>} rules - Rules from the editor
+ * @returns {string|null} Error message naming the first bad rule, or null if valid
+ */
+export const validateRoutingRules = (rules) => {
+  for (let index = 0; index < rules.length; index++) {
+    const rule = rules[index];
+    const label = `Routing rule ${index + 1}`;
+
+    if (rule.values.length === 0) {
+      return `${label}: choose at least one value`;
+    }
+    if (rule.field === 'country' && rule.values.some(value => !/^[A-Za-z]{2}$/.test(value))) {
+      return `${label}: use two-letter country codes such as IN or US`;
+    }
+
+    const urlError = validateField('url', rule.destination.trim(), VALIDATION_RULES.url);
+    if (urlError) {
+      return `${label}: ${urlError}`;
+    }
+  }
+  return null;
+};
+
+const matchesRule = (rule, visit) => {
+  const visitValue = (visit[rule.field] || '').toLowerCase();
+  const listed = rule.values.some(value => value.toLowerCase() === visitValue);
+  return rule.operator === 'not_in' ? !listed : listed;
+};
+
+/**
+ * Work out where a visit would be sent
+ * @param {Array<Object>} rules - Ordered rules
+ * @param {Object} visit - { country, device, os } with country as a two-letter code
+ * @param {string} fallback - Destination when no rule matches (the original URL)
+ * @returns {Object} { destination, ruleIndex } where ruleIndex is -1 for the fallback
+ */
+export const resolveRoutingDestination = (rules, visit, fallback) => {
+  const ruleIndex = rules.findIndex(rule => rule.values.length > 0 && matchesRule(rule, visit));
+  return {
+    destination: ruleIndex === -1 ? fallback : rules[ruleIndex].destination,
+    ruleIndex,
+  };
+};
@@ -0,0 +1,63 @@
+/**
+ * Saved view utilities
+ * A saved view is a named snapshot of the URLs page search, filters and sort.
+ * Views are kept in localStorage per user, like the theme preference.
+ */
+
+export const MAX_SAVED_VIEWS = 20;
+
+const storageKey = (userId) => `savedUrlViews:${userId || 'anonymous'}`;
+
+/**
+ * Read the user's saved views
+ * @param {string} userId - Current user id
+ * @returns {Array<Object>} [{ id, name, state }]
+ */
+export const loadSavedViews = (userId) => {
+  try {
+    const views = JSON.parse(localStorage.getItem(storageKey(userId)) || '[]');
+    return Array.isArray(views) ? views : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Persist the user's saved views
+ * @param {string} userId - Current user id
+ * @param {Array<Object>} views - Views to store
+ */
+export const storeSavedViews = (userId, views) => {
+  localStorage.setItem(storageKey(userId), JSON.stringify(views));
+};
+
+/**
+ * Create a saved view
+ * @param {string} name - View name
+ * @param {Object} state - Page state to restore later
+ * @returns {Object} { id, name, state }
+ */
+export const createSavedView = (name, state) => ({
+  id: `view-${Date.now().toString(36)}`,
+  name: name.trim(),
+  state,
+});
+
+/**
+ * Add a view, replacing one with the same name
+ * @param {Array<Object>} views - Existing views
+ * @param {Object} view - View to add
+ * @returns {Array<Object>} Updated views
+ */
+export const upsertSavedView = (views, view) => {
+  const others = views.filter(item => item.name.toLowerCase() !== view.name.toLowerCase());
+  return [...others, view].slice(-MAX_SAVED_VIEWS);
+};
+
+/**
+ * Whether the page currently shows exactly what a view describes
+ * @param {Object} view - Saved view
+ * @param {Object} state - Current page state
+ * @returns {boolean} True if they match
+ */
+export const isViewActive = (view, state) => JSON.stringify(view.state) === JSON.stringify(state);
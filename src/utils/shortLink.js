@@ -0,0 +1,48 @@
+/**
+ * Short link helpers
+ * Builds the public link for a short URL slug. A URL can be served from a
+ * verified custom domain, chosen on the URL itself or inherited from its group;
+ * otherwise it uses the default base.
+ */
+
+// Base all short links are served from when no custom domain is chosen
+export const SHORT_URL_BASE = import.meta.env.VITE_SHORT_URL_BASE || window.location.origin;
+
+/**
+ * Base that short links on a domain are served from
+ * @param {string} domain - Custom domain hostname, or '' for the default
+ * @returns {string} Origin without a trailing slash
+ */
+export const getShortLinkBase = (domain) => (domain ? `https://${domain}` : SHORT_URL_BASE);
+
+/**
+ * Build the full short link for a slug
+ * @param {string} shortUrl - Short URL slug
+ * @param {string} domain - Custom domain hostname, or '' for the default
+ * @returns {string} Full short link, or '' when there is no slug
+ */
+export const buildShortLink = (shortUrl, domain = '') => {
+  if (!shortUrl) return '';
+  return `${getShortLinkBase(domain)}/${shortUrl}`;
+};
+
+/**
+ * Domain a URL is served from: its own choice, else its group's
+ * @param {Object} url - URL object
+ * @param {Array<Object>} groups - Known groups, to look up the group's domain
+ * @returns {string} Custom domain hostname, or '' for the default
+ */
+export const getUrlDomain = (url, groups = []) => {
+  if (url?.domain) return url.domain;
+  const groupId = url?.groupId?._id || url?.groupId;
+  const group = groups.find(item => item._id === groupId);
+  return group?.domain || url?.groupId?.domain || '';
+};
+
+/**
+ * Build the full short link for a URL on its chosen domain
+ * @param {Object} url - URL object
+ * @param {Array<Object>} groups - Known groups, to look up the group's domain
+ * @returns {string} Full short link, or '' when there is no slug
+ */
+export const buildUrlShortLink = (url, groups = []) => buildShortLink(url?.shortUrl, getUrlDomain(url, groups));
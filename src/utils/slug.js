@@ -0,0 +1,125 @@
+/**
+ * Custom slug utilities
+ * Checks a typed slug before it is sent and builds readable suggestions from the
+ * destination page's title or path. Availability itself is checked by the backend.
+ */
+
+import { VALIDATION_RULES, RESERVED_SLUGS, validateField } from './validation';
+
+export const SLUG_MAX_LENGTH = VALIDATION_RULES.slug.maxLength;
+
+// Suggestions are kept shorter than the maximum so they stay easy to type
+const SUGGESTION_MAX_LENGTH = 30;
+const MAX_SUGGESTIONS = 4;
+
+// Words dropped from titles when building suggestions
+const STOP_WORDS = ['a', 'an', 'the', 'and', 'or', 'of', 'for', 'to', 'in', 'on', 'at', 'with', 'by', 'from'];
+
+// Path segments that say nothing about the page
+const GENERIC_SEGMENTS = ['index', 'home', 'default', 'page'];
+
+/**
+ * Whether a slug clashes with an app route
+ * @param {string} slug - Slug to check
+ * @returns {boolean} True if reserved
+ */
+export const isReservedSlug = (slug) => RESERVED_SLUGS.includes((slug || '').toLowerCase());
+
+/**
+ * Check a custom slug before it is sent; an empty slug means "generate one"
+ * @param {string} slug - Trimmed slug
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateSlug = (slug) => validateField('shortUrl', slug, VALIDATION_RULES.slug);
+
+/**
+ * Turn text into a lower-case, hyphenated slug, cut at a word boundary
+ * @param {string} text - Text to convert
+ * @param {number} maxLength - Longest slug to return
+ * @returns {string} Slug, possibly ''
+ */
+export const slugify = (text, maxLength = SUGGESTION_MAX_LENGTH) => {
+  const slug = (text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (slug.length <= maxLength) return slug;
+  const cut = slug.slice(0, maxLength + 1);
+  const lastDash = cut.lastIndexOf('-');
+  return lastDash > 0 ? cut.slice(0, lastDash) : slug.slice(0, maxLength);
+};
+
+// Title words without the site name ("Spring Sale | Acme") and filler words
+const titleWords = (title) => {
+  const [mainPart] = (title || '').split(/\s[|–—·:-]\s/);
+  return slugify(mainPart, SLUG_MAX_LENGTH)
+    .split('-')
+    .filter(word => word && !STOP_WORDS.includes(word));
+};
+
+// Meaningful path segments, without file extensions, generic names or ids that are only digits
+const pathWords = (destination) => {
+  try {
+    const { pathname } = new URL(destination);
+    return pathname
+      .split('/')
+      .map(segment => slugify(decodeURIComponent(segment).replace(/\.[a-z0-9]+$/i, '')))
+      .filter(segment => segment && !/^\d+$/.test(segment) && !GENERIC_SEGMENTS.includes(segment));
+  } catch {
+    return [];
+  }
+};
+
+const siteName = (destination) => {
+  try {
+    const labels = new URL(destination).hostname.replace(/^www\./, '').split('.');
+    return slugify(labels.length > 1 ? labels[labels.length - 2] : labels[0]);
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * Candidate slugs built from the destination page's title and URL path
+ * Callers check these against the backend and show the ones still free.
+ * @param {string} title - Destination page title, if known
+ * @param {string} destination - Destination URL
+ * @returns {Array<string>} Valid, unique candidates, best first
+ */
+export const buildSlugCandidates = (title, destination) => {
+  const words = titleWords(title);
+  const segments = pathWords(destination);
+  const site = siteName(destination);
+  const lastSegment = segments[segments.length - 1] || '';
+
+  // Prefix with the site name unless the text already starts with it
+  const withSite = (text) => (site && text && !text.startsWith(site) ? slugify(`${site}-${text}`) : '');
+
+  const candidates = [...new Set([
+    slugify(words.slice(0, 3).join('-')),
+    slugify(words.join('-')),
+    slugify(lastSegment),
+    slugify(segments.slice(-2).join('-')),
+    withSite(lastSegment),
+    withSite(words.slice(0, 2).join('-')),
+  ])].filter(candidate => candidate && !validateSlug(candidate));
+
+  // Numbered versions of the best candidate, in case every readable one is taken
+  if (candidates.length > 0) {
+    candidates.push(`${candidates[0]}-2`, `${candidates[0]}-3`);
+  }
+  return candidates.slice(0, MAX_SUGGESTIONS * 2);
+};
+
+/**
+ * Candidates the backend reported as free
+ * @param {Array<string>} candidates - From buildSlugCandidates
+ * @param {Object} availability - { [slug]: boolean } from the availability check
+ * @returns {Array<string>} Up to MAX_SUGGESTIONS free slugs
+ */
+export const pickAvailableSuggestions = (candidates, availability) => (
+  candidates.filter(candidate => availability[candidate] === true).slice(0, MAX_SUGGESTIONS)
+);
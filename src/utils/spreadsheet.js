@@ -0,0 +1,105 @@
+/**
+ * Spreadsheet utilities
+ * Reads and writes CSV, JSON and Excel files in the browser using SheetJS
+ */
+
+import * as XLSX from 'xlsx';
+import { downloadBlob } from './download';
+
+// File types accepted by the spreadsheet readers
+export const SPREADSHEET_ACCEPT = '.csv,.xlsx,.xls,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel';
+
+/**
+ * Parse the first sheet of a CSV or Excel file
+ * Date cells are returned as Date objects, everything else as cell values
+ * @param {File} file - File selected by the user
+ * @returns {Promise<Object>} { headers: string[], rows: Array<Array> } with empty rows removed
+ */
+export const parseSpreadsheetFile = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const workbook = XLSX.read(buffer, { type: 'array', cellDates: true });
+  const sheetName = workbook.SheetNames[0];
+
+  if (!sheetName) {
+    return { headers: [], rows: [] };
+  }
+
+  const table = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+    header: 1,
+    defval: '',
+    blankrows: false,
+  });
+
+  const [headerRow = [], ...rows] = table;
+  const headers = headerRow.map((header, index) => String(header).trim() || `Column ${index + 1}`);
+
+  return {
+    headers,
+    rows: rows.filter(row => row.some(cell => String(cell).trim() !== '')),
+  };
+};
+
+// Formats offered by the export dialogs
+export const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'json', label: 'JSON' },
+  { value: 'xlsx', label: 'Excel (XLSX)' },
+];
+
+/**
+ * Build plain rows from records using export column definitions
+ * @param {Array} records - Records to export
+ * @param {Array} columns - Column definitions ({ key, label, value(record) })
+ * @returns {Array<Object>} Rows keyed by column label, in column order
+ */
+export const buildExportRows = (records, columns) => {
+  return records.map(record =>
+    Object.fromEntries(columns.map(column => [column.label, column.value(record) ?? '']))
+  );
+};
+
+// Leading characters that make Excel and Google Sheets treat a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Stop text cells from running as formulas when the file is opened
+ * Names, destinations, referrers and user agents can be set by anyone, so a
+ * value such as =HYPERLINK(...) is exported as text by prefixing a quote.
+ * @param {Object} row - Row keyed by column label
+ * @returns {Object} Row with risky string cells prefixed with '
+ */
+const neutralizeFormulas = (row) => Object.fromEntries(
+  Object.entries(row).map(([key, value]) => [
+    key,
+    typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value,
+  ])
+);
+
+/**
+ * Download rows as a CSV, JSON or XLSX file
+ * @param {Array<Object>} rows - Rows keyed by column label
+ * @param {string[]} headers - Column labels, in order
+ * @param {string} format - One of EXPORT_FORMATS values
+ * @param {string} baseName - File name without extension
+ */
+export const downloadRows = (rows, headers, format, baseName) => {
+  if (format === 'json') {
+    const blob = new Blob([JSON.stringify(rows, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${baseName}.json`);
+    return;
+  }
+
+  const worksheet = XLSX.utils.json_to_sheet(rows.map(neutralizeFormulas), { header: headers });
+
+  if (format === 'csv') {
+    // Prefix a BOM so Excel opens UTF-8 (names, cities) correctly
+    const csv = XLSX.utils.sheet_to_csv(worksheet);
+    const blob = new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' });
+    downloadBlob(blob, `${baseName}.csv`);
+    return;
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Export');
+  XLSX.writeFile(workbook, `${baseName}.xlsx`);
+};
@@ -0,0 +1,106 @@
+/**
+ * Tag utilities
+ * URLs can carry any number of coloured tags, unlike the single groupId.
+ */
+
+export const TAG_NAME_MAX = 30;
+
+export const TAG_COLORS = ['gray', 'red', 'orange', 'yellow', 'green', 'teal', 'blue', 'indigo', 'purple', 'pink'];
+
+// Full class strings so Tailwind keeps them in the build
+const TAG_COLOR_CLASSES = {
+  gray: { chip: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200', dot: 'bg-gray-500' },
+  red: { chip: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300', dot: 'bg-red-500' },
+  orange: { chip: 'bg-orange-100 text-orange-800 dark:bg-orange-900/30 dark:text-orange-300', dot: 'bg-orange-500' },
+  yellow: { chip: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300', dot: 'bg-yellow-500' },
+  green: { chip: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300', dot: 'bg-green-500' },
+  teal: { chip: 'bg-teal-100 text-teal-800 dark:bg-teal-900/30 dark:text-teal-300', dot: 'bg-teal-500' },
+  blue: { chip: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300', dot: 'bg-blue-500' },
+  indigo: { chip: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900/30 dark:text-indigo-300', dot: 'bg-indigo-500' },
+  purple: { chip: 'bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-300', dot: 'bg-purple-500' },
+  pink: { chip: 'bg-pink-100 text-pink-800 dark:bg-pink-900/30 dark:text-pink-300', dot: 'bg-pink-500' },
+};
+
+// Tag filter modes; values are sent to the API as `tagMatch`
+export const TAG_MATCH_MODES = [
+  { value: 'any', label: 'Any (OR)' },
+  { value: 'all', label: 'All (AND)' },
+];
+
+/**
+ * Classes for a tag colour
+ * @param {string} color - One of TAG_COLORS
+ * @returns {Object} { chip, dot } class strings
+ */
+export const getTagColorClasses = (color) => TAG_COLOR_CLASSES[color] || TAG_COLOR_CLASSES.gray;
+
+/**
+ * Stable default colour for a new tag, so the same name always gets the same colour
+ * @param {string} name - Tag name
+ * @returns {string} One of TAG_COLORS
+ */
+export const pickTagColor = (name) => {
+  const hash = [...name.toLowerCase()].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+  return TAG_COLORS[hash % TAG_COLORS.length];
+};
+
+/**
+ * Tidy a tag name as typed
+ * @param {string} name - Raw name
+ * @returns {string} Trimmed name with inner whitespace collapsed
+ */
+export const normalizeTagName = (name) => name.trim().replace(/\s+/g, ' ');
+
+/**
+ * Validate a tag name
+ * @param {string} name - Tag name
+ * @param {Array<Object>} tags - Existing tags
+ * @param {string|null} excludeId - Tag being renamed, if any
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateTagName = (name, tags, excludeId = null) => {
+  const normalized = normalizeTagName(name);
+  if (!normalized) return 'Tag name is required';
+  if (normalized.length > TAG_NAME_MAX) return `Tag name cannot exceed ${TAG_NAME_MAX} characters`;
+
+  const taken = tags.some(tag => tag._id !== excludeId && tag.name.toLowerCase() === normalized.toLowerCase());
+  return taken ? `A tag named "${normalized}" already exists` : null;
+};
+
+/**
+ * Tags on a URL as objects
+ * The API may return populated tags or plain ids.
+ * @param {Object} url - URL with optional tags
+ * @param {Array<Object>} allTags - Known tags to resolve ids against
+ * @returns {Array<Object>} [{ _id, name, color }]
+ */
+export const getUrlTags = (url, allTags = []) => {
+  if (!Array.isArray(url?.tags)) return [];
+
+  const byId = new Map(allTags.map(tag => [tag._id, tag]));
+  return url.tags
+    .map(tag => (typeof tag === 'object' ? byId.get(tag._id) || tag : byId.get(tag)))
+    .filter(Boolean);
+};
+
+/**
+ * Autocomplete suggestions for the tag input
+ * @param {Array<Object>} allTags - Known tags
+ * @param {string} query - Text typed so far
+ * @param {Array<Object>} selected - Tags already chosen
+ * @param {number} limit - Maximum suggestions
+ * @returns {Array<Object>} Matching tags, names starting with the query first
+ */
+export const getTagSuggestions = (allTags, query, selected, limit = 8) => {
+  const needle = normalizeTagName(query).toLowerCase();
+  const chosen = new Set(selected.map(tag => tag._id));
+
+  return allTags
+    .filter(tag => !chosen.has(tag._id) && tag.name.toLowerCase().includes(needle))
+    .sort((a, b) => {
+      const aStarts = a.name.toLowerCase().startsWith(needle) ? 0 : 1;
+      const bStarts = b.name.toLowerCase().startsWith(needle) ? 0 : 1;
+      return aStarts - bStarts || a.name.localeCompare(b.name);
+    })
+    .slice(0, limit);
+};
@@ -1,107 +1,206 @@
 /**
- * IST (Indian Standard Time) Timezone Utilities
- * IST is UTC+5:30
+ * Timezone Utilities
+ * Dates are shown and entered in the signed-in user's preferred timezone
+ * (stored on their profile), falling back to the browser's zone.
+ * All conversions go through Intl, so DST changes are handled per instant.
  */
 
-// IST timezone constant
-export const IST_TIMEZONE = 'Asia/Kolkata';
-export const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000; // 5 hours 30 minutes in milliseconds
+/**
+ * Get the browser's IANA timezone
+ * @returns {string} e.g. 'Europe/Berlin'
+ */
+export const getBrowserTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+};
+
+/**
+ * Check whether a string is an IANA timezone the browser understands
+ * @param {string} timeZone - Timezone name
+ * @returns {boolean} True if usable with Intl
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+let activeTimeZone = getBrowserTimeZone();
+
+/**
+ * Set the timezone used by every helper in this module
+ * Called with the profile preference on sign-in; invalid or empty values fall back to the browser zone.
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} The timezone now in effect
+ */
+export const setActiveTimeZone = (timeZone) => {
+  activeTimeZone = isValidTimeZone(timeZone) ? timeZone : getBrowserTimeZone();
+  return activeTimeZone;
+};
+
+/**
+ * Get the timezone currently used for formatting and conversion
+ * @returns {string} IANA timezone name
+ */
+export const getActiveTimeZone = () => activeTimeZone;
+
+/**
+ * List the IANA timezones the browser supports
+ * @returns {Array<string>} Timezone names, always including the active zone
+ */
+export const getSupportedTimeZones = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : ['UTC', getBrowserTimeZone()];
+  return zones.includes(activeTimeZone) ? zones : [activeTimeZone, ...zones];
+};
+
+/**
+ * Get a short label for a timezone at a given moment (e.g. 'IST', 'PDT', 'GMT+2')
+ * @param {string} timeZone - IANA timezone name
+ * @param {Date} date - Moment to label; abbreviations change across DST
+ * @returns {string} Short timezone name
+ */
+export const getTimeZoneLabel = (timeZone = activeTimeZone, date = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' }).formatToParts(date);
+  return parts.find(p => p.type === 'timeZoneName')?.value || timeZone;
+};
 
 /**
- * Convert a date to IST and format as YYYY-MM-DD HH:MM
+ * Get the wall-clock parts of a date in a timezone
  * @param {Date|string} date - Date object or ISO string
- * @returns {string} Formatted date string in YYYY-MM-DD HH:MM format in IST
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} { year, month, day, hour, minute, second, weekday } with month 1-12 and weekday 0 (Sunday)-6
  */
-export const formatDateToIST = (date) => {
-  if (!date) return '';
-  
+export const getZonedParts = (date, timeZone = activeTimeZone) => {
   const dateObj = typeof date === 'string' ? new Date(date) : date;
-  
-  // Format date in IST timezone
-  const formatter = new Intl.DateTimeFormat('en-IN', {
-    timeZone: IST_TIMEZONE,
+
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
     year: 'numeric',
     month: '2-digit',
     day: '2-digit',
     hour: '2-digit',
     minute: '2-digit',
-    hour12: false,
+    second: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23',
   });
-  
+
   const parts = formatter.formatToParts(dateObj);
-  const year = parts.find(p => p.type === 'year').value;
-  const month = parts.find(p => p.type === 'month').value;
-  const day = parts.find(p => p.type === 'day').value;
-  const hour = parts.find(p => p.type === 'hour').value;
-  const minute = parts.find(p => p.type === 'minute').value;
-  
-  return `${year}-${month}-${day} ${hour}:${minute}`;
+  const get = (type) => parts.find(p => p.type === type).value;
+
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    hour: Number(get('hour')),
+    minute: Number(get('minute')),
+    second: Number(get('second')),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday')),
+  };
+};
+
+/**
+ * Get a timezone's UTC offset at a given instant
+ * @param {Date} date - Instant to check (offsets differ either side of DST changes)
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+export const getTimeZoneOffsetMs = (date, timeZone = activeTimeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const wallClockAsUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClockAsUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time in a timezone to the matching instant
+ * @param {Object} wallClock - { year, month, day, hour, minute } with month 1-12
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} The instant that shows that wall-clock time in the timezone
+ */
+export const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone = activeTimeZone) => {
+  const wallClockAsUTC = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offset at the first guess can be on the other side of a DST change; a second pass settles it
+  let utc = wallClockAsUTC - getTimeZoneOffsetMs(new Date(wallClockAsUTC), timeZone);
+  utc = wallClockAsUTC - getTimeZoneOffsetMs(new Date(utc), timeZone);
+
+  return new Date(utc);
 };
 
+const pad = (value) => String(value).padStart(2, '0');
+
 /**
- * Convert a date to IST and format for datetime-local input (YYYY-MM-DDTHH:MM)
+ * Format a date in the active timezone as YYYY-MM-DD HH:MM
  * @param {Date|string} date - Date object or ISO string
- * @returns {string} Formatted date string for datetime-local input in IST
+ * @param {string} timeZone - Optional IANA timezone; defaults to the active one
+ * @returns {string} Formatted date string in YYYY-MM-DD HH:MM format
  */
-export const formatDateToISTForInput = (date) => {
+export const formatDateTime = (date, timeZone = activeTimeZone) => {
   if (!date) return '';
-  
-  const dateObj = typeof date === 'string' ? new Date(date) : date;
-  
-  // Format date in IST timezone
-  const formatter = new Intl.DateTimeFormat('en-IN', {
-    timeZone: IST_TIMEZONE,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: false,
-  });
-  
-  const parts = formatter.formatToParts(dateObj);
-  const year = parts.find(p => p.type === 'year').value;
-  const month = parts.find(p => p.type === 'month').value;
-  const day = parts.find(p => p.type === 'day').value;
-  const hour = parts.find(p => p.type === 'hour').value;
-  const minute = parts.find(p => p.type === 'minute').value;
-  
-  return `${year}-${month}-${day}T${hour}:${minute}`;
+
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+};
+
+/**
+ * Format a date in the active timezone for datetime-local input (YYYY-MM-DDTHH:MM)
+ * @param {Date|string} date - Date object or ISO string
+ * @param {string} timeZone - Optional IANA timezone; defaults to the active one
+ * @returns {string} Formatted date string for datetime-local input
+ */
+export const formatDateForInput = (date, timeZone = activeTimeZone) => {
+  if (!date) return '';
+
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
 };
 
 /**
- * Convert a datetime-local input value (in IST) to ISO string for backend
- * Assumes the input value represents IST time
- * @param {string} dateTimeLocal - Date string in format YYYY-MM-DDTHH:MM (assumed to be IST)
- * @returns {string} ISO string representing the UTC equivalent of the IST time
+ * Convert a datetime-local input value to ISO string for backend
+ * The value is read as wall-clock time in the active timezone
+ * @param {string} dateTimeLocal - Date string in format YYYY-MM-DDTHH:MM
+ * @param {string} timeZone - Optional IANA timezone; defaults to the active one
+ * @returns {string} ISO string representing the UTC equivalent
  */
-export const convertISTToISO = (dateTimeLocal) => {
+export const convertInputToISO = (dateTimeLocal, timeZone = activeTimeZone) => {
   if (!dateTimeLocal) return null;
-  
-  // Parse the datetime-local value as IST time
+
   // Format: YYYY-MM-DDTHH:MM
   const [datePart, timePart] = dateTimeLocal.split('T');
   if (!datePart || !timePart) return null;
-  
+
   const [year, month, day] = datePart.split('-').map(Number);
   const [hour, minute] = timePart.split(':').map(Number);
-  
-  // Create a date assuming IST timezone
-  // We create it as a UTC date representing the IST time, then subtract the IST offset
-  // IST = UTC + 5:30, so UTC = IST - 5:30
-  const istDateUTC = new Date(Date.UTC(year, month - 1, day, hour, minute));
-  
-  // Convert IST to UTC by subtracting IST offset (5:30 hours)
-  const utcDate = new Date(istDateUTC.getTime() - IST_OFFSET_MS);
-  
-  return utcDate.toISOString();
+
+  return zonedTimeToUtc({ year, month, day, hour, minute }, timeZone).toISOString();
 };
 
 /**
- * Get current date and time in IST formatted for datetime-local input
- * @returns {string} Current date/time in IST for datetime-local input
+ * Get current date and time in the active timezone formatted for datetime-local input
+ * @returns {string} Current date/time for datetime-local input
  */
-export const getCurrentISTForInput = () => {
-  return formatDateToISTForInput(new Date());
+export const getCurrentTimeForInput = () => {
+  return formatDateForInput(new Date());
 };
 
+/**
+ * Format a date for display with Intl options, in the active timezone
+ * @param {Date|string} date - Date object or ISO string
+ * @param {Object} options - Intl.DateTimeFormat options (defaults to date and time)
+ * @returns {string} Localised date string
+ */
+export const formatDisplayDate = (date, options = { dateStyle: 'medium', timeStyle: 'short' }) => {
+  if (!date) return '';
+
+  const dateObj = typeof date === 'string' ? new Date(date) : date;
+  return new Intl.DateTimeFormat(undefined, { timeZone: activeTimeZone, ...options }).format(dateObj);
+};
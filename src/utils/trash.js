@@ -0,0 +1,52 @@
+/**
+ * Trash utilities
+ * Deleting a URL or group moves it to the Trash, where it can be restored until
+ * the backend purges it once the workspace's retention period has passed.
+ */
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+export const TRASH_RETENTION_OPTIONS = [7, 14, 30, 60, 90];
+
+// How long the "Undo" toast stays up after a delete
+export const UNDO_TOAST_DURATION = 8000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When a trashed item will be purged
+ * Uses the backend's purgeAt when present, otherwise deletedAt plus the retention period.
+ * @param {Object} item - Trashed URL or group
+ * @param {number} retentionDays - Workspace retention period
+ * @returns {Date|null} Purge date, or null if the deletion date is unknown
+ */
+export const getPurgeDate = (item, retentionDays) => {
+  if (item.purgeAt) return new Date(item.purgeAt);
+  if (!item.deletedAt) return null;
+  return new Date(new Date(item.deletedAt).getTime() + retentionDays * DAY_MS);
+};
+
+/**
+ * Whole days left before a trashed item is purged
+ * @param {Object} item - Trashed URL or group
+ * @param {number} retentionDays - Workspace retention period
+ * @param {Date} now - Current time
+ * @returns {number|null} Days left, 0 if due, or null if unknown
+ */
+export const getDaysUntilPurge = (item, retentionDays, now = new Date()) => {
+  const purgeDate = getPurgeDate(item, retentionDays);
+  if (!purgeDate) return null;
+  return Math.max(0, Math.ceil((purgeDate.getTime() - now.getTime()) / DAY_MS));
+};
+
+/**
+ * Short label for the time left before purge
+ * @param {number|null} days - Days left
+ * @returns {string} e.g. "Purged in 12 days"
+ */
+export const formatPurgeLabel = (days) => {
+  if (days === null) return 'Purge date unknown';
+  if (days === 0) return 'Purged today';
+  if (days === 1) return 'Purged tomorrow';
+  return `Purged in ${days} days`;
+};
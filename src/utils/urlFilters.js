@@ -0,0 +1,113 @@
+/**
+ * URL list sorting and filtering utilities
+ * Filter values are kept as form strings and turned into API parameters for
+ * urlService.getShortUrls. Creation dates are whole days in the user's timezone.
+ */
+
+import { convertInputToISO } from './timezone';
+
+export const SORT_OPTIONS = [
+  { value: 'createdAt', label: 'Created date' },
+  { value: 'clicks', label: 'Clicks' },
+  { value: 'expiresAt', label: 'Expiry' },
+  { value: 'name', label: 'Name' },
+];
+
+// Expiry filters; values are sent to the API as `expiry`
+export const EXPIRY_FILTERS = [
+  { value: '', label: 'Any expiry' },
+  { value: 'none', label: 'Never expires' },
+  { value: 'soon', label: 'Expires within 7 days' },
+  { value: 'future', label: 'Expires later' },
+  { value: 'expired', label: 'Already expired' },
+];
+
+export const DEFAULT_LIST_FILTERS = {
+  sortBy: 'createdAt',
+  sortOrder: 'desc',
+  groupId: '',
+  expiry: '',
+  minClicks: '',
+  maxClicks: '',
+  createdFrom: '',
+  createdTo: '',
+  // 'broken' keeps destinations that failed their last health check. It has its
+  // own toggle on the page, so it isn't counted or cleared with the panel filters.
+  health: '',
+};
+
+// Fields that narrow the list, as opposed to sort fields
+const FILTER_FIELDS = ['groupId', 'expiry', 'minClicks', 'maxClicks', 'createdFrom', 'createdTo'];
+
+/**
+ * Number of filters in use, for the "Filters" button badge
+ * Click and date ranges count once each.
+ * @param {Object} filters - List filters
+ * @returns {number} Active filter count
+ */
+export const countActiveFilters = (filters) => {
+  let count = 0;
+  if (filters.groupId) count += 1;
+  if (filters.expiry) count += 1;
+  if (filters.minClicks !== '' || filters.maxClicks !== '') count += 1;
+  if (filters.createdFrom || filters.createdTo) count += 1;
+  return count;
+};
+
+/**
+ * Clear the narrowing filters but keep the sort order
+ * @param {Object} filters - List filters
+ * @returns {Object} Filters with every filter field reset
+ */
+export const clearListFilters = (filters) => ({
+  ...filters,
+  ...Object.fromEntries(FILTER_FIELDS.map(field => [field, DEFAULT_LIST_FILTERS[field]])),
+});
+
+/**
+ * Check the ranges before they are sent
+ * @param {Object} filters - List filters
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateListFilters = (filters) => {
+  const min = filters.minClicks === '' ? null : Number(filters.minClicks);
+  const max = filters.maxClicks === '' ? null : Number(filters.maxClicks);
+
+  if ((min !== null && (!Number.isInteger(min) || min < 0)) || (max !== null && (!Number.isInteger(max) || max < 0))) {
+    return 'Click counts must be whole numbers of 0 or more';
+  }
+  if (min !== null && max !== null && min > max) {
+    return 'The minimum click count is higher than the maximum';
+  }
+  if (filters.createdFrom && filters.createdTo && filters.createdFrom > filters.createdTo) {
+    return 'The creation start date is after the end date';
+  }
+  return null;
+};
+
+const nextDay = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const next = new Date(Date.UTC(year, month - 1, day + 1));
+  return next.toISOString().slice(0, 10);
+};
+
+/**
+ * API parameters for the list filters
+ * Invalid ranges are left out so a half-typed value never empties the list.
+ * @param {Object} filters - List filters
+ * @returns {Object} Parameters for urlService.getShortUrls
+ */
+export const toListQueryParams = (filters) => {
+  const params = { sortBy: filters.sortBy, sortOrder: filters.sortOrder };
+  if (filters.groupId) params.groupId = filters.groupId;
+  if (filters.expiry) params.expiry = filters.expiry;
+  if (filters.health) params.health = filters.health;
+  if (validateListFilters(filters)) return params;
+
+  if (filters.minClicks !== '') params.minClicks = Number(filters.minClicks);
+  if (filters.maxClicks !== '') params.maxClicks = Number(filters.maxClicks);
+  // createdTo is inclusive in the form; the API takes an exclusive upper bound
+  if (filters.createdFrom) params.createdAfter = convertInputToISO(`${filters.createdFrom}T00:00`);
+  if (filters.createdTo) params.createdBefore = convertInputToISO(`${nextDay(filters.createdTo)}T00:00`);
+  return params;
+};
@@ -0,0 +1,138 @@
+/**
+ * URL edit history utilities
+ * The backend records one history entry per change to a short URL, listing each
+ * field that changed with its old and new value. These helpers label and format
+ * those entries for the History tab of the edit modal.
+ */
+
+import { formatDisplayDate } from './timezone';
+
+// Tracked fields, in the order they are shown within an entry
+export const HISTORY_FIELDS = [
+  { field: 'name', label: 'Name' },
+  { field: 'originalUrl', label: 'Destination' },
+  { field: 'shortUrl', label: 'Slug' },
+  { field: 'groupId', label: 'Group' },
+  { field: 'activatesAt', label: 'Go-live date' },
+  { field: 'expiresAt', label: 'Expiry' },
+  { field: 'isActive', label: 'Status' },
+];
+
+const ACTION_LABELS = {
+  created: 'Created',
+  updated: 'Edited',
+  reverted: 'Reverted',
+  restored: 'Restored from Trash',
+};
+
+// Fields compared as text, so the diff can highlight just the part that changed
+const TEXT_FIELDS = ['name', 'originalUrl', 'shortUrl'];
+
+/**
+ * Label for a tracked field
+ * @param {string} field - Field name
+ * @returns {string} Label
+ */
+export const getFieldLabel = (field) => (
+  HISTORY_FIELDS.find(item => item.field === field)?.label || field
+);
+
+/**
+ * Whether a field's values are shown as a text diff
+ * @param {string} field - Field name
+ * @returns {boolean} True for free-text fields
+ */
+export const isTextField = (field) => TEXT_FIELDS.includes(field);
+
+/**
+ * Entry changes sorted into HISTORY_FIELDS order
+ * @param {Object} entry - History entry
+ * @returns {Array<Object>} [{ field, from, to }]
+ */
+export const getSortedChanges = (entry) => {
+  const position = (field) => {
+    const index = HISTORY_FIELDS.findIndex(item => item.field === field);
+    return index === -1 ? HISTORY_FIELDS.length : index;
+  };
+  return [...(entry.changes || [])].sort((a, b) => position(a.field) - position(b.field));
+};
+
+/**
+ * Display text for a recorded value
+ * @param {string} field - Field name
+ * @param {*} value - Recorded value
+ * @param {Array<Object>} groups - Known groups, to name group ids
+ * @returns {string} Display text
+ */
+export const formatHistoryValue = (field, value, groups = []) => {
+  if (field === 'isActive') return value ? 'Active' : 'Inactive';
+  if (value === null || value === undefined || value === '') {
+    if (field === 'expiresAt') return 'Never';
+    if (field === 'activatesAt') return 'Immediately';
+    if (field === 'groupId') return 'No group';
+    return '(empty)';
+  }
+  if (field === 'expiresAt' || field === 'activatesAt') return formatDisplayDate(value);
+  if (field === 'groupId') {
+    const id = value._id || value;
+    return value.name || groups.find(group => group._id === id)?.name || 'Deleted group';
+  }
+  return String(value);
+};
+
+/**
+ * One-line summary of an entry
+ * @param {Object} entry - History entry
+ * @returns {string} e.g. "Edited destination and expiry"
+ */
+export const describeHistoryEntry = (entry) => {
+  const action = ACTION_LABELS[entry.action] || 'Edited';
+  if (entry.action === 'created' || !entry.changes?.length) return action;
+
+  const labels = getSortedChanges(entry).map(change => getFieldLabel(change.field).toLowerCase());
+  const fields = labels.length > 1
+    ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+    : labels[0];
+  return `${action} ${fields}`;
+};
+
+/**
+ * Who made a change
+ * @param {Object} entry - History entry
+ * @returns {string} Name, email or a placeholder
+ */
+export const getEntryAuthor = (entry) => (
+  entry.changedBy?.name || entry.changedBy?.email || 'Unknown user'
+);
+
+/**
+ * Split two strings into their shared start and end and the differing middle
+ * @param {string} from - Old text
+ * @param {string} to - New text
+ * @returns {Object} { prefix, removed, added, suffix }
+ */
+export const diffText = (from, to) => {
+  const before = from || '';
+  const after = to || '';
+
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start += 1;
+  }
+
+  let end = 0;
+  while (
+    end < before.length - start
+    && end < after.length - start
+    && before[before.length - 1 - end] === after[after.length - 1 - end]
+  ) {
+    end += 1;
+  }
+
+  return {
+    prefix: before.slice(0, start),
+    removed: before.slice(start, before.length - end),
+    added: after.slice(start, after.length - end),
+    suffix: before.slice(before.length - end),
+  };
+};
@@ -0,0 +1,177 @@
+/**
+ * Bulk URL import helpers
+ * Maps spreadsheet columns to URL fields and validates each row before creation
+ */
+
+import { VALIDATION_RULES, validateField } from './validation';
+import { formatDateForInput, convertInputToISO } from './timezone';
+
+// Fields a spreadsheet column can be mapped to, with header names we recognise
+export const IMPORT_FIELDS = [
+  { key: 'name', label: 'Name', required: true, aliases: ['name', 'title', 'label', 'url name'] },
+  { key: 'originalUrl', label: 'Original URL', required: true, aliases: ['originalurl', 'original url', 'url', 'destination', 'long url', 'target'] },
+  { key: 'shortUrl', label: 'Short URL', required: false, aliases: ['shorturl', 'short url', 'slug', 'alias', 'custom slug'] },
+  { key: 'group', label: 'Group', required: false, aliases: ['group', 'group name', 'groupid', 'campaign'] },
+  { key: 'expiresAt', label: 'Expires At', required: false, aliases: ['expiresat', 'expires at', 'expiry', 'expires', 'expiration'] },
+];
+
+const normaliseHeader = (header) => String(header).toLowerCase().replace(/[_-]+/g, ' ').trim();
+
+/**
+ * Guess which column feeds each import field from the header names
+ * @param {string[]} headers - Header row of the spreadsheet
+ * @returns {Object} Map of field key to column index (or '' when not mapped)
+ */
+export const guessColumnMapping = (headers) => {
+  const normalised = headers.map(normaliseHeader);
+
+  return IMPORT_FIELDS.reduce((mapping, field) => {
+    const index = normalised.findIndex(header =>
+      field.aliases.includes(header) || field.aliases.includes(header.replace(/\s+/g, ''))
+    );
+    mapping[field.key] = index === -1 ? '' : index;
+    return mapping;
+  }, {});
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Convert a spreadsheet date cell to a datetime-local value in the user's timezone
+ * Dates without a timezone are taken as wall-clock time in that zone, like the create form
+ * @param {Date|string|number} value - Cell value
+ * @returns {string|null} YYYY-MM-DDTHH:MM, '' for an empty cell, or null if it cannot be read
+ */
+export const parseImportDate = (value) => {
+  if (value === '' || value === null || value === undefined) return '';
+
+  // SheetJS builds date cells from their local components, so read them back the same way
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}T${pad(value.getHours())}:${pad(value.getMinutes())}`;
+  }
+
+  const text = String(value).trim();
+  const match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s](\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?$/);
+  if (match) {
+    const [, year, month, day, hour = '0', minute = '0'] = match;
+    return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}`;
+  }
+
+  // Values carrying their own offset (e.g. ISO strings ending in Z) are converted to the user's timezone
+  if (/(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : formatDateForInput(date);
+  }
+
+  return null;
+};
+
+/**
+ * Find a group by id or by name (case-insensitive)
+ * @param {string} value - Group id or name from the spreadsheet
+ * @param {Array} groups - Groups owned by the user
+ * @returns {Object|null} Matching group or null
+ */
+export const findGroup = (value, groups) => {
+  const needle = String(value || '').trim().toLowerCase();
+  if (!needle) return null;
+  return groups.find(group =>
+    group._id === value || group.name?.trim().toLowerCase() === needle
+  ) || null;
+};
+
+/**
+ * Turn spreadsheet rows into editable import rows using a column mapping
+ * @param {Array<Array>} rows - Data rows of the spreadsheet
+ * @param {Object} mapping - Field key to column index
+ * @param {Array} groups - Groups owned by the user
+ * @returns {Array} Rows shaped like the create form: name, originalUrl, shortUrl, groupId, expiresAt
+ */
+export const mapRowsToUrls = (rows, mapping, groups) => {
+  const cell = (row, key) => (mapping[key] === '' ? '' : row[mapping[key]] ?? '');
+
+  return rows.map((row, index) => {
+    const groupValue = String(cell(row, 'group')).trim();
+    const group = findGroup(groupValue, groups);
+    const expiresAt = parseImportDate(cell(row, 'expiresAt'));
+
+    return {
+      rowId: `row-${index}`,
+      sourceRow: index + 2, // +1 for the header row, +1 for 1-based numbering
+      name: String(cell(row, 'name')).trim(),
+      originalUrl: String(cell(row, 'originalUrl')).trim(),
+      shortUrl: String(cell(row, 'shortUrl')).trim(),
+      groupId: group ? group._id : '',
+      // Remember what the sheet said so an unknown group can be reported
+      unmatchedGroup: groupValue && !group ? groupValue : '',
+      expiresAt: expiresAt === null ? '' : expiresAt,
+      invalidExpiry: expiresAt === null ? String(cell(row, 'expiresAt')) : '',
+      status: 'pending',
+      message: null,
+    };
+  });
+};
+
+/**
+ * Validate a single import row
+ * @param {Object} row - Import row
+ * @param {Set<string>} duplicateSlugs - Short URLs used by more than one row
+ * @returns {Object} Field errors keyed by field name (empty when valid)
+ */
+export const validateImportRow = (row, duplicateSlugs = new Set()) => {
+  const errors = {};
+
+  if (!row.name.trim()) {
+    errors.name = 'URL name is required';
+  }
+
+  const urlError = validateField('originalUrl', row.originalUrl, VALIDATION_RULES.url);
+  if (urlError) {
+    errors.originalUrl = urlError;
+  }
+
+  if (row.shortUrl) {
+    const slugError = validateField('shortUrl', row.shortUrl, VALIDATION_RULES.slug);
+    if (slugError) {
+      errors.shortUrl = slugError;
+    } else if (duplicateSlugs.has(row.shortUrl)) {
+      errors.shortUrl = 'Short URL is used by another row in this file';
+    }
+  }
+
+  if (row.unmatchedGroup && !row.groupId) {
+    errors.groupId = `Unknown group "${row.unmatchedGroup}"`;
+  }
+
+  if (row.invalidExpiry && !row.expiresAt) {
+    errors.expiresAt = `Could not read date "${row.invalidExpiry}"`;
+  } else if (row.expiresAt) {
+    const expiresAtISO = convertInputToISO(row.expiresAt);
+    if (!expiresAtISO || new Date(expiresAtISO) <= new Date()) {
+      errors.expiresAt = 'Expiration must be in the future';
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Collect short URLs that appear on more than one row
+ * @param {Array} rows - Import rows
+ * @returns {Set<string>} Duplicated short URLs
+ */
+export const findDuplicateSlugs = (rows) => {
+  const seen = new Set();
+  const duplicates = new Set();
+
+  rows.forEach(row => {
+    if (!row.shortUrl) return;
+    if (seen.has(row.shortUrl)) {
+      duplicates.add(row.shortUrl);
+    }
+    seen.add(row.shortUrl);
+  });
+
+  return duplicates;
+};
@@ -0,0 +1,119 @@
+/**
+ * URL list query-string utilities
+ * The URLs page keeps its search, filters, sort and page in the address bar so
+ * refreshes, shared links and back/forward navigation show the same list.
+ * Defaults are left out to keep links short.
+ */
+
+import { SCHEDULE_FILTERS } from './linkSchedule';
+import { TAG_MATCH_MODES } from './tags';
+import { SORT_OPTIONS, EXPIRY_FILTERS, DEFAULT_LIST_FILTERS } from './urlFilters';
+
+// Query parameter names for the list filters; modal parameters live alongside them
+const LIST_FILTER_PARAMS = ['groupId', 'expiry', 'minClicks', 'maxClicks', 'createdFrom', 'createdTo', 'health'];
+const LIST_PARAMS = ['q', 'inactive', 'schedule', 'tags', 'tagMatch', 'sort', 'order', 'page', ...LIST_FILTER_PARAMS];
+
+const oneOf = (value, options, fallback) => (
+  options.some(option => option.value === value) ? value : fallback
+);
+
+const isCount = (value) => /^\d+$/.test(value);
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+/**
+ * Read the list state from the query string, ignoring values that don't make sense
+ * @param {URLSearchParams} searchParams - Current query string
+ * @returns {Object} { searchTerm, showInactive, scheduleFilter, tagFilter, listFilters }
+ */
+export const parseUrlListParams = (searchParams) => {
+  const get = (name) => searchParams.get(name) || '';
+  const minClicks = get('minClicks');
+  const maxClicks = get('maxClicks');
+  const createdFrom = get('createdFrom');
+  const createdTo = get('createdTo');
+
+  return {
+    searchTerm: get('q'),
+    showInactive: get('inactive') === '1',
+    scheduleFilter: oneOf(get('schedule'), SCHEDULE_FILTERS, ''),
+    tagFilter: {
+      tagIds: get('tags').split(',').filter(Boolean),
+      match: oneOf(get('tagMatch'), TAG_MATCH_MODES, 'any'),
+    },
+    listFilters: {
+      sortBy: oneOf(get('sort'), SORT_OPTIONS, DEFAULT_LIST_FILTERS.sortBy),
+      sortOrder: get('order') === 'asc' ? 'asc' : DEFAULT_LIST_FILTERS.sortOrder,
+      groupId: get('groupId'),
+      expiry: oneOf(get('expiry'), EXPIRY_FILTERS, ''),
+      minClicks: isCount(minClicks) ? minClicks : '',
+      maxClicks: isCount(maxClicks) ? maxClicks : '',
+      createdFrom: isDate(createdFrom) ? createdFrom : '',
+      createdTo: isDate(createdTo) ? createdTo : '',
+      health: get('health') === 'broken' ? 'broken' : '',
+    },
+  };
+};
+
+/**
+ * Current page number from the query string
+ * @param {URLSearchParams} searchParams - Current query string
+ * @returns {number} Page, 1 or more
+ */
+export const parsePageParam = (searchParams) => {
+  const page = Number(searchParams.get('page'));
+  return Number.isInteger(page) && page > 1 ? page : 1;
+};
+
+/**
+ * List layout from the query string
+ * @param {URLSearchParams} searchParams - Current query string
+ * @returns {string} 'table' or 'cards'
+ */
+export const parseViewParam = (searchParams) => (
+  searchParams.get('view') === 'table' ? 'table' : 'cards'
+);
+
+/**
+ * Write the list state into a query string, keeping unrelated parameters
+ * The page is dropped because a changed list starts again from page 1.
+ * @param {URLSearchParams} searchParams - Current query string
+ * @param {Object} state - { searchTerm, showInactive, scheduleFilter, tagFilter, listFilters }
+ * @returns {URLSearchParams} New query string
+ */
+export const buildUrlListParams = (searchParams, state) => {
+  const next = new URLSearchParams(searchParams);
+  LIST_PARAMS.forEach(name => next.delete(name));
+
+  const { searchTerm, showInactive, scheduleFilter, tagFilter, listFilters } = state;
+  if (searchTerm) next.set('q', searchTerm);
+  if (showInactive) next.set('inactive', '1');
+  if (scheduleFilter) next.set('schedule', scheduleFilter);
+  if (tagFilter.tagIds.length) {
+    next.set('tags', tagFilter.tagIds.join(','));
+    if (tagFilter.match !== 'any') next.set('tagMatch', tagFilter.match);
+  }
+  if (listFilters.sortBy !== DEFAULT_LIST_FILTERS.sortBy) next.set('sort', listFilters.sortBy);
+  if (listFilters.sortOrder !== DEFAULT_LIST_FILTERS.sortOrder) next.set('order', listFilters.sortOrder);
+  LIST_FILTER_PARAMS.forEach(name => {
+    if (listFilters[name] !== '') next.set(name, listFilters[name]);
+  });
+
+  return next;
+};
+
+/**
+ * Set or clear a single query parameter, e.g. the open modal
+ * @param {URLSearchParams} searchParams - Current query string
+ * @param {string} name - Parameter name
+ * @param {string|number|null} value - New value; empty values remove the parameter
+ * @returns {URLSearchParams} New query string
+ */
+export const withSearchParam = (searchParams, name, value) => {
+  const next = new URLSearchParams(searchParams);
+  if (value === null || value === undefined || value === '') {
+    next.delete(name);
+  } else {
+    next.set(name, String(value));
+  }
+  return next;
+};
@@ -0,0 +1,186 @@
+/**
+ * Destination screening utilities
+ * Every new destination a link can send visitors to (main URL, click-cap fallback,
+ * A/B variants, routing rules) is checked by the backend against the workspace
+ * blocklist and phishing/malware lists before it is saved. Workspace policy decides
+ * whether a hit blocks the link or only warns. The hostname checks here also
+ * back VALIDATION_RULES.url, so obvious lookalike and IP-address destinations are
+ * caught while typing.
+ */
+
+export const SCREENING_REASONS = {
+  blocklist: 'On the workspace blocklist',
+  phishing: 'Reported as phishing',
+  malware: 'Reported as distributing malware',
+  homograph: 'Lookalike hostname',
+  unavailable: "Screening is unavailable right now, so this destination hasn't been checked",
+};
+
+const VERDICT_ORDER = ['allow', 'warn', 'block'];
+
+// Cyrillic and Greek letters that are hard to tell from Latin ones
+const CONFUSABLE_LETTERS = /^[аеорсухіјѕԁһӏԛԝьѵοαικνρυχ]+$/u;
+
+const LATIN = /[a-zÀ-ɏ]/u;
+const CYRILLIC = /\p{Script=Cyrillic}/u;
+const GREEK = /\p{Script=Greek}/u;
+
+// Punycode (RFC 3492) parameters
+const BASE = 36;
+const TMIN = 1;
+const TMAX = 26;
+const SKEW = 38;
+const DAMP = 700;
+
+const adaptBias = (delta, numPoints, firstTime) => {
+  let scaled = firstTime ? Math.floor(delta / DAMP) : Math.floor(delta / 2);
+  scaled += Math.floor(scaled / numPoints);
+  let k = 0;
+  while (scaled > ((BASE - TMIN) * TMAX) / 2) {
+    scaled = Math.floor(scaled / (BASE - TMIN));
+    k += BASE;
+  }
+  return k + Math.floor(((BASE - TMIN + 1) * scaled) / (scaled + SKEW));
+};
+
+const digitValue = (char) => {
+  if (char >= '0' && char <= '9') return char.charCodeAt(0) - 22;
+  if (char >= 'a' && char <= 'z') return char.charCodeAt(0) - 97;
+  return -1;
+};
+
+/**
+ * Decode the part of an IDN label after "xn--"
+ * Browsers show these labels in their Unicode form, which is what a visitor sees.
+ * @param {string} input - Encoded label without the "xn--" prefix
+ * @returns {string|null} Unicode label, or null if the encoding is invalid
+ */
+const decodePunycode = (input) => {
+  const basicEnd = input.lastIndexOf('-');
+  const output = [...input.slice(0, Math.max(basicEnd, 0))].map(char => char.charCodeAt(0));
+  let n = 128;
+  let bias = 72;
+  let i = 0;
+
+  for (let index = basicEnd + 1; index < input.length;) {
+    const oldi = i;
+    for (let w = 1, k = BASE; ; k += BASE) {
+      if (index >= input.length) return null;
+      const digit = digitValue(input[index++]);
+      if (digit < 0) return null;
+      i += digit * w;
+      const t = k <= bias ? TMIN : k >= bias + TMAX ? TMAX : k - bias;
+      if (digit < t) break;
+      w *= BASE - t;
+    }
+    bias = adaptBias(i - oldi, output.length + 1, oldi === 0);
+    n += Math.floor(i / (output.length + 1));
+    if (n > 0x10ffff) return null;
+    i %= output.length + 1;
+    output.splice(i, 0, n);
+    i += 1;
+  }
+
+  return String.fromCodePoint(...output);
+};
+
+/**
+ * Hostname as typed, before the browser converts it to punycode
+ * @param {string} value - URL entered by the user
+ * @returns {string} Lowercase hostname, or '' if there isn't one
+ */
+const getTypedHostname = (value) => {
+  const match = /^https?:\/\/([^/?#]+)/i.exec(value || '');
+  if (!match) return '';
+  const authority = match[1].slice(match[1].lastIndexOf('@') + 1);
+  return authority.replace(/:\d*$/, '').toLowerCase();
+};
+
+/**
+ * Check whether a hostname label would fool a visitor
+ * Flags labels that mix Latin, Cyrillic and Greek letters, and labels made
+ * entirely of Cyrillic or Greek letters that look like Latin ones.
+ * @param {string} label - Unicode hostname label
+ * @returns {boolean} True if the label is a likely homograph
+ */
+const isHomographLabel = (label) => {
+  const scripts = [LATIN, CYRILLIC, GREEK].filter(script => script.test(label)).length;
+  if (scripts > 1) return true;
+  if (!CYRILLIC.test(label) && !GREEK.test(label)) return false;
+  return CONFUSABLE_LETTERS.test(label.replace(/[\d-]/g, ''));
+};
+
+/**
+ * Check whether a URL's hostname is a lookalike of a Latin one
+ * Works on both the Unicode form and the "xn--" punycode form.
+ * @param {string} value - URL to check
+ * @returns {boolean} True if the hostname looks like a homograph attack
+ */
+export const isHomographHost = (value) => {
+  const hostname = getTypedHostname(value);
+  return hostname.split('.').some(label => {
+    const unicode = label.startsWith('xn--') ? decodePunycode(label.slice(4)) : label;
+    return Boolean(unicode) && isHomographLabel(unicode);
+  });
+};
+
+/**
+ * Check whether a URL points at an IP address instead of a domain
+ * The URL parser turns shorthand forms such as http://3232235777 into dotted IPv4.
+ * @param {string} value - URL to check
+ * @returns {boolean} True for IPv4 and IPv6 literals
+ */
+export const isIpLiteralHost = (value) => {
+  try {
+    const { hostname } = new URL(value);
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith('[');
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Reason text for a screening hit
+ * @param {Object} reason - { type, message } from the screening endpoint
+ * @returns {string} Message from the backend, or a generic one for its type
+ */
+export const describeScreeningReason = (reason) => (
+  reason.message || SCREENING_REASONS[reason.type] || 'Flagged by screening'
+);
+
+/**
+ * Every destination a URL or URL form sends visitors to
+ * @param {Object} source - URL object or form data
+ * @returns {string[]} Distinct trimmed destinations, main URL first
+ */
+export const getLinkDestinations = (source) => [...new Set([
+  source.originalUrl,
+  ...(source.maxClicks && source.capAction === 'redirect' ? [source.capFallbackUrl] : []),
+  ...(source.variants || []).map(variant => variant.destination),
+  ...(source.routingRules || []).map(rule => rule.destination),
+].map(destination => (destination || '').trim()).filter(Boolean))];
+
+/**
+ * Merge the screening results for several destinations
+ * @param {Array} results - [{ destination, verdict, reasons }]
+ * @returns {Object} { destinations, verdict, reasons } with the strictest verdict and
+ *   each reason tagged with its destination
+ */
+export const combineScreeningResults = (results) => ({
+  destinations: results.map(result => result.destination),
+  verdict: results.reduce(
+    (worst, result) => (VERDICT_ORDER.indexOf(result.verdict) > VERDICT_ORDER.indexOf(worst) ? result.verdict : worst),
+    'allow'
+  ),
+  reasons: results.flatMap(result => result.reasons.map(reason => ({ ...reason, destination: result.destination }))),
+});
+
+/**
+ * Whether a screening result still applies to the destinations in the form
+ * @param {Object|null} result - { destinations, verdict, reasons }
+ * @param {string[]} destinations - Destinations the form would save now
+ * @returns {boolean} True if the result was for exactly these destinations
+ */
+export const isScreeningCurrent = (result, destinations) => (
+  Boolean(result) && result.destinations.join('\n') === destinations.join('\n')
+);
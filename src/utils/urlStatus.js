@@ -0,0 +1,26 @@
+/**
+ * URL status utilities
+ * Shared by the card grid and the table view so both label links the same way.
+ */
+
+import { getScheduleState } from './linkSchedule';
+import { isCapReached } from './clickCap';
+
+export const STATUS_BADGES = {
+  active: { label: 'Active', className: 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400' },
+  inactive: { label: 'Inactive', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-400' },
+  scheduled: { label: 'Scheduled', className: 'bg-blue-100 text-blue-800 dark:bg-blue-900/20 dark:text-blue-400' },
+  capReached: { label: 'Limit reached', className: 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400' },
+};
+
+/**
+ * Current status of a URL, as a STATUS_BADGES key
+ * A link that used up its clicks is reported separately from one switched off by hand.
+ * @param {Object} url - URL object
+ * @returns {string} 'capReached', 'inactive', 'scheduled' or 'active'
+ */
+export const getUrlStatus = (url) => {
+  if (isCapReached(url)) return 'capReached';
+  if (!url.isActive) return 'inactive';
+  return getScheduleState(url) === 'scheduled' ? 'scheduled' : 'active';
+};
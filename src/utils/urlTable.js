@@ -0,0 +1,130 @@
+/**
+ * URL table layout utilities
+ * The table view lets users resize, reorder and hide its columns. The layout is kept
+ * in localStorage per user, like saved views, and checked against the current
+ * column list so columns added later still show up.
+ */
+
+export const URL_TABLE_COLUMNS = [
+  { key: 'name', label: 'Name', width: 200, minWidth: 120 },
+  { key: 'shortLink', label: 'Short link', width: 240, minWidth: 140 },
+  { key: 'destination', label: 'Destination', width: 280, minWidth: 140 },
+  { key: 'group', label: 'Group', width: 140, minWidth: 90 },
+  { key: 'clicks', label: 'Clicks', width: 90, minWidth: 70 },
+  { key: 'created', label: 'Created', width: 130, minWidth: 100 },
+  { key: 'expires', label: 'Expires', width: 170, minWidth: 100 },
+  { key: 'status', label: 'Status', width: 130, minWidth: 100 },
+  { key: 'health', label: 'Health', width: 150, minWidth: 100 },
+];
+
+const MAX_COLUMN_WIDTH = 640;
+
+const storageKey = (userId) => `urlTableLayout:${userId || 'anonymous'}`;
+
+const findColumn = (key) => URL_TABLE_COLUMNS.find(column => column.key === key);
+
+/**
+ * Layout with every column shown in its default order and width
+ * @returns {Object} { order, widths, hidden }
+ */
+export const getDefaultTableLayout = () => ({
+  order: URL_TABLE_COLUMNS.map(column => column.key),
+  widths: Object.fromEntries(URL_TABLE_COLUMNS.map(column => [column.key, column.width])),
+  hidden: [],
+});
+
+/**
+ * Clamp a width to what a column allows
+ * @param {string} key - Column key
+ * @param {number} width - Requested width in pixels
+ * @returns {number} Allowed width
+ */
+const clampWidth = (key, width) => (
+  Math.round(Math.min(MAX_COLUMN_WIDTH, Math.max(findColumn(key).minWidth, width)))
+);
+
+/**
+ * Read the user's table layout, falling back to defaults for anything missing
+ * @param {string} userId - Current user id
+ * @returns {Object} { order, widths, hidden }
+ */
+export const loadTableLayout = (userId) => {
+  const defaults = getDefaultTableLayout();
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey(userId)) || 'null');
+    if (!stored) return defaults;
+
+    const storedOrder = Array.isArray(stored.order) ? stored.order.filter(key => findColumn(key)) : [];
+    const order = [...new Set([...storedOrder, ...defaults.order])];
+    const widths = Object.fromEntries(order.map(key => {
+      const width = Number(stored.widths?.[key]);
+      return [key, Number.isFinite(width) ? clampWidth(key, width) : defaults.widths[key]];
+    }));
+    const storedHidden = Array.isArray(stored.hidden) ? stored.hidden.filter(key => findColumn(key)) : [];
+    // At least one column always stays visible
+    const hidden = storedHidden.length < order.length ? [...new Set(storedHidden)] : [];
+    return { order, widths, hidden };
+  } catch {
+    return defaults;
+  }
+};
+
+/**
+ * Persist the user's table layout
+ * @param {string} userId - Current user id
+ * @param {Object} layout - { order, widths, hidden }
+ */
+export const storeTableLayout = (userId, layout) => {
+  localStorage.setItem(storageKey(userId), JSON.stringify(layout));
+};
+
+/**
+ * Move a column to where another one is
+ * @param {Object} layout - Current layout
+ * @param {string} fromKey - Column being moved
+ * @param {string} toKey - Column it was dropped on
+ * @returns {Object} Updated layout
+ */
+export const moveColumn = (layout, fromKey, toKey) => {
+  if (fromKey === toKey) return layout;
+  const order = layout.order.filter(key => key !== fromKey);
+  order.splice(layout.order.indexOf(toKey), 0, fromKey);
+  return { ...layout, order };
+};
+
+/**
+ * Change a column's width
+ * @param {Object} layout - Current layout
+ * @param {string} key - Column key
+ * @param {number} width - Requested width in pixels
+ * @returns {Object} Updated layout
+ */
+export const resizeColumn = (layout, key, width) => ({
+  ...layout,
+  widths: { ...layout.widths, [key]: clampWidth(key, width) },
+});
+
+/**
+ * Show or hide a column; the last visible column can't be hidden
+ * @param {Object} layout - Current layout
+ * @param {string} key - Column key
+ * @returns {Object} Updated layout
+ */
+export const toggleColumn = (layout, key) => {
+  if (layout.hidden.includes(key)) {
+    return { ...layout, hidden: layout.hidden.filter(hiddenKey => hiddenKey !== key) };
+  }
+  if (layout.hidden.length >= layout.order.length - 1) return layout;
+  return { ...layout, hidden: [...layout.hidden, key] };
+};
+
+/**
+ * Visible column definitions in the layout's order
+ * @param {Object} layout - Current layout
+ * @returns {Array<Object>} Columns with their current width
+ */
+export const getOrderedColumns = (layout) => (
+  layout.order
+    .filter(key => !layout.hidden.includes(key))
+    .map(key => ({ ...findColumn(key), width: layout.widths[key] }))
+);
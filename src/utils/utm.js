@@ -0,0 +1,158 @@
+/**
+ * UTM utilities
+ * Build campaign-tagged destinations by merging utm_* parameters into the
+ * query string a destination already has. Templates are stored per group.
+ */
+
+export const UTM_FIELDS = [
+  { key: 'source', param: 'utm_source', label: 'Source', placeholder: 'newsletter' },
+  { key: 'medium', param: 'utm_medium', label: 'Medium', placeholder: 'email' },
+  { key: 'campaign', param: 'utm_campaign', label: 'Campaign', placeholder: 'spring_sale' },
+  { key: 'term', param: 'utm_term', label: 'Term', placeholder: 'running+shoes' },
+  { key: 'content', param: 'utm_content', label: 'Content', placeholder: 'header_link' },
+];
+
+export const EMPTY_UTM = { source: '', medium: '', campaign: '', term: '', content: '' };
+
+const parseUrl = (url) => {
+  try {
+    return new URL(url.trim());
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Whether UTM parameters can be added to a destination
+ * @param {string} url - Destination URL
+ * @returns {boolean} True for an absolute http(s) URL
+ */
+export const canApplyUtm = (url) => {
+  const parsed = parseUrl(url);
+  return Boolean(parsed && (parsed.protocol === 'http:' || parsed.protocol === 'https:'));
+};
+
+/**
+ * Keep UTM values consistent so reports don't split on case or stray spaces
+ * @param {string} value - Raw value
+ * @returns {string} Trimmed, lower-cased value with inner whitespace collapsed
+ */
+export const normalizeUtmValue = (value) => value.trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Read the UTM values already on a destination
+ * @param {string} url - Destination URL
+ * @returns {Object} { source, medium, campaign, term, content }
+ */
+export const parseUtmParams = (url) => {
+  const parsed = parseUrl(url);
+  if (!parsed) return { ...EMPTY_UTM };
+
+  return Object.fromEntries(
+    UTM_FIELDS.map(field => [field.key, parsed.searchParams.get(field.param) || ''])
+  );
+};
+
+// Only fields the user filled in or cleared are applied; the rest stay as the destination has them
+const editedFields = (values) => UTM_FIELDS.filter(field => field.key in values);
+
+// Decoded name of a raw "name=value" query pair
+const pairName = (pair) => {
+  const name = pair.split('=')[0].replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(name);
+  } catch {
+    return name;
+  }
+};
+
+/**
+ * Merge UTM values into a destination, keeping its other query parameters and hash
+ * Only utm_* pairs are added, replaced or removed. Every other pair and the hash are
+ * kept exactly as written, since re-encoding them can break signed URLs.
+ * Empty values remove the matching utm_* parameter. Fields missing from values
+ * are left untouched.
+ * @example
+ * applyUtmParams('https://ex.com/p?q=a%20b&next=/x/y&flag&sig=abc%2Bdef#h', { source: 'news' })
+ * // => 'https://ex.com/p?q=a%20b&next=/x/y&flag&sig=abc%2Bdef&utm_source=news#h'
+ * @param {string} url - Destination URL
+ * @param {Object} values - Edited values, any of { source, medium, campaign, term, content }
+ * @returns {string} Destination with encoded UTM parameters
+ */
+export const applyUtmParams = (url, values) => {
+  if (!parseUrl(url)) return url;
+
+  const trimmed = url.trim();
+  const hashIndex = trimmed.indexOf('#');
+  const beforeHash = hashIndex === -1 ? trimmed : trimmed.slice(0, hashIndex);
+  const hash = hashIndex === -1 ? '' : trimmed.slice(hashIndex);
+  const queryIndex = beforeHash.indexOf('?');
+  const base = queryIndex === -1 ? beforeHash : beforeHash.slice(0, queryIndex);
+  let pairs = queryIndex === -1 || queryIndex === beforeHash.length - 1
+    ? []
+    : beforeHash.slice(queryIndex + 1).split('&');
+
+  editedFields(values).forEach(field => {
+    const value = normalizeUtmValue(values[field.key] || '');
+    const isParam = (pair) => pairName(pair) === field.param;
+    if (!value) {
+      pairs = pairs.filter(pair => !isParam(pair));
+      return;
+    }
+
+    const encoded = `${field.param}=${encodeURIComponent(value)}`;
+    const firstIndex = pairs.findIndex(isParam);
+    if (firstIndex === -1) {
+      pairs.push(encoded);
+      return;
+    }
+    // Repeats of the parameter collapse into the first one
+    pairs = pairs.flatMap((pair, index) => {
+      if (index === firstIndex) return [encoded];
+      return isParam(pair) ? [] : [pair];
+    });
+  });
+
+  return `${base}${pairs.length ? `?${pairs.join('&')}` : ''}${hash}`;
+};
+
+/**
+ * utm_* parameters on the destination that applying the builder would change
+ * Covers parameters that would be replaced, removed because their field was
+ * cleared, or collapsed because they are repeated in the query string.
+ * @param {string} url - Destination URL
+ * @param {Object} values - Edited values, as for applyUtmParams
+ * @returns {Array<Object>} [{ param, existing: string[], next, action: 'replace' | 'remove' | 'dedupe' }]
+ */
+export const findUtmConflicts = (url, values) => {
+  const parsed = parseUrl(url);
+  if (!parsed) return [];
+
+  return editedFields(values).flatMap(field => {
+    const existing = parsed.searchParams.getAll(field.param);
+    const next = normalizeUtmValue(values[field.key] || '');
+    if (existing.length === 0) return [];
+
+    if (!next) return [{ param: field.param, existing, next, action: 'remove' }];
+    if (existing.some(value => value !== next)) return [{ param: field.param, existing, next, action: 'replace' }];
+    return existing.length > 1 ? [{ param: field.param, existing, next, action: 'dedupe' }] : [];
+  });
+};
+
+/**
+ * Whether any UTM value is filled in
+ * @param {Object} values - Builder values
+ * @returns {boolean} True if at least one value is set
+ */
+export const hasUtmValues = (values) => UTM_FIELDS.some(field => values[field.key]?.trim());
+
+/**
+ * Template as stored on the group
+ * @param {string} name - Template name
+ * @param {Object} values - Builder values
+ * @returns {Object} { name, source, medium, campaign, term, content }
+ */
+export const toUtmTemplate = (name, values) => ({
+  name: name.trim(),
+  ...Object.fromEntries(UTM_FIELDS.map(field => [field.key, normalizeUtmValue(values[field.key] || '')])),
+});
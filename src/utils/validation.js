@@ -3,6 +3,33 @@
  * Provides consistent validation rules and error messages
  */
 
+import { isHomographHost, isIpLiteralHost } from './urlScreening';
+
+// App routes from App.jsx, plus paths the backend and hosting serve, so a short
+// link can never shadow a page of the app
+export const RESERVED_SLUGS = [
+  'api',
+  'login',
+  'logout',
+  'register',
+  'signup',
+  'dashboard',
+  'urls',
+  'groups',
+  'tags',
+  'domains',
+  'trash',
+  'profile',
+  'settings',
+  'admin',
+  'forgot-password',
+  'reset-password',
+  'google-oauth-complete',
+  'assets',
+  'static',
+  'health',
+];
+
 // Validation rules
 export const VALIDATION_RULES = {
   // Name validation
@@ -69,23 +96,54 @@ export const VALIDATION_RULES = {
   url: {
     required: true,
     pattern: /^https?:\/\/.+/,
+    // Each check passes when it returns true; its message uses the same key
+    checks: {
+      ipLiteral: (value) => !isIpLiteralHost(value),
+      homograph: (value) => !isHomographHost(value)
+    },
     messages: {
       required: 'URL is required',
-      pattern: 'Please enter a valid URL starting with http:// or https://'
+      pattern: 'Please enter a valid URL starting with http:// or https://',
+      ipLiteral: 'Please use a domain name rather than an IP address',
+      homograph: 'The domain mixes lookalike letters from different alphabets, a common phishing trick'
     }
   },
 
-  // Custom slug validation
-  slug: {
+  // Access password for a protected short link
+  linkPassword: {
     required: true,
-    pattern: /^[a-z0-9-]+$/,
+    minLength: 8,
+    maxLength: 128,
+    messages: {
+      required: 'Enter a password for this link',
+      minLength: 'Link password must be at least 8 characters',
+      maxLength: 'Link password cannot exceed 128 characters'
+    }
+  },
+
+  // Hint shown to visitors of a protected link
+  passwordHint: {
+    required: false,
+    maxLength: 100,
+    messages: {
+      maxLength: 'Password hint cannot exceed 100 characters'
+    }
+  },
+
+  // Custom slug for a short link; empty means one is generated
+  slug: {
+    required: false,
+    pattern: /^[A-Za-z0-9_-]+$/,
     minLength: 3,
     maxLength: 50,
+    checks: {
+      reserved: (value) => !RESERVED_SLUGS.includes(value.toLowerCase())
+    },
     messages: {
-      required: 'Slug is required',
-      pattern: 'Slug can only contain lowercase letters, numbers, and hyphens',
-      minLength: 'Slug must be at least 3 characters',
-      maxLength: 'Slug cannot exceed 50 characters'
+      pattern: 'Custom short URL can only contain letters, numbers, hyphens, and underscores',
+      minLength: 'Custom short URL must be at least 3 characters',
+      maxLength: 'Custom short URL cannot exceed 50 characters',
+      reserved: 'This short URL is reserved for the app. Choose another one.'
     }
   }
 };
@@ -129,6 +187,12 @@ export const validateField = (fieldName, value, rules = null) => {
     return fieldRules.messages.pattern;
   }
 
+  // Custom checks
+  const failedCheck = Object.keys(fieldRules.checks || {}).find(name => !fieldRules.checks[name](value));
+  if (failedCheck) {
+    return fieldRules.messages[failedCheck];
+  }
+
   return null; // Field is valid
 };
 
@@ -242,6 +306,40 @@ export const getPasswordStrength = (password) => {
   };
 };
 
+// Lowest getPasswordStrength score accepted for link passwords ('medium')
+export const LINK_PASSWORD_MIN_SCORE = 3;
+
+/**
+ * Validate a short-link access password and its hint
+ * Uses the same strength scoring as account passwords, with a lower bar since
+ * link passwords are shared with visitors.
+ * @param {string} password - Password to check
+ * @param {string} hint - Optional hint shown to visitors
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateLinkPassword = (password, hint = '') => {
+  const error = validateField('linkPassword', password);
+  if (error) {
+    return error;
+  }
+
+  const { score, feedback } = getPasswordStrength(password);
+  if (score < LINK_PASSWORD_MIN_SCORE) {
+    return `Link password is too weak: ${feedback.join(', ')}`;
+  }
+
+  const hintError = validateField('passwordHint', hint);
+  if (hintError) {
+    return hintError;
+  }
+
+  if (hint && hint.toLowerCase().includes(password.toLowerCase())) {
+    return 'The hint must not contain the password';
+  }
+
+  return null;
+};
+
 /**
  * Sanitize input value
  * @param {string} value - Value to sanitize
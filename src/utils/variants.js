@@ -0,0 +1,140 @@
+/**
+ * A/B variant utilities
+ * A short URL can split its traffic between weighted destination variants.
+ * Weights are whole percentages that add up to 100.
+ */
+
+import { validateField, VALIDATION_RULES } from './validation';
+
+export const MAX_VARIANTS = 5;
+
+const VARIANT_LABELS = ['A', 'B', 'C', 'D', 'E'];
+
+let nextVariantId = 1;
+
+/**
+ * Create a variant for the editor
+ * @param {Object} values - Initial { label, destination, weight }
+ * @returns {Object} Variant with a client-side key
+ */
+export const createVariant = (values = {}) => ({
+  key: `variant-${nextVariantId++}`,
+  label: '',
+  destination: '',
+  weight: 0,
+  ...values,
+});
+
+/**
+ * Split 100% as evenly as possible, giving any remainder to the first variants
+ * @param {Array<Object>} variants - Variants to reweight
+ * @returns {Array<Object>} Variants with updated weights
+ */
+export const distributeWeights = (variants) => {
+  const base = Math.floor(100 / variants.length);
+  const remainder = 100 - base * variants.length;
+  return variants.map((variant, index) => ({ ...variant, weight: base + (index < remainder ? 1 : 0) }));
+};
+
+/**
+ * Start an A/B test from the link's current destination
+ * @param {string} originalUrl - Current destination, used as variant A
+ * @returns {Array<Object>} Two evenly weighted variants
+ */
+export const startVariants = (originalUrl) => distributeWeights([
+  createVariant({ label: 'A', destination: originalUrl }),
+  createVariant({ label: 'B' }),
+]);
+
+/**
+ * Next unused default label (A-E)
+ * @param {Array<Object>} variants - Existing variants
+ * @returns {string} Label for a new variant
+ */
+export const nextVariantLabel = (variants) => (
+  VARIANT_LABELS.find(label => !variants.some(variant => variant.label === label)) || ''
+);
+
+/**
+ * Prepare variants from the API for editing
+ * @param {Array<Object>} variants - Variants as stored on the URL
+ * @returns {Array<Object>} Variants with client-side keys
+ */
+export const toEditableVariants = (variants) => (
+  Array.isArray(variants) ? variants.map(variant => createVariant(variant)) : []
+);
+
+/**
+ * Strip editor-only state from variants before saving
+ * @param {Array<Object>} variants - Variants from the editor
+ * @returns {Array<Object>} [{ _id, label, destination, weight }]
+ */
+export const toVariantsPayload = (variants) => variants.map(({ _id, label, destination, weight }) => ({
+  ...(_id ? { _id } : {}),
+  label: label.trim(),
+  destination: destination.trim(),
+  weight: Number(weight),
+}));
+
+/**
+ * Sum of variant weights
+ * @param {Array<Object>} variants - Variants
+ * @returns {number} Total weight in percent
+ */
+export const getTotalWeight = (variants) => (
+  variants.reduce((sum, variant) => sum + (Number(variant.weight) || 0), 0)
+);
+
+/**
+ * Validate variants; an empty list means the link has no A/B test
+ * @param {Array<Object>} variants - Variants from the editor
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateVariants = (variants) => {
+  if (variants.length === 0) return null;
+  if (variants.length === 1) return 'An A/B test needs at least two variants';
+
+  for (const variant of variants) {
+    const name = `Variant ${variant.label || '(unnamed)'}`;
+    if (!variant.label.trim()) return 'Give every variant a label';
+
+    const urlError = validateField('url', variant.destination.trim(), VALIDATION_RULES.url);
+    if (urlError) return `${name}: ${urlError}`;
+
+    const weight = Number(variant.weight);
+    if (!Number.isInteger(weight) || weight < 0 || weight > 100) {
+      return `${name}: weight must be a whole number from 0 to 100`;
+    }
+  }
+
+  const labels = variants.map(variant => variant.label.trim().toLowerCase());
+  if (new Set(labels).size !== labels.length) return 'Variant labels must be unique';
+
+  const total = getTotalWeight(variants);
+  if (total !== 100) return `Variant weights must add up to 100% (currently ${total}%)`;
+
+  return null;
+};
+
+/**
+ * Update that ends an A/B test by making one variant the only destination
+ * @param {Object} variant - The winning variant
+ * @returns {Object} Data for urlService.updateShortUrl
+ */
+export const buildWinnerUpdate = (variant) => ({
+  originalUrl: variant.destination,
+  variants: [],
+});
+
+/**
+ * Combine variants with per-variant click counts
+ * @param {Array<Object>} variants - Variants on the URL
+ * @param {Array<Object>} counts - Aggregates [{ _id: variantId, count }]
+ * @returns {Array<Object>} [{ ...variant, clicks, share }] with share in percent of variant clicks
+ */
+export const buildVariantBreakdown = (variants, counts) => {
+  const byId = new Map((counts || []).map(item => [String(item._id), item.count]));
+  const rows = variants.map(variant => ({ ...variant, clicks: byId.get(String(variant._id)) || 0 }));
+  const total = rows.reduce((sum, row) => sum + row.clicks, 0);
+  return rows.map(row => ({ ...row, share: total ? Math.round((row.clicks / total) * 1000) / 10 : 0 }));
+};